@@ -0,0 +1,13 @@
+// Jest 27's node environment predates Node's built-in fetch, which the Firebase SDK and
+// @firebase/rules-unit-testing both use to reach the emulator. Used by the src/firestore.*
+// tests through their @jest-environment docblock.
+const NodeEnvironment = require('jest-environment-node');
+
+class EmulatorEnvironment extends NodeEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    Object.assign(this.global, { fetch, Headers, Request, Response });
+  }
+}
+
+module.exports = EmulatorEnvironment;
@@ -0,0 +1,265 @@
+// Seeds the local emulators with a demo sports day: four houses, 200 participants in Years 3-6,
+// 20 events with entries, and results for the events that have finished. Also creates a demo admin
+// and judge who can sign in. Run `npm run emulators`, then `npm run seed`, then `npm run start:emulator`.
+// The demo data is the same every time, and seeding again puts the demo day back as it was.
+const { collection, doc, getDocs, query, where, writeBatch } = require('firebase/firestore');
+
+const PROJECT_ID = 'demo-sportsday';
+const FIRESTORE_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080';
+const AUTH_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST || '127.0.0.1:9099';
+const DATA_PATH = `artifacts/${process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id'}/public/data`;
+
+const DEMO_PASSWORD = 'sportsday';
+const DEMO_STAFF = [
+  { email: 'admin@sportsday.test', role: { role: 'admin' } },
+  { email: 'judge@sportsday.test', role: { role: 'judge' } }, // Judges the events still to run
+];
+
+const HOUSES = [
+  { name: 'Kestrel', colour: '#dc2626', crest: '' },
+  { name: 'Osprey', colour: '#2563eb', crest: '' },
+  { name: 'Merlin', colour: '#16a34a', crest: '' },
+  { name: 'Falcon', colour: '#ca8a04', crest: '' },
+];
+const YEAR_GROUPS = ['Year 3', 'Year 4', 'Year 5', 'Year 6'];
+const FIRST_NAMES = {
+  boys: ['Oliver', 'George', 'Noah', 'Arthur', 'Leo', 'Harry', 'Oscar', 'Archie', 'Henry', 'Theo', 'Jack', 'Freddie', 'Charlie', 'Alfie', 'Finley', 'Isaac', 'Tommy', 'Ethan', 'Joshua', 'Reuben'],
+  girls: ['Olivia', 'Amelia', 'Isla', 'Ava', 'Ivy', 'Freya', 'Lily', 'Florence', 'Mia', 'Willow', 'Rosie', 'Sophia', 'Isabella', 'Grace', 'Daisy', 'Sienna', 'Poppy', 'Elsie', 'Emily', 'Ruby'],
+};
+const SURNAMES = ['Smith', 'Jones', 'Taylor', 'Brown', 'Williams', 'Wilson', 'Johnson', 'Davies', 'Patel', 'Robinson', 'Wright', 'Thompson', 'Evans', 'Walker', 'White', 'Roberts', 'Green', 'Hall', 'Khan', 'Clarke', 'Hughes', 'Lewis', 'Edwards', 'Wood', 'Okafor'];
+
+// Each discipline is run for every year group, split into boys and girls. Results are drawn
+// between best and best + spread (or best - spread where higher is better).
+const DISCIPLINES = [
+  { name: 'Sprint', type: 'Track', resultKind: 'time', direction: 'lower', venue: 'Track', best: 9, spread: 4 },
+  { name: 'Long Jump', type: 'Field', resultKind: 'distance', direction: 'higher', venue: 'Long Jump Pit', attempts: 3, best: 3.4, spread: 1.8 },
+  { name: 'Sack Race', type: 'Track', resultKind: 'time', direction: 'lower', venue: 'Track', best: 14, spread: 8 },
+  { name: 'Howler Throw', type: 'Field', resultKind: 'distance', direction: 'higher', venue: 'Field', attempts: 3, best: 32, spread: 20 },
+  { name: 'Egg and Spoon', type: 'Track', resultKind: 'time', direction: 'lower', venue: 'Track', best: 18, spread: 10 },
+];
+const EVENT_MINUTES = 15;
+const FIRST_START = 9 * 60; // 09:00
+const FINISHED_EVENTS = 14; // The rest are under way or still to run
+const ENTRANTS_PER_HOUSE_AND_GENDER = 2;
+const POINTS_TABLE = [10, 8, 6, 5, 4, 3, 2, 1];
+
+// A small seeded random number generator (mulberry32), so the demo results are always the same
+const seededRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+const clockTime = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+// Matches scoreDocId in App.js for a final
+const scoreDocId = (eventId, participantId) => `${eventId}_final_${participantId}`;
+
+/**
+ * The demo sports day as documents by collection, each with its id.
+ * @param {{ date?: string }} [options] The day's date, YYYY-MM-DD; today by default so it's the live day
+ */
+const buildDemoDay = ({ date = today() } = {}) => {
+  const random = seededRandom(2024);
+  const dayId = 'demo-day';
+  const day = { id: dayId, name: 'Demo Sports Day', date, venue: 'School Field', ageCutoff: '', maxEventsPerParticipant: 3, pointsTable: POINTS_TABLE, locked: false };
+  const houses = HOUSES.map((house, i) => ({ id: `demo-house-${i + 1}`, ...house }));
+
+  // 50 per year group, alternating boys and girls, with houses taking turns by pair
+  const participants = Array.from({ length: 200 }, (_, i) => {
+    const gender = i % 2 === 0 ? 'boys' : 'girls';
+    const n = Math.floor(i / 2); // Every first name and surname pairing is used once per gender
+    return {
+      id: `demo-p${pad(i + 1, 3)}`,
+      name: `${FIRST_NAMES[gender][n % 20]} ${SURNAMES[Math.floor(n / 20) * 5 + (n % 5)]}`,
+      house: HOUSES[n % HOUSES.length].name,
+      yearGroup: YEAR_GROUPS[Math.floor(i / 50)],
+      gender,
+      dob: '',
+      dayId,
+    };
+  });
+
+  const events = [];
+  YEAR_GROUPS.forEach((yearGroup, y) => DISCIPLINES.forEach((discipline, d) => {
+    const index = events.length;
+    events.push({
+      id: `demo-e${pad(index + 1)}`,
+      name: `${yearGroup} ${discipline.name}`,
+      type: discipline.type,
+      resultKind: discipline.resultKind,
+      direction: discipline.direction,
+      rounds: [],
+      laneCount: 8,
+      attempts: discipline.attempts || 1,
+      ageGroups: [yearGroup],
+      genders: ['boys', 'girls'],
+      teamEvent: false,
+      teamSize: 0,
+      memberPoints: false,
+      startTime: clockTime(FIRST_START + index * EVENT_MINUTES),
+      duration: EVENT_MINUTES,
+      venue: discipline.venue,
+      entriesPerHouse: ENTRANTS_PER_HOUSE_AND_GENDER * 2,
+      dayId,
+      status: index < FINISHED_EVENTS ? 'completed' : index === FINISHED_EVENTS ? 'in-progress' : 'scheduled',
+      discipline: d, // Dropped before writing
+      yearIndex: y,
+    });
+  }));
+
+  // Each event takes the next two boys and two girls from every house in its year group
+  const entries = [];
+  events.forEach(event => {
+    HOUSES.forEach(house => ['boys', 'girls'].forEach(gender => {
+      const group = participants.filter(p => p.yearGroup === event.ageGroups[0] && p.house === house.name && p.gender === gender);
+      for (let k = 0; k < ENTRANTS_PER_HOUSE_AND_GENDER; k++) {
+        const participant = group[(event.discipline * ENTRANTS_PER_HOUSE_AND_GENDER + k) % group.length];
+        entries.push({ id: `${event.id}_${participant.id}`, eventId: event.id, participantId: participant.id, dayId });
+      }
+    }));
+  });
+
+  const scores = [];
+  events.slice(0, FINISHED_EVENTS).forEach((event, index) => {
+    const discipline = DISCIPLINES[event.discipline];
+    const decimals = discipline.best >= 10 && discipline.resultKind === 'distance' ? 1 : 2;
+    const mark = () => {
+      const offset = random() * discipline.spread * (1 - event.yearIndex * 0.1); // Older years are quicker and stronger
+      return Number((discipline.direction === 'lower' ? discipline.best + offset : discipline.best - offset).toFixed(decimals));
+    };
+    const at = new Date(`${date}T${clockTime(FIRST_START + (index + 1) * EVENT_MINUTES)}:00`);
+    entries.filter(entry => entry.eventId === event.id).forEach(entry => {
+      let result;
+      if (event.attempts > 1) {
+        const attempts = Array.from({ length: event.attempts }, () => (random() < 0.15 ? 'X' : mark()));
+        const measured = attempts.filter(attempt => typeof attempt === 'number');
+        result = { score: measured.length ? Math.max(...measured) : null, attempts };
+      } else {
+        result = { score: mark() };
+      }
+      scores.push({
+        id: scoreDocId(event.id, entry.participantId),
+        eventId: event.id,
+        participantId: entry.participantId,
+        dayId,
+        ...result,
+        timestamp: at,
+        version: 1,
+        editsByVersion: { 0: [{ baseVersion: 0, score: result.score, attempts: result.attempts || null, by: DEMO_STAFF[0].email, at }] },
+      });
+    });
+  });
+
+  return {
+    days: [day],
+    houses,
+    participants,
+    events: events.map(({ discipline, yearIndex, ...event }) => event),
+    entries,
+    scores,
+    roles: DEMO_STAFF.map(({ email, role }) => ({
+      id: email,
+      eventIds: role.role === 'judge' ? events.slice(FINISHED_EVENTS).map(event => event.id) : [],
+      ...role,
+    })),
+  };
+};
+
+// Collections whose docs belong to a sports day through their dayId
+const DAY_KINDS = ['events', 'participants', 'entries', 'scores', 'heats', 'teams', 'trash'];
+
+const commitInBatches = async (db, operations) => {
+  for (let start = 0; start < operations.length; start += 450) {
+    const batch = writeBatch(db);
+    operations.slice(start, start + 450).forEach(operation => operation(batch));
+    await batch.commit();
+  }
+};
+
+// Everything saved for the demo day since it was last seeded: its docs in every day collection,
+// and the audit entries for its events, which are logged by event rather than by day
+const findDemoDayDocs = async (db, dataPath, demoDay) => {
+  const dayId = demoDay.days[0].id;
+  const snapshots = await Promise.all(DAY_KINDS.map(kind => getDocs(query(collection(db, `${dataPath}/sportsday_${kind}`), where('dayId', '==', dayId)))));
+  const eventIds = [...new Set([...snapshots[0].docs.map(eventDoc => eventDoc.id), ...demoDay.events.map(event => event.id)])];
+  // 'in' queries take up to 30 values
+  for (let start = 0; start < eventIds.length; start += 30) {
+    snapshots.push(await getDocs(query(collection(db, `${dataPath}/sportsday_audit`), where('eventId', 'in', eventIds.slice(start, start + 30)))));
+  }
+  return snapshots.flatMap(snapshot => snapshot.docs.map(item => item.ref));
+};
+
+/**
+ * Writes the demo day in batches, first removing everything saved for it since it was last seeded,
+ * so it comes back exactly as built.
+ * @param {import('firebase/firestore').Firestore} db Must be allowed to write everything, e.g. with rules disabled
+ * @param {string} dataPath
+ * @param {ReturnType<typeof buildDemoDay>} demoDay
+ */
+const seedDemoDay = async (db, dataPath, demoDay) => {
+  const stale = await findDemoDayDocs(db, dataPath, demoDay);
+  await commitInBatches(db, stale.map(ref => (batch) => batch.delete(ref)));
+  const writes = Object.keys(demoDay).flatMap(kind => demoDay[kind].map(({ id, ...data }) => ({ path: `${dataPath}/sportsday_${kind}/${id}`, data })));
+  await commitInBatches(db, writes.map(({ path, data }) => (batch) => batch.set(doc(db, path), data)));
+  return writes.length;
+};
+
+const authRequest = async (endpoint, body, headers = {}) => {
+  const response = await fetch(`http://${AUTH_HOST}/identitytoolkit.googleapis.com/v1/${endpoint}?key=demo-key`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  return { ok: response.ok, status: response.status, body: await response.json() };
+};
+
+// Email / password accounts in the Auth emulator for the demo staff, with their addresses marked
+// as verified since the rules ignore roles until they are
+const createDemoAccounts = async () => {
+  for (const { email } of DEMO_STAFF) {
+    let response = await authRequest('accounts:signUp', { email, password: DEMO_PASSWORD });
+    if (!response.ok && response.body.error?.message === 'EMAIL_EXISTS') {
+      response = await authRequest('accounts:signInWithPassword', { email, password: DEMO_PASSWORD });
+    }
+    if (response.ok) {
+      response = await authRequest('accounts:update', { localId: response.body.localId, emailVerified: true }, { Authorization: 'Bearer owner' });
+    }
+    if (!response.ok) {
+      throw new Error(`Could not create ${email}: ${response.body.error?.message || response.status}`);
+    }
+  }
+};
+
+const main = async () => {
+  const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+  const [host, port] = FIRESTORE_HOST.split(':');
+  const testEnv = await initializeTestEnvironment({ projectId: PROJECT_ID, firestore: { host, port: Number(port) } });
+  try {
+    const demoDay = buildDemoDay();
+    let written = 0;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      written = await seedDemoDay(context.firestore(), DATA_PATH, demoDay);
+    });
+    await createDemoAccounts();
+    console.log(`Seeded ${demoDay.days[0].name} with ${written} documents under ${DATA_PATH}.`);
+    DEMO_STAFF.forEach(({ email, role }) => console.log(`  ${role.role}: ${email} / ${DEMO_PASSWORD}`));
+  } finally {
+    await testEnv.cleanup();
+  }
+};
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(`Seeding failed (are the emulators running? Try \`npm run emulators\`): ${e.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildDemoDay, seedDemoDay };
@@ -1,12 +1,1194 @@
-/* global __app_id, __firebase_config, __initial_auth_token */
-import React, { useState, useEffect, createContext, useContext, useRef } from 'react';
+/* global __firebase_config, __initial_auth_token */
+import React, { useState, useEffect, useCallback, useMemo, createContext, useContext, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, addDoc, getDocs, onSnapshot, doc, updateDoc, deleteDoc, query, where } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator, signInAnonymously, signInWithCustomToken, signInWithEmailAndPassword, sendEmailVerification, signOut, onAuthStateChanged } from 'firebase/auth';
+import { initializeFirestore, connectFirestoreEmulator, persistentLocalCache, persistentMultipleTabManager, collection, addDoc, getDoc, getDocs, getDocsFromServer, setDoc, onSnapshot, doc, updateDoc, deleteDoc, query, where, documentId, writeBatch, runTransaction, increment, deleteField, arrayRemove, arrayUnion, serverTimestamp } from 'firebase/firestore';
+import { createFirestoreRepository, getDataPath, RepositoryProvider, useCollection, useEvents, useParticipants, useRepository, useScores } from './repository';
 
 // Create a context to provide Firebase and user data to components
 const AppContext = createContext(null);
 
+// Sports days newest first; the first one is the live day
+const compareDays = (a, b) => (b.date || '').localeCompare(a.date || '') || a.name.localeCompare(b.name);
+
+// Whether each day should be locked: every day but the live one is. Locked days are read-only to
+// everyone, including admins, and firestore.rules enforces it.
+const dayLocks = (days) => {
+  const [live, ...past] = [...days].sort(compareDays);
+  return Object.fromEntries([...(live ? [[live.id, false]] : []), ...past.map(day => [day.id, true])]);
+};
+
+// Staff roles are stored in sportsday_roles, keyed by the staff member's lowercased email.
+// Everyone else, including the anonymous sign-in every visitor gets, is a read-only viewer.
+// firestore.rules enforces the same permissions on the server.
+const ROLES = {
+  admin: 'Admin',
+  judge: 'Judge',
+  viewer: 'Viewer',
+};
+const VIEWER_ROLE = { role: 'viewer', eventIds: [] };
+
+// Admins manage everything: events, participants, houses, settings and roles
+const canManage = (role) => role?.role === 'admin';
+
+// Judges may only enter scores and draw heats for the events they've been given
+const canScore = (role, eventId) => canManage(role) || (role?.role === 'judge' && (role.eventIds || []).includes(eventId));
+
+// Any view can be opened from a link, so the ones only staff get buttons for are checked again
+// when opened. eventId is the event the view is about, if any.
+const ADMIN_VIEWS = ['add-event', 'edit-event', 'add-participant', 'edit-participant', 'points-table', 'houses', 'import', 'roles', 'trash'];
+const JUDGE_VIEWS = ['add-score', 'event-entries', 'event-rounds', 'event-teams', 'event-history'];
+const canOpenView = (role, view, eventId) => {
+  if (ADMIN_VIEWS.includes(view)) return canManage(role);
+  if (JUDGE_VIEWS.includes(view)) return canScore(role, eventId);
+  if (view === 'stopwatch') return role?.role === 'admin' || role?.role === 'judge';
+  return true;
+};
+
+// Result kinds an event can be scored by, with their unit and usual ranking direction
+const RESULT_KINDS = {
+  time: { label: 'Time', unit: 's', defaultDirection: 'lower' },
+  distance: { label: 'Distance', unit: 'm', defaultDirection: 'higher' },
+  height: { label: 'Height', unit: 'm', defaultDirection: 'higher' },
+  points: { label: 'Points', unit: 'pts', defaultDirection: 'higher' },
+};
+
+// Events saved before result kinds existed have neither field and rank higher-is-better
+const isLowerBetter = (event) => event?.direction === 'lower';
+
+const getResultUnit = (event) => RESULT_KINDS[event?.resultKind]?.unit || '';
+
+// Field events can give each participant several attempts. An attempt is a measurement,
+// a foul (X) or a pass (-); only measurements count toward the best mark.
+const ATTEMPT_MARKERS = { X: 'Foul', '-': 'Pass' };
+const getAttemptCount = (event) => (event?.resultKind !== 'time' && event?.attempts > 1 ? event.attempts : 1);
+
+const compareMarks = (event) => (a, b) => (isLowerBetter(event) ? a - b : b - a);
+
+// The measured attempts, best first
+const rankAttempts = (event, attempts) => (attempts || []).filter(attempt => typeof attempt === 'number').sort(compareMarks(event));
+
+// Comparator that puts the best result first for the given event. A score of null is a no-mark
+// (every attempt fouled) and goes last. Equal bests are split by countback: the second-best
+// attempt, then the third, and so on.
+const compareScores = (event) => (a, b) => {
+  if (a.score === null || b.score === null) return (a.score === null) - (b.score === null);
+  const byBest = compareMarks(event)(a.score, b.score);
+  if (byBest !== 0) return byBest;
+  const aAttempts = rankAttempts(event, a.attempts);
+  const bAttempts = rankAttempts(event, b.attempts);
+  for (let i = 1; i < Math.max(aAttempts.length, bAttempts.length); i++) {
+    if (aAttempts[i] === undefined || bAttempts[i] === undefined) return (aAttempts[i] === undefined) - (bAttempts[i] === undefined);
+    const byAttempt = compareMarks(event)(aAttempts[i], bAttempts[i]);
+    if (byAttempt !== 0) return byAttempt;
+  }
+  return 0;
+};
+
+const formatResult = (event, score) => {
+  if (score === null) return 'NM'; // No mark
+  const unit = getResultUnit(event);
+  return unit ? `${score} ${unit}` : String(score);
+};
+
+const formatAttemptInput = (attempt) => (attempt === null || attempt === undefined ? '' : String(attempt));
+
+const formatAttempt = (event, attempt) => (typeof attempt === 'number' ? formatResult(event, attempt) : attempt ?? '');
+
+// Turns the attempt inputs from ScoreEntry into what gets stored: every attempt (null where not
+// taken yet) plus the best measurement. Returns null when no attempt has been entered.
+const buildAttemptScore = (event, inputs) => {
+  const attempts = inputs.map(input => {
+    const value = String(input ?? '').trim().toUpperCase();
+    if (value === '') return null;
+    return ATTEMPT_MARKERS[value] ? value : parseFloat(value);
+  });
+  if (attempts.every(attempt => attempt === null)) return null;
+  return { attempts, score: rankAttempts(event, attempts)[0] ?? null };
+};
+
+// Events without rounds are run as a single final. Scores saved before rounds existed
+// have no round field and belong to the final.
+const getRounds = (event) => (event?.rounds?.length ? event.rounds : [{ name: 'Final' }]);
+const getFinalRound = (event) => getRounds(event).length - 1;
+const getScoreRound = (event, score) => score.round ?? getFinalRound(event);
+const isFinalScore = (event, score) => getScoreRound(event, score) === getFinalRound(event);
+
+const DEFAULT_LANE_COUNT = 8;
+
+// Spreads seeded participants across heats in a serpentine (1-2-3-3-2-1...) so every heat
+// gets a similar spread of seeds. Returns one array of participant ids per heat, in lane order.
+const seedHeats = (participantIds, heatCount) => {
+  const heats = Array.from({ length: heatCount }, () => []);
+  participantIds.forEach((participantId, i) => {
+    const position = i % heatCount;
+    const forwards = Math.floor(i / heatCount) % 2 === 0;
+    heats[forwards ? position : heatCount - 1 - position].push(participantId);
+  });
+  return heats;
+};
+
+// Who goes through from a round: the round's top N in each heat ('place'), then the best M of
+// everyone else across all heats ('time', i.e. fastest losers). Sorted best first for seeding.
+const selectQualifiers = (event, round, heats, scores) => {
+  const { advanceTopN = 0, advanceFastestLosers = 0 } = getRounds(event)[round];
+  const roundScores = scores.filter(score => getScoreRound(event, score) === round && score.score !== null);
+  const qualifiers = [];
+  const others = [];
+  heats.filter(heat => heat.round === round).forEach(heat => {
+    roundScores
+      .filter(score => heat.lanes.includes(getEntrantId(score)))
+      .sort(compareScores(event))
+      .forEach((score, i) => (i < advanceTopN ? qualifiers.push({ ...score, by: 'place' }) : others.push(score)));
+  });
+  others.sort(compareScores(event));
+  others.slice(0, advanceFastestLosers).forEach(score => qualifiers.push({ ...score, by: 'time' }));
+  return qualifiers.sort(compareScores(event));
+};
+
+const GENDERS = { boys: 'Boys', girls: 'Girls' };
+
+// Whole years old on the cut-off date; both dates are YYYY-MM-DD
+const ageOn = (dob, cutoff) => {
+  const [birthYear, birthMonth, birthDay] = dob.split('-').map(Number);
+  const [year, month, day] = cutoff.split('-').map(Number);
+  return year - birthYear - (month < birthMonth || (month === birthMonth && day < birthDay) ? 1 : 0);
+};
+
+// A participant's year group if they have one, otherwise an age category from their date of birth
+// and the sports day's age cut-off (U11 is everyone aged 10 on the cut-off date)
+const getAgeGroup = (participant, ageCutoff) => {
+  if (participant?.yearGroup) return participant.yearGroup;
+  if (participant?.dob && ageCutoff) return `U${ageOn(participant.dob, ageCutoff) + 1}`;
+  return '';
+};
+
+// "Year 3" sorts before "Year 10"
+const compareAgeGroups = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+// Events list the age groups and genders they are run for; an empty list means open to everyone
+const isEligible = (event, participant, ageCutoff) =>
+  (!event?.ageGroups?.length || event.ageGroups.includes(getAgeGroup(participant, ageCutoff)))
+  && (!event?.genders?.length || event.genders.includes(participant?.gender));
+
+// An event is ranked separately for each age group and gender it lists, e.g. "Year 3 Girls".
+// Events open to everyone have a single unnamed division.
+const getDivision = (event, participant, ageCutoff) => [
+  event?.ageGroups?.length ? getAgeGroup(participant, ageCutoff) : '',
+  event?.genders?.length ? GENDERS[participant?.gender] || '' : '',
+].filter(Boolean).join(' ');
+
+// Team events (relays, tug-of-war) are scored once per team: team scores carry a teamId where
+// individual scores carry a participantId
+const getEntrantId = (score) => score.teamId || score.participantId;
+
+// A team ranks like a participant: its house, plus the age group and gender its members share
+// (blank when they're mixed) so team events can be split into divisions too
+const teamAsEntrant = (team, participantsMap, ageCutoff) => {
+  const members = (team.memberIds || []).map(id => participantsMap[id]).filter(Boolean);
+  const shared = (values) => (values.length > 0 && values.every(value => value === values[0]) ? values[0] : '');
+  return {
+    ...team,
+    yearGroup: shared(members.map(member => getAgeGroup(member, ageCutoff))),
+    gender: shared(members.map(member => member.gender || '')),
+  };
+};
+
+// Participants and teams by id, for looking up whoever a score belongs to
+const buildEntrantsMap = (participantsMap, teamsMap = {}, ageCutoff) => {
+  const entrantsMap = { ...participantsMap };
+  Object.keys(teamsMap).forEach(teamId => {
+    entrantsMap[teamId] = teamAsEntrant(teamsMap[teamId], participantsMap, ageCutoff);
+  });
+  return entrantsMap;
+};
+
+// Entries are keyed by event and participant, so entering someone twice (or from two devices offline)
+// leaves a single entry
+const entryDocId = (eventId, participantId) => `${eventId}_${participantId}`;
+
+// Why a participant can't be entered in an event, or null if they can. Limits of 0 mean no limit.
+// Only individual events count towards a participant's limit, and entries for participants or
+// events no longer on the day don't count at all.
+const checkEntry = (event, participant, dayEntries, { eventsMap, participantsMap, maxEventsPerParticipant = 0, ageCutoff }) => {
+  if (event.teamEvent) return `${event.name} is a team event. Pick its teams on the Teams screen instead.`;
+  if (!isEligible(event, participant, ageCutoff)) return `${participant.name} isn't eligible for ${event.name}.`;
+  const ownEntries = dayEntries.filter(entry => entry.participantId === participant.id && eventsMap[entry.eventId] && !eventsMap[entry.eventId].teamEvent);
+  if (ownEntries.some(entry => entry.eventId === event.id)) return `${participant.name} is already entered in ${event.name}.`;
+  if (maxEventsPerParticipant > 0 && ownEntries.length >= maxEventsPerParticipant) {
+    return `${participant.name} is already entered in ${ownEntries.length} events, the most anyone can enter.`;
+  }
+  const houseEntries = dayEntries.filter(entry => entry.eventId === event.id && participantsMap[entry.participantId] &&
+    normaliseHouseName(participantsMap[entry.participantId].house) === normaliseHouseName(participant.house));
+  if (event.entriesPerHouse > 0 && houseEntries.length >= event.entriesPerHouse) {
+    return `${participant.house || UNASSIGNED_HOUSE} already has ${houseEntries.length} entries in ${event.name}, the most allowed per house.`;
+  }
+  return null;
+};
+
+// The participants entered in an event, in the order given
+const getEnteredParticipants = (eventId, entries, participants) => {
+  const enteredIds = new Set(entries.filter(entry => entry.eventId === eventId).map(entry => entry.participantId));
+  return participants.filter(participant => enteredIds.has(participant.id));
+};
+
+// Who score entry, the stopwatch and heat draws offer for an individual event: everyone entered, or
+// everyone eligible while nobody has been entered, as for events set up before entries existed
+const getEventEntrants = (event, entries, participants, ageCutoff) => (entries.some(entry => entry.eventId === event.id)
+  ? getEnteredParticipants(event.id, entries, participants)
+  : participants.filter(participant => isEligible(event, participant, ageCutoff)));
+
+// Checked again once an entry has reached the server, where entries made at the same time on other
+// devices show up too. Entries count in the order the server got them, so when two devices take
+// the last place the later entry is the one over the limit, whichever device checks first.
+const checkEntryOrder = (entry, dayEntries, { eventsMap, participantsMap, maxEventsPerParticipant = 0 }) => {
+  const event = eventsMap[entry.eventId];
+  const participant = participantsMap[entry.participantId];
+  if (!event || !participant) return null;
+  const receivedAt = (item) => item.enteredAt?.toMillis?.() ?? 0; // Entries from before enteredAt count first
+  const counted = dayEntries
+    .filter(item => eventsMap[item.eventId] && !eventsMap[item.eventId].teamEvent)
+    .sort((a, b) => receivedAt(a) - receivedAt(b) || a.id.localeCompare(b.id));
+  const ownEntries = counted.filter(item => item.participantId === entry.participantId);
+  if (maxEventsPerParticipant > 0 && ownEntries.findIndex(item => item.id === entry.id) >= maxEventsPerParticipant) {
+    return `${participant.name} was already entered in ${maxEventsPerParticipant} events, the most anyone can enter.`;
+  }
+  const houseEntries = counted.filter(item => item.eventId === entry.eventId && participantsMap[item.participantId] &&
+    normaliseHouseName(participantsMap[item.participantId].house) === normaliseHouseName(participant.house));
+  if (event.entriesPerHouse > 0 && houseEntries.findIndex(item => item.id === entry.id) >= event.entriesPerHouse) {
+    return `${participant.house || UNASSIGNED_HOUSE} already had ${event.entriesPerHouse} entries in ${event.name}, the most allowed per house.`;
+  }
+  return null;
+};
+
+// Where an event can be run; the form suggests these but any venue name is allowed
+const VENUES = ['Track', 'Field', 'Hall'];
+
+// An event moves through these on the day; events saved before scheduling existed are 'scheduled'
+const EVENT_STATUSES = { scheduled: 'Scheduled', 'in-progress': 'In Progress', completed: 'Completed' };
+const getEventStatus = (event) => (EVENT_STATUSES[event?.status] ? event.status : 'scheduled');
+
+// Start times are stored as 'HH:MM' on the sports day's date. Null when the event has no time yet.
+const parseStartTime = (startTime) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(startTime || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+const formatClock = (minutes) => `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Minutes after midnight an event starts and ends, or null if it isn't scheduled
+const getEventWindow = (event) => {
+  const start = parseStartTime(event?.startTime);
+  return start === null ? null : { start, end: start + (Number(event.duration) || 0) };
+};
+
+// Events sharing a start time always overlap, even when they have no duration
+const eventsOverlap = (a, b) => {
+  const windowA = getEventWindow(a);
+  const windowB = getEventWindow(b);
+  if (!windowA || !windowB) return false;
+  return windowA.start === windowB.start || (windowA.start < windowB.end && windowB.start < windowA.end);
+};
+
+// Order of play: by start time, with unscheduled events last
+const sortBySchedule = (events) => [...events].sort((a, b) => {
+  const startA = parseStartTime(a.startTime) ?? Infinity;
+  const startB = parseStartTime(b.startTime) ?? Infinity;
+  return (startA === startB ? 0 : startA < startB ? -1 : 1) || a.name.localeCompare(b.name);
+});
+
+// The participants taking part in each event ({ eventId: Set of participant ids }), from entries,
+// heat draws, team line-ups and recorded scores. Team ids in heat lanes are covered by the team's members.
+const collectEventParticipants = ({ entries = [], heats = [], teams = [], scores = [] }) => {
+  const teamIds = new Set(teams.map(team => team.id));
+  const byEvent = {};
+  const add = (eventId, participantId) => {
+    if (!participantId || teamIds.has(participantId)) return;
+    (byEvent[eventId] = byEvent[eventId] || new Set()).add(participantId);
+  };
+  entries.forEach(entry => add(entry.eventId, entry.participantId));
+  heats.forEach(heat => heat.lanes.forEach(lane => add(heat.eventId, lane)));
+  teams.forEach(team => (team.memberIds || []).forEach(memberId => add(team.eventId, memberId)));
+  scores.forEach(score => add(score.eventId, score.participantId));
+  return byEvent;
+};
+
+// Pairs of overlapping events with at least one participant in both
+const findScheduleClashes = (events, participantsByEvent) => {
+  const timed = sortBySchedule(events.filter(event => getEventWindow(event)));
+  const clashes = [];
+  timed.forEach((a, i) => timed.slice(i + 1).forEach(b => {
+    if (!eventsOverlap(a, b)) return;
+    const participantIds = [...(participantsByEvent[a.id] || [])].filter(id => participantsByEvent[b.id]?.has(id));
+    if (participantIds.length > 0) clashes.push({ eventIds: [a.id, b.id], participantIds });
+  }));
+  return clashes;
+};
+
+// What the now / next board shows: everything under way, then the next few events still to start
+const getNowAndNext = (events, nextCount = 3) => ({
+  now: sortBySchedule(events.filter(event => getEventStatus(event) === 'in-progress')),
+  next: sortBySchedule(events.filter(event => getEventStatus(event) === 'scheduled')).slice(0, nextCount),
+});
+
+// Points for 1st, 2nd, 3rd... used until a points table has been saved
+const DEFAULT_POINTS_TABLE = [10, 8, 6, 5, 4, 3, 2, 1];
+
+// Ranks an event's scores and awards placement points. Tied results share the
+// same place and split the points of every place they span (two tied 2nds get (8+6)/2 each).
+// No-marks are listed last without a place or points.
+const awardPlacementPoints = (event, scores, pointsTable = DEFAULT_POINTS_TABLE) => {
+  const ranked = scores.filter(score => score.score !== null).sort(compareScores(event));
+  const placed = [];
+  let start = 0;
+  while (start < ranked.length) {
+    let end = start;
+    while (end + 1 < ranked.length && compareScores(event)(ranked[end + 1], ranked[start]) === 0) end++;
+    const tiedCount = end - start + 1;
+    const sharedPoints = pointsTable.slice(start, end + 1).reduce((sum, p) => sum + p, 0) / tiedCount;
+    for (let i = start; i <= end; i++) {
+      placed.push({ ...ranked[i], place: start + 1, points: sharedPoints });
+    }
+    start = end + 1;
+  }
+  scores.filter(score => score.score === null).forEach(score => placed.push({ ...score, place: null, points: 0 }));
+  return placed;
+};
+
+// Places and points within each division of an event, divisions in age group order.
+// Each result carries the division it was ranked in.
+const awardDivisionPoints = (event, scores, entrantsMap, pointsTable, ageCutoff) => {
+  const scoresByDivision = {};
+  scores.forEach(score => {
+    const division = getDivision(event, entrantsMap[getEntrantId(score)], ageCutoff);
+    (scoresByDivision[division] = scoresByDivision[division] || []).push(score);
+  });
+  return Object.keys(scoresByDivision).sort(compareAgeGroups).flatMap(division =>
+    awardPlacementPoints(event, scoresByDivision[division], pointsTable).map(result => ({ ...result, division })));
+};
+
+// Equal totals share a place
+const placeStandings = (standings) => standings.reduce((placed, standing, index) => {
+  const previous = placed[index - 1];
+  placed.push({ ...standing, place: previous && previous.totalPoints === standing.totalPoints ? previous.place : index + 1 });
+  return placed;
+}, []);
+
+// Participants without a house are grouped rather than dropped from house totals
+const UNASSIGNED_HOUSE = 'Unassigned';
+
+// Placement points from one event's final results: { participants: { participantId: points },
+// houses: { house: points } }. Team results only count for individuals when the event shares them
+// with every team member (memberPoints); a team's points go to the team's house once, however many
+// members it has. Standings are the sum of these over every event, so when a score changes only
+// its event needs ranking again.
+const scoreEvent = (event, scores, entrantsMap, participantsMap, teamsMap, pointsTable, ageCutoff) => {
+  const points = { participants: {}, houses: {} };
+  const finals = scores.filter(score => isFinalScore(event, score)); // Heats don't earn points
+  awardDivisionPoints(event, finals, entrantsMap, pointsTable, ageCutoff).forEach(result => {
+    const participantIds = result.teamId
+      ? (event.memberPoints ? (teamsMap[result.teamId]?.memberIds || []).filter(id => participantsMap[id]) : [])
+      : [result.participantId];
+    participantIds.forEach(participantId => {
+      points.participants[participantId] = (points.participants[participantId] || 0) + result.points;
+    });
+    const house = entrantsMap[getEntrantId(result)]?.house?.trim() || UNASSIGNED_HOUSE;
+    points.houses[house] = (points.houses[house] || 0) + result.points;
+  });
+  return points;
+};
+
+// Re-scores the given events and returns the updated { eventId: points } map. scoresByEvent holds
+// each event's scores, as an array or an object by score id. Events that no longer exist
+// (orphaned scores) or have no scores left are dropped.
+const scoreEvents = (eventPoints, eventIds, scoresByEvent, { eventsMap, participantsMap, teamsMap = {}, pointsTable, ageCutoff }) => {
+  const entrantsMap = buildEntrantsMap(participantsMap, teamsMap, ageCutoff);
+  const updated = { ...eventPoints };
+  eventIds.forEach(eventId => {
+    const scores = Object.values(scoresByEvent[eventId] || {});
+    if (eventsMap[eventId] && scores.length > 0) {
+      updated[eventId] = scoreEvent(eventsMap[eventId], scores, entrantsMap, participantsMap, teamsMap, pointsTable, ageCutoff);
+    } else {
+      delete updated[eventId];
+    }
+  });
+  return updated;
+};
+
+const groupScoresByEvent = (scores) => {
+  const scoresByEvent = {};
+  scores.forEach(score => {
+    (scoresByEvent[score.eventId] = scoresByEvent[score.eventId] || []).push(score);
+  });
+  return scoresByEvent;
+};
+
+// Applies score changes from a listener ({ type: 'added' | 'modified' | 'removed', doc }) to a
+// tally of { scoresByEvent: { eventId: { scoreId: score } }, eventPoints }, re-ranking only the
+// events they touch. The tally is treated as immutable so it can live in React state.
+const applyScoreChanges = (tally, changes, context) => {
+  const scoresByEvent = { ...tally.scoresByEvent };
+  const changedEventIds = new Set();
+  changes.forEach(({ type, doc: score }) => {
+    if (!changedEventIds.has(score.eventId)) {
+      scoresByEvent[score.eventId] = { ...scoresByEvent[score.eventId] };
+      changedEventIds.add(score.eventId);
+    }
+    if (type === 'removed') {
+      delete scoresByEvent[score.eventId][score.id];
+    } else {
+      scoresByEvent[score.eventId][score.id] = score;
+    }
+  });
+  return { scoresByEvent, eventPoints: scoreEvents(tally.eventPoints, [...changedEventIds], scoresByEvent, context) };
+};
+
+// Participant standings from per-event points, best first
+const standingsFromEventPoints = (eventPoints, participantsMap, ageCutoff) => {
+  const totals = {};
+  Object.values(eventPoints).forEach(points => {
+    Object.keys(points.participants).forEach(participantId => {
+      totals[participantId] = (totals[participantId] || 0) + points.participants[participantId];
+    });
+  });
+
+  const standings = Object.keys(totals).map(participantId => ({
+    participantId,
+    name: participantsMap[participantId]?.name || 'Unknown',
+    house: participantsMap[participantId]?.house || 'N/A',
+    ageGroup: getAgeGroup(participantsMap[participantId], ageCutoff),
+    gender: participantsMap[participantId]?.gender || '',
+    totalPoints: totals[participantId],
+  }));
+  standings.sort((a, b) => b.totalPoints - a.totalPoints || a.name.localeCompare(b.name));
+  return placeStandings(standings);
+};
+
+// Totals placement points per participant across every event, best first
+const calculateStandings = (scores, eventsMap, participantsMap, pointsTable, ageCutoff, teamsMap = {}) => {
+  const scoresByEvent = groupScoresByEvent(scores);
+  const eventPoints = scoreEvents({}, Object.keys(scoresByEvent), scoresByEvent, { eventsMap, participantsMap, teamsMap, pointsTable, ageCutoff });
+  return standingsFromEventPoints(eventPoints, participantsMap, ageCutoff);
+};
+
+// Narrows overall standings to one age group and/or gender ('' for all) and re-ranks them
+const filterStandings = (standings, ageGroup, gender) => placeStandings(standings.filter(standing =>
+  (!ageGroup || standing.ageGroup === ageGroup) && (!gender || standing.gender === gender)));
+
+// House standings from per-event points, with each house's points broken down by event
+const houseStandingsFromEventPoints = (eventPoints) => {
+  const houses = {};
+  Object.keys(eventPoints).forEach(eventId => {
+    Object.keys(eventPoints[eventId].houses).forEach(house => {
+      houses[house] = houses[house] || { house, totalPoints: 0, eventPoints: {} };
+      houses[house].totalPoints += eventPoints[eventId].houses[house];
+      houses[house].eventPoints[eventId] = eventPoints[eventId].houses[house];
+    });
+  });
+
+  const houseStandings = Object.values(houses);
+  houseStandings.sort((a, b) => b.totalPoints - a.totalPoints || a.house.localeCompare(b.house));
+  houseStandings.forEach((standing, index) => {
+    standing.place = index > 0 && standing.totalPoints === houseStandings[index - 1].totalPoints ? houseStandings[index - 1].place : index + 1;
+  });
+  return houseStandings;
+};
+
+// Totals placement points per house, with each house's points broken down by event
+const calculateHouseStandings = (scores, eventsMap, participantsMap, pointsTable, ageCutoff, teamsMap = {}) => {
+  const scoresByEvent = groupScoresByEvent(scores);
+  return houseStandingsFromEventPoints(scoreEvents({}, Object.keys(scoresByEvent), scoresByEvent, { eventsMap, participantsMap, teamsMap, pointsTable, ageCutoff }));
+};
+
+// The most recently scored events for the spectator board, newest first, each with the top three
+// places in every division. Scores carry scoredAt (milliseconds of their latest edit); like the
+// standings, only finals count.
+const getLatestResults = (scores, eventsMap, entrantsMap, pointsTable, ageCutoff, count = 4) => {
+  const scoresByEvent = {};
+  scores.forEach(score => {
+    if (!eventsMap[score.eventId] || !isFinalScore(eventsMap[score.eventId], score)) return;
+    (scoresByEvent[score.eventId] = scoresByEvent[score.eventId] || []).push(score);
+  });
+  return Object.keys(scoresByEvent)
+    .map(eventId => ({
+      eventId,
+      event: eventsMap[eventId],
+      scoredAt: Math.max(...scoresByEvent[eventId].map(score => score.scoredAt || 0)),
+      podium: awardDivisionPoints(eventsMap[eventId], scoresByEvent[eventId], entrantsMap, pointsTable, ageCutoff)
+        .filter(result => result.place !== null && result.place <= 3),
+    }))
+    .sort((a, b) => b.scoredAt - a.scoredAt || a.event.name.localeCompare(b.event.name))
+    .slice(0, count);
+};
+
+// One row per event a participant is entered in, competes in through a team or has a result for,
+// in schedule order. Places and points come from the final, ranked within the division as elsewhere;
+// someone knocked out earlier gets their latest round's result with no place. points are what count
+// towards their individual total, and housePoints their share of what their house got: all of an
+// individual result's points, or an equal share of a team's.
+const getParticipantResults = (participantId, { scores, eventsMap, participantsMap, teamsMap = {}, entries = [], pointsTable, ageCutoff }) => {
+  const teamIds = Object.keys(teamsMap).filter(teamId => (teamsMap[teamId].memberIds || []).includes(participantId));
+  const entrantIds = new Set([participantId, ...teamIds]);
+  const eventIds = new Set([
+    ...entries.filter(entry => entry.participantId === participantId).map(entry => entry.eventId),
+    ...teamIds.map(teamId => teamsMap[teamId].eventId),
+    ...scores.filter(score => entrantIds.has(getEntrantId(score))).map(score => score.eventId),
+  ]);
+  const entrantsMap = buildEntrantsMap(participantsMap, teamsMap, ageCutoff);
+
+  const events = sortBySchedule([...eventIds].filter(eventId => eventsMap[eventId]).map(eventId => ({ id: eventId, ...eventsMap[eventId] })));
+  return events.map(event => {
+    const teamId = teamIds.find(id => teamsMap[id].eventId === event.id) || null;
+    const entrantId = teamId || participantId;
+    const eventScores = scores.filter(score => score.eventId === event.id);
+    const final = awardDivisionPoints(event, eventScores.filter(score => isFinalScore(event, score)), entrantsMap, pointsTable, ageCutoff)
+      .find(result => getEntrantId(result) === entrantId);
+    if (final) {
+      return {
+        eventId: event.id,
+        event,
+        teamId,
+        score: final.score,
+        round: null,
+        place: final.place,
+        division: final.division,
+        points: teamId && !event.memberPoints ? 0 : final.points,
+        housePoints: teamId ? final.points / Math.max((teamsMap[teamId].memberIds || []).length, 1) : final.points,
+      };
+    }
+    const latest = eventScores.filter(score => getEntrantId(score) === entrantId)
+      .sort((a, b) => getScoreRound(event, b) - getScoreRound(event, a))[0];
+    return {
+      eventId: event.id,
+      event,
+      teamId,
+      score: latest ? latest.score : undefined, // undefined until they've competed
+      round: latest ? getRounds(event)[getScoreRound(event, latest)]?.name || null : null,
+      place: null,
+      division: '',
+      points: 0,
+      housePoints: 0,
+    };
+  });
+};
+
+// Every sports day has its own copy of the roster. Copies made when a day is created carry a
+// personId pointing back to the first one; older copies are matched on name and date of birth.
+// Without a date of birth on both, a shared name alone is too weak to go on.
+const getPersonId = (participant) => participant.personId || participant.id;
+
+const isSamePerson = (a, b) => getPersonId(a) === getPersonId(b)
+  || (Boolean(a.dob) && a.dob === b.dob && (a.name || '').trim().toLowerCase() === (b.name || '').trim().toLowerCase());
+
+// The best result in each event from someone's results across sports days, by event name since
+// each day has its own copy of its events. Results are { event, score, dayId }; no-marks don't count.
+const findPersonalBests = (results) => {
+  const bests = {};
+  results.filter(result => typeof result.score === 'number').forEach(result => {
+    const key = result.event.name.trim().toLowerCase();
+    if (!bests[key] || compareMarks(result.event)(result.score, bests[key].score) < 0) {
+      bests[key] = result;
+    }
+  });
+  return Object.values(bests).sort((a, b) => a.event.name.localeCompare(b.event.name));
+};
+
+// Records are kept per event name and division, as each sports day has its own copy of its events,
+// so one id per record. Neither is case-sensitive, so a division typed as "year 5 girls" finds the
+// Year 5 Girls record. Records saved before divisions were normalised keep their old id, so look
+// them up by recordKey rather than by doc id.
+const recordDocId = (eventName, division) => encodeURIComponent(`${eventName.trim().toLowerCase()}|${(division || '').trim().toLowerCase()}`);
+
+const recordKey = (record) => recordDocId(record.eventName, record.division);
+
+const beatsMark = (event, mark, than) => typeof mark === 'number' && typeof than === 'number' && compareMarks(event)(mark, than) < 0;
+
+// The best result in each division of an event, from any round, where it beats the standing record.
+// recordsMap is keyed by recordDocId. Divisions without a record are left for an admin to add.
+const findNewRecords = (event, scores, entrantsMap, recordsMap, ageCutoff) => {
+  const bestByDivision = {};
+  scores.filter(score => typeof score.score === 'number').forEach(score => {
+    const division = getDivision(event, entrantsMap[getEntrantId(score)], ageCutoff);
+    if (!bestByDivision[division] || beatsMark(event, score.score, bestByDivision[division].score)) {
+      bestByDivision[division] = score;
+    }
+  });
+  return Object.keys(bestByDivision)
+    .map(division => ({ division, score: bestByDivision[division], record: recordsMap[recordDocId(event.name, division)] }))
+    .filter(({ score, record }) => record && beatsMark(event, score.score, record.value));
+};
+
+// The ids of scores that are their participant's best in this event and beat their best from
+// earlier sports days. earlierBests is { participantId: mark }; a first go has nothing to beat.
+const findPersonalBestScores = (event, scores, earlierBests) => {
+  const bestByParticipant = {};
+  scores.filter(score => score.participantId && typeof score.score === 'number').forEach(score => {
+    if (!bestByParticipant[score.participantId] || beatsMark(event, score.score, bestByParticipant[score.participantId].score)) {
+      bestByParticipant[score.participantId] = score;
+    }
+  });
+  return new Set(Object.values(bestByParticipant)
+    .filter(score => beatsMark(event, score.score, earlierBests[score.participantId]))
+    .map(score => score.id));
+};
+
+// Firestore 'in' filters take up to 30 values, so longer lists are read in several queries
+const IN_FILTER_LIMIT = 30;
+
+const getDocsWhereIn = async (db, path, field, values) => {
+  const docs = [];
+  for (let i = 0; i < values.length; i += IN_FILTER_LIMIT) {
+    const snapshot = await getDocs(query(collection(db, path), where(field, "in", values.slice(i, i + IN_FILTER_LIMIT))));
+    docs.push(...snapshot.docs);
+  }
+  return docs;
+};
+
+// The ids of the sports days dated before the event's own
+const getEarlierDayIds = (event, days) => {
+  const eventDay = days.find(day => day.id === event?.dayId);
+  return eventDay ? days.filter(day => day.date < eventDay.date).map(day => day.id) : [];
+};
+
+// Every result in the same-named event on the given (earlier) days, with who got it as they were
+// on that day's roster. Fetched once per event, as earlier days don't change.
+const fetchEarlierMarks = async (db, dataPath, eventName, earlierDayIds) => {
+  const name = eventName.trim().toLowerCase();
+  const earlierEvents = (await getDocsWhereIn(db, `${dataPath}/sportsday_events`, "dayId", earlierDayIds))
+    .filter(eventDoc => (eventDoc.data().name || '').trim().toLowerCase() === name);
+  const earlierScores = (await getDocsWhereIn(db, `${dataPath}/sportsday_scores`, "eventId", earlierEvents.map(eventDoc => eventDoc.id)))
+    .map(scoreDoc => scoreDoc.data())
+    .filter(score => score.participantId && typeof score.score === 'number');
+
+  const rosterIds = [...new Set(earlierScores.map(score => score.participantId))];
+  const rosterById = {};
+  (await getDocsWhereIn(db, `${dataPath}/sportsday_participants`, documentId(), rosterIds)).forEach(participantDoc => {
+    rosterById[participantDoc.id] = { id: participantDoc.id, ...participantDoc.data() };
+  });
+  return earlierScores
+    .filter(score => rosterById[score.participantId])
+    .map(score => ({ participant: rosterById[score.participantId], score: score.score }));
+};
+
+// Each participant's best of the earlier marks, keyed by their id on the event's day
+const findEarlierBests = (event, earlierMarks, participants) => {
+  const earlierBests = {};
+  participants.forEach(participant => {
+    earlierMarks.filter(mark => isSamePerson(mark.participant, participant)).forEach(mark => {
+      if (earlierBests[participant.id] === undefined || beatsMark(event, mark.score, earlierBests[participant.id])) {
+        earlierBests[participant.id] = mark.score;
+      }
+    });
+  });
+  return earlierBests;
+};
+
+// Makes a result the record for its event and division, moving the record it replaces (if any)
+// into the record's history. previous is the record the admin saw when they chose to replace it;
+// if it has changed since, or (given the event) the result no longer beats it, nothing is saved.
+const setRecord = (db, dataPath, { eventName, division, resultKind, holder, house, value, year }, previous, editor, event = null) =>
+  runTransaction(db, async (transaction) => {
+    const recordRef = doc(db, `${dataPath}/sportsday_records`, previous?.id || recordDocId(eventName, division));
+    const snapshot = await transaction.get(recordRef);
+    const current = snapshot.exists() ? snapshot.data() : null;
+    if (current && event && !beatsMark(event, value, current.value)) {
+      throw new Error(`${current.holder}'s ${formatResult(event, current.value)} is already the record.`);
+    }
+    if ((current?.value ?? null) !== (previous?.value ?? null) || (current?.holder ?? null) !== (previous?.holder ?? null)) {
+      throw new Error("The record has changed since it was loaded. Check the new record and try again.");
+    }
+    transaction.set(recordRef, {
+      eventName: eventName.trim(),
+      division: (division || '').trim(),
+      resultKind: resultKind || null,
+      holder,
+      house: house || '',
+      value,
+      year,
+      history: current
+        ? [...(current.history || []), { holder: current.holder, house: current.house || '', value: current.value, year: current.year }]
+        : [],
+      setBy: editor.email || editor.userId,
+      setAt: new Date(),
+    });
+  });
+
+const formatPoints = (points) => (Number.isInteger(points) ? String(points) : points.toFixed(1));
+
+// Rows for exporting one event's results, ranked exactly as EventScoresView shows them, with
+// shared points rounded as they are on screen
+// Events split into divisions get a Division column
+const eventResultsCsvRows = (event, scores, entrantsMap, pointsTable, ageCutoff) => {
+  const hasDivisions = Boolean(event?.ageGroups?.length || event?.genders?.length);
+  return [
+    [...(hasDivisions ? ['Division'] : []), 'Rank', event?.teamEvent ? 'Team' : 'Participant', 'House', 'Result', 'Unit', 'Points'],
+    ...awardDivisionPoints(event, scores.filter(score => isFinalScore(event, score)), entrantsMap, pointsTable, ageCutoff).map(result => [
+      ...(hasDivisions ? [result.division] : []),
+      result.place,
+      entrantsMap[getEntrantId(result)]?.name || 'Unknown Participant',
+      entrantsMap[getEntrantId(result)]?.house || '',
+      result.score ?? 'NM',
+      getResultUnit(event),
+      formatPoints(result.points),
+    ]),
+  ];
+};
+
+const standingsCsvRows = (standings) => [
+  ['Rank', 'Participant', 'House', 'Total Points'],
+  ...standings.map(standing => [standing.place, standing.name, standing.house, formatPoints(standing.totalPoints)]),
+];
+
+// House totals with one column of points per event
+const houseStandingsCsvRows = (houseStandings, eventsMap) => {
+  const eventIds = Object.keys(eventsMap).sort((a, b) => eventsMap[a].name.localeCompare(eventsMap[b].name));
+  return [
+    ['Rank', 'House', 'Total Points', ...eventIds.map(eventId => eventsMap[eventId].name)],
+    ...houseStandings.map(standing => [
+      standing.place,
+      standing.house,
+      formatPoints(standing.totalPoints),
+      ...eventIds.map(eventId => formatPoints(standing.eventPoints[eventId] || 0)),
+    ]),
+  ];
+};
+
+// Every cell is quoted so names containing commas or quotes survive
+const toCsv = (rows) => rows.map(row => row.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(',')).join('\r\n');
+
+// Safari and older Firefox only download from a link that's in the page, and may not have started
+// reading the file by the time click() returns, so the URL is revoked a little later
+const downloadCsv = (filename, rows) => {
+  const url = URL.createObjectURL(new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${filename.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Colours offered when registering a house, in the order they're suggested
+const HOUSE_COLOURS = ['#dc2626', '#2563eb', '#16a34a', '#ca8a04', '#9333ea', '#ea580c'];
+
+// House names are compared loosely so "Red" and "red " count as the same house
+const normaliseHouseName = (name) => (name || '').trim().toLowerCase();
+
+// The writes that add, rename or merge away a house: every participant and team on one of fromNames
+// moves to toName, then the house itself is written ({ data } to create it, { changes } to update
+// it, neither to delete it). The house goes last and in the same batch when the move is small, so a
+// large move that stops partway can simply be done again: the rest are still on the old name and
+// the house is still there to retry. Pass only docs on open days, as locked days can't be changed.
+const planHouseMove = ({ participants = [], teams = [] }, fromNames, toName, houseWrite = null) => {
+  const normalisedFrom = fromNames.map(normaliseHouseName);
+  const moves = (kind, docs) => docs
+    .filter(item => normalisedFrom.includes(normaliseHouseName(item.house)) && item.house !== toName)
+    .map(item => ({ kind, id: item.id, changes: { house: toName } }));
+  return [...moves('participants', participants), ...moves('teams', teams), ...(houseWrite ? [{ kind: 'houses', ...houseWrite }] : [])];
+};
+
+// Parses CSV text into rows of cells, handling quoted fields, escaped quotes and CRLF line endings
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// CSV headers (lower-cased, spaces/underscores removed) mapped to document fields
+const IMPORT_COLUMNS = {
+  participants: { name: 'name', house: 'house', yeargroup: 'yearGroup', year: 'yearGroup', gender: 'gender', sex: 'gender', dob: 'dob', dateofbirth: 'dob' },
+  events: { name: 'name', type: 'type', resultkind: 'resultKind', kind: 'resultKind', direction: 'direction' },
+};
+
+// Accepts B/Boy/Boys/M/Male and G/Girl/Girls/F/Female in any case; null if unrecognised
+const parseGender = (value) => {
+  const gender = (value || '').trim().toLowerCase();
+  if (!gender) return '';
+  if (['b', 'boy', 'boys', 'm', 'male'].includes(gender)) return 'boys';
+  if (['g', 'girl', 'girls', 'f', 'female'].includes(gender)) return 'girls';
+  return null;
+};
+
+// Dates of birth are stored as YYYY-MM-DD; spreadsheets exported in the UK use DD/MM/YYYY.
+// null if neither.
+const parseDob = (value) => {
+  const text = (value || '').trim();
+  if (!text) return '';
+  const uk = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  const iso = uk ? `${uk[3]}-${uk[2].padStart(2, '0')}-${uk[1].padStart(2, '0')}` : text;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(iso) && !isNaN(date) && date.toISOString().startsWith(iso) ? iso : null;
+};
+
+// Validates CSV rows for import and marks each one 'new', 'duplicate' (already exists, or repeated
+// earlier in the file) or 'invalid'. Houses must already be registered; they snap to the registered spelling.
+const prepareImport = (kind, text, existingDocs, houses = []) => {
+  const [header, ...body] = parseCsv(text);
+  if (!header) throw new Error("The CSV file is empty.");
+  const columns = header.map(h => IMPORT_COLUMNS[kind][h.trim().toLowerCase().replace(/[\s_-]+/g, '')]);
+  if (!columns.includes('name')) throw new Error("The CSV needs a 'name' column.");
+  if (kind === 'events' && !columns.includes('type')) throw new Error("The CSV needs a 'type' column.");
+
+  const duplicateKey = (data) => (kind === 'participants'
+    ? `${(data.name || '').trim().toLowerCase()}|${normaliseHouseName(data.house)}`
+    : (data.name || '').trim().toLowerCase());
+  const seen = new Set(existingDocs.map(duplicateKey));
+
+  return body.map((cells, index) => {
+    const raw = {};
+    columns.forEach((field, i) => {
+      if (field) raw[field] = (cells[i] || '').trim();
+    });
+    const errors = [];
+    let data;
+
+    if (kind === 'participants') {
+      data = { name: raw.name || '', house: '', yearGroup: raw.yearGroup || '', gender: parseGender(raw.gender), dob: parseDob(raw.dob) };
+      if (data.gender === null) errors.push(`Gender must be "boys" or "girls"`);
+      if (data.dob === null) errors.push(`Date of birth "${raw.dob}" must be YYYY-MM-DD or DD/MM/YYYY`);
+      if (raw.house) {
+        const registered = houses.find(h => normaliseHouseName(h.name) === normaliseHouseName(raw.house));
+        if (registered) {
+          data.house = registered.name;
+        } else {
+          errors.push(`Unknown house "${raw.house}"`);
+        }
+      }
+    } else {
+      const resultKind = (raw.resultKind || 'points').toLowerCase();
+      const direction = (raw.direction || '').toLowerCase();
+      data = { name: raw.name || '', type: raw.type || '', resultKind, direction: RESULT_KINDS[resultKind]?.defaultDirection };
+      if (!data.type) errors.push("Missing type");
+      if (!RESULT_KINDS[resultKind]) errors.push(`Unknown result kind "${raw.resultKind}"`);
+      if (direction.startsWith('lower')) data.direction = 'lower';
+      else if (direction.startsWith('higher')) data.direction = 'higher';
+      else if (direction) errors.push(`Direction must be "lower" or "higher"`);
+    }
+    if (!data.name) errors.push("Missing name");
+
+    let status = 'new';
+    if (errors.length > 0) {
+      status = 'invalid';
+    } else if (seen.has(duplicateKey(data))) {
+      status = 'duplicate';
+    } else {
+      seen.add(duplicateKey(data));
+    }
+    return { line: index + 2, data, status, errors }; // +2 for the header and 1-based lines
+  });
+};
+
+// Firestore caps a batch at 500 writes, so larger cascades are committed in chunks.
+// Each write is a function that adds its operation to the batch it is given.
+const FIRESTORE_BATCH_LIMIT = 500;
+const commitInBatches = async (db, writes) => {
+  for (let i = 0; i < writes.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(write => write(batch));
+    await batch.commit();
+  }
+};
+
+// Data saved before sports days existed has no dayId; the first day adopts all of it
+const ADOPTED_KINDS = ['events', 'participants', 'scores', 'heats'];
+const planAdoption = (docsByKind, dayId) => ADOPTED_KINDS.flatMap(kind => (docsByKind[kind] || [])
+  .filter(item => !item.dayId)
+  .map(item => ({ kind, id: item.id, changes: { dayId } })));
+
+// The set-up copied from an earlier day: results, heats and entries stay with the old day. Copied
+// events start unstarted, and copied participants keep a personId linking them to earlier days for
+// personal bests. Each copy's id is made from the new day's and the original's, so copying again
+// after a failure overwrites what was already copied instead of duplicating it.
+const planDayCopy = (docsByKind, dayId) => ['events', 'participants'].flatMap(kind => (docsByKind[kind] || []).map(({ id, ...fields }) => ({
+  kind,
+  id: `${dayId}_${id}`,
+  data: kind === 'events'
+    ? { ...fields, status: 'scheduled', dayId }
+    : { ...fields, personId: getPersonId({ id, ...fields }), dayId },
+})));
+
+// Copies the chosen kinds of set-up from one day into another. A copy too big for one batch is not
+// atomic, so the new day records what it is copying until the last batch clears it; running this
+// again finishes an interrupted copy.
+const copyDaySetup = async (db, dataPath, dayId, { fromDayId, kinds }) => {
+  const docsByKind = {};
+  for (const kind of kinds) {
+    const snapshot = await getDocs(query(collection(db, `${dataPath}/sportsday_${kind}`), where("dayId", "==", fromDayId)));
+    docsByKind[kind] = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+  }
+  const writes = planDayCopy(docsByKind, dayId).map(({ kind, id, data }) => (batch) => batch.set(doc(db, `${dataPath}/sportsday_${kind}`, id), data));
+  writes.push((batch) => batch.update(doc(db, `${dataPath}/sportsday_days`, dayId), { copyingFrom: null }));
+  await commitInBatches(db, writes);
+};
+
+// Write promises only resolve once the server has the change, which never happens while offline.
+// The change is already in the persistent local cache by then, so callers hand the promise here
+// instead of awaiting it; anything the server later rejects is reported to the Dashboard header.
+const syncErrorListeners = new Set();
+const queueWrite = (writePromise, description) => {
+  writePromise.catch((e) => {
+    console.error(`Error syncing ${description}:`, e);
+    syncErrorListeners.forEach(listener => listener(`Failed to sync ${description}: ${e.message}`));
+  });
+};
+
+// New score documents get a predictable id, so two judges entering the same result offline
+// edit one document instead of creating duplicates
+const scoreDocId = (eventId, entrantId, round) => [eventId, round ?? 'final', entrantId].join('_');
+
+// What the audit log keeps of a score on each side of a change
+const auditedScore = (score) => (score?.eventId ? {
+  eventId: score.eventId,
+  participantId: score.participantId ?? null,
+  teamId: score.teamId ?? null,
+  dayId: score.dayId ?? null,
+  round: score.round ?? null,
+  score: score.score,
+  attempts: score.attempts || null,
+} : null);
+
+// Adds the audit entry for a score change to the batch making it. Entries are append-only;
+// reverting a change is itself logged as a new entry. Scores moved in and out of the recycle bin
+// are logged as 'trash', 'restore' and 'purge', with the bin entry they went through.
+const logScoreChange = (batch, db, dataPath, { action, scoreId, before, after, editor, revertOf = null, trashId = null }) => {
+  const entry = auditedScore(after) || auditedScore(before);
+  batch.set(doc(collection(db, `${dataPath}/sportsday_audit`)), {
+    action,
+    scoreId,
+    eventId: entry.eventId,
+    participantId: entry.participantId,
+    teamId: entry.teamId,
+    before: auditedScore(before),
+    after: auditedScore(after),
+    userId: editor.userId,
+    by: editor.email || editor.userId,
+    at: new Date(),
+    revertOf,
+    trashId,
+  });
+};
+
+// Each write records the version it was based on, in editsByVersion: { baseVersion: [edit, ...] }.
+// When judges edit the same score from the same version while disconnected, both edits survive the
+// merge and the score shows as conflicting. Only the latest version's edits matter, so each write
+// drops the older versions it knows about, and the edits array scores had before.
+// existing may be just { id } to recreate a deleted score under its old id.
+const writeScoreInBatch = (batch, db, dataPath, existing, data, editor, revertOf = null) => {
+  const scoreId = existing ? existing.id : scoreDocId(data.eventId, getEntrantId(data), data.round);
+  const baseVersion = existing?.version || 0;
+  batch.set(doc(db, `${dataPath}/sportsday_scores`, scoreId), {
+    ...data,
+    version: increment(1),
+    editsByVersion: {
+      ...Object.fromEntries(Object.keys(existing?.editsByVersion || {}).filter(base => Number(base) < baseVersion).map(base => [base, deleteField()])),
+      [baseVersion]: arrayUnion({ baseVersion, score: data.score, attempts: data.attempts || null, by: editor.email || editor.userId, at: new Date() }),
+    },
+    edits: deleteField(),
+  }, { merge: true });
+  const action = revertOf ? 'revert' : existing?.eventId ? 'update' : 'create';
+  logScoreChange(batch, db, dataPath, { action, scoreId, before: existing, after: data, editor, revertOf });
+};
+
+const writeScore = (db, dataPath, existing, data, editor, revertOf = null) => {
+  const batch = writeBatch(db);
+  writeScoreInBatch(batch, db, dataPath, existing, data, editor, revertOf);
+  return batch.commit();
+};
+
+const deleteScore = (db, dataPath, existing, editor, revertOf = null) => {
+  const batch = writeBatch(db);
+  batch.delete(doc(db, `${dataPath}/sportsday_scores`, existing.id));
+  logScoreChange(batch, db, dataPath, { action: revertOf ? 'revert' : 'delete', scoreId: existing.id, before: existing, after: null, editor, revertOf });
+  return batch.commit();
+};
+
+// Every edit a score still has, from editsByVersion or the edits array older scores were saved with
+const getScoreEdits = (score) => (score?.editsByVersion ? Object.values(score.editsByVersion).flat() : score?.edits || []);
+
+// The competing edits when the latest version was edited more than once with different results
+const findScoreConflict = (score) => {
+  const edits = getScoreEdits(score);
+  if (edits.length < 2) return null;
+  const latestBase = Math.max(...edits.map(edit => edit.baseVersion));
+  const competing = edits.filter(edit => edit.baseVersion === latestBase);
+  const results = new Set(competing.map(edit => JSON.stringify([edit.score, edit.attempts])));
+  return results.size > 1 ? competing : null;
+};
+
+// Status changes are made at the venue, so like scores they're queued rather than awaited. The
+// write is still returned so the screen it was made from can show a rejection next to the event.
+const updateEventStatus = (db, dataPath, event, status) => {
+  if (!EVENT_STATUSES[status]) {
+    return Promise.reject(new Error(`Unknown status "${status}".`));
+  }
+  const write = updateDoc(doc(db, `${dataPath}/sportsday_events`, event.id), { status });
+  queueWrite(write, `${event.name}'s status`);
+  return write;
+};
+
+// Deleting an event or participant moves it, with its scores, into a single trash document in one
+// batch, so a delete either happens completely or not at all and can be undone from the recycle bin.
+const TRASH_KINDS = {
+  event: { label: 'Event', collection: 'sportsday_events', scoreField: 'eventId' },
+  participant: { label: 'Participant', collection: 'sportsday_participants', scoreField: 'participantId' },
+};
+
+const scoresFor = (db, dataPath, kind, docId) =>
+  getDocs(query(collection(db, `${dataPath}/sportsday_scores`), where(TRASH_KINDS[kind].scoreField, "==", docId)));
+
+// Each binned, restored or purged score also gets an audit entry in the same batch. A binned
+// participant is taken out of their teams, and put back into those still there on restore.
+const moveToTrash = async (db, dataPath, kind, item, editor) => {
+  const { id, ...data } = item;
+  const scoresSnapshot = await scoresFor(db, dataPath, kind, id);
+  const teamDocs = kind === 'participant'
+    ? (await getDocs(query(collection(db, `${dataPath}/sportsday_teams`), where("memberIds", "array-contains", id)))).docs
+    : [];
+  if (scoresSnapshot.size * 2 + teamDocs.length + 2 > FIRESTORE_BATCH_LIMIT) {
+    throw new Error(`${item.name} has too many scores (${scoresSnapshot.size}) to delete in one go.`);
+  }
+  const batch = writeBatch(db);
+  const trashRef = doc(collection(db, `${dataPath}/sportsday_trash`));
+  batch.set(trashRef, {
+    kind,
+    docId: id,
+    name: item.name,
+    dayId: item.dayId ?? null,
+    data,
+    scores: scoresSnapshot.docs.map(scoreDoc => ({ id: scoreDoc.id, data: scoreDoc.data() })),
+    teamIds: teamDocs.map(teamDoc => teamDoc.id),
+    deletedBy: editor.email || editor.userId,
+    deletedAt: new Date(),
+  });
+  batch.delete(doc(db, `${dataPath}/${TRASH_KINDS[kind].collection}`, id));
+  teamDocs.forEach(teamDoc => batch.update(teamDoc.ref, { memberIds: arrayRemove(id) }));
+  scoresSnapshot.forEach(scoreDoc => {
+    batch.delete(scoreDoc.ref);
+    logScoreChange(batch, db, dataPath, { action: 'trash', scoreId: scoreDoc.id, before: scoreDoc.data(), after: null, editor, trashId: trashRef.id });
+  });
+  return batch.commit();
+};
+
+// Scores restored with a participant whose event is still in the bin stay hidden until the event
+// comes back too, since every view looks scores up by event
+const restoreFromTrash = async (db, dataPath, entry, editor) => {
+  const teamRefs = (entry.teamIds || []).map(teamId => doc(db, `${dataPath}/sportsday_teams`, teamId));
+  const remainingTeams = (await Promise.all(teamRefs.map(teamRef => getDoc(teamRef)))).filter(teamDoc => teamDoc.exists());
+  const batch = writeBatch(db);
+  batch.set(doc(db, `${dataPath}/${TRASH_KINDS[entry.kind].collection}`, entry.docId), entry.data);
+  remainingTeams.forEach(teamDoc => batch.update(teamDoc.ref, { memberIds: arrayUnion(entry.docId) }));
+  entry.scores.forEach(score => {
+    batch.set(doc(db, `${dataPath}/sportsday_scores`, score.id), score.data);
+    logScoreChange(batch, db, dataPath, { action: 'restore', scoreId: score.id, before: null, after: score.data, editor, trashId: entry.id });
+  });
+  batch.delete(doc(db, `${dataPath}/sportsday_trash`, entry.id));
+  return batch.commit();
+};
+
+// Also removes scores restored into the item while it was in the bin, its entries, and an event's heats and teams
+const purgeFromTrash = async (db, dataPath, entry, editor) => {
+  const leftovers = [...(await scoresFor(db, dataPath, entry.kind, entry.docId)).docs];
+  leftovers.push(...(await getDocs(query(collection(db, `${dataPath}/sportsday_entries`), where(TRASH_KINDS[entry.kind].scoreField, "==", entry.docId)))).docs);
+  if (entry.kind === 'event') {
+    for (const kind of ['heats', 'teams']) {
+      leftovers.push(...(await getDocs(query(collection(db, `${dataPath}/sportsday_${kind}`), where("eventId", "==", entry.docId)))).docs);
+    }
+  }
+  const purgedScores = [
+    ...entry.scores,
+    ...leftovers.filter(leftover => leftover.ref.parent.id === 'sportsday_scores').map(scoreDoc => ({ id: scoreDoc.id, data: scoreDoc.data() })),
+  ];
+  if (leftovers.length + purgedScores.length + 1 > FIRESTORE_BATCH_LIMIT) {
+    throw new Error(`${entry.name} has too many scores, entries, heats and teams (${leftovers.length}) to delete in one go.`);
+  }
+  const batch = writeBatch(db);
+  batch.delete(doc(db, `${dataPath}/sportsday_trash`, entry.id));
+  leftovers.forEach(leftover => batch.delete(leftover.ref));
+  purgedScores.forEach(score => logScoreChange(batch, db, dataPath, { action: 'purge', scoreId: score.id, before: score.data, after: null, editor, trashId: entry.id }));
+  return batch.commit();
+};
+
+// Every view has its own path so a page survives a refresh, can be shared as a link and works with
+// the browser's back and forward buttons. Views about one event or participant put its id in
+// place of :id, and the first part of the path says which collection it comes from.
+const ROUTES = {
+  dashboard: '/',
+  'sign-in': '/sign-in',
+  'add-day': '/days/new',
+  'edit-day': '/days/edit',
+  'add-event': '/events/new',
+  'edit-event': '/events/:id/edit',
+  'add-score': '/events/:id/score-entry',
+  'view-event-scores': '/events/:id/scores',
+  'event-entries': '/events/:id/entries',
+  'event-rounds': '/events/:id/rounds',
+  'event-teams': '/events/:id/teams',
+  'event-history': '/events/:id/history',
+  'add-participant': '/participants/new',
+  'edit-participant': '/participants/:id/edit',
+  'participant-profile': '/participants/:id',
+  stopwatch: '/stopwatch',
+  standings: '/standings',
+  schedule: '/schedule',
+  records: '/records',
+  'results-booklet': '/booklet',
+  'points-table': '/points-table',
+  houses: '/houses',
+  import: '/import',
+  roles: '/roles',
+  trash: '/recycle-bin',
+  board: '/board',
+};
+
+const routePath = (view, data) => (ROUTES[view] || '/').replace(':id', encodeURIComponent(data?.id || ''));
+
+const routeCollection = (view) => `sportsday_${ROUTES[view].split('/')[1]}`;
+
+// The view for a path and the id in it (null if it has none); unknown paths go to the dashboard
+const parseRoute = (pathname) => {
+  const segments = pathname.split('/').filter(Boolean);
+  for (const [view, path] of Object.entries(ROUTES)) {
+    const parts = path.split('/').filter(Boolean);
+    if (parts.length === segments.length && parts.every((part, i) => part === ':id' || part === segments[i])) {
+      const idIndex = parts.indexOf(':id');
+      return { view, id: idIndex === -1 ? null : decodeURIComponent(segments[idIndex]) };
+    }
+  }
+  return { view: 'dashboard', id: null };
+};
+
 // Custom Modal component to replace alert/confirm
 const Modal = ({ message, onConfirm, onCancel, showCancel = false }) => {
   if (!message) return null;
@@ -36,11 +1218,50 @@ const Modal = ({ message, onConfirm, onCancel, showCancel = false }) => {
   );
 };
 
+// House name with its registered colour (and crest, if it has one)
+const HouseBadge = ({ name, house }) => (
+  <span className="inline-flex items-center gap-2">
+    <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: house?.colour || '#9ca3af' }}></span>
+    {house?.crest && <img src={house.crest} alt="" className="w-5 h-5 rounded-full object-cover" />}
+    {name}
+  </span>
+);
+
+// Where an event is in the order of play
+const STATUS_BADGE_CLASSES = {
+  scheduled: 'bg-gray-200 text-gray-700',
+  'in-progress': 'bg-green-100 text-green-800',
+  completed: 'bg-blue-100 text-blue-800',
+};
+
+const EventStatusBadge = ({ status }) => (
+  <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium align-middle ${STATUS_BADGE_CLASSES[status]}`}>
+    {EVENT_STATUSES[status]}
+  </span>
+);
+
+// New records and personal bests, flagged next to a result
+const ResultBadges = ({ isRecord, isPersonalBest }) => (
+  <>
+    {isRecord && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800">New Record</span>}
+    {isPersonalBest && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-green-100 text-green-800">PB</span>}
+  </>
+);
+
+// `npm run start:emulator` runs against the local Firebase emulators (ports from firebase.json)
+// instead of a real project, so no Firebase settings are needed. `npm run seed` fills them with a demo day.
+const USE_EMULATORS = process.env.REACT_APP_USE_EMULATORS === 'true';
+const EMULATOR_CONFIG = { apiKey: 'demo-key', authDomain: 'demo-sportsday.firebaseapp.com', projectId: 'demo-sportsday' };
+const FIRESTORE_EMULATOR = { host: '127.0.0.1', port: 8080 };
+const AUTH_EMULATOR_URL = 'http://127.0.0.1:9099';
+
 // --- Firebase Initialization and Authentication Wrapper ---
 function AuthWrapper({ children }) {
   const [db, setDb] = useState(null);
   const [auth, setAuth] = useState(null);
   const [userId, setUserId] = useState(null);
+  const [userEmail, setUserEmail] = useState(null); // Only staff accounts have one
+  const [role, setRole] = useState(VIEWER_ROLE);
   const [isAuthReady, setIsAuthReady] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -65,6 +1286,9 @@ function AuthWrapper({ children }) {
         if (typeof __firebase_config !== 'undefined' && Object.keys(firebaseConfig).every(key => !firebaseConfig[key])) {
             Object.assign(firebaseConfig, JSON.parse(__firebase_config));
         }
+        if (USE_EMULATORS) {
+            Object.assign(firebaseConfig, EMULATOR_CONFIG);
+        }
 
         // --- DEBUGGING LOGS START ---
         console.log("Attempting Firebase Initialization...");
@@ -77,13 +1301,18 @@ function AuthWrapper({ children }) {
 
         // Check if essential config is missing after trying both sources
         if (!firebaseConfig.apiKey || !firebaseConfig.projectId) {
-            throw new Error("Firebase configuration is missing. Please set environment variables in Netlify.");
+            throw new Error("Firebase configuration is missing. Please set environment variables in Netlify, or run `npm run start:emulator` to use the local emulators");
         }
 
         // Initialize Firebase app
         const app = initializeApp(firebaseConfig);
-        const firestoreDb = getFirestore(app);
+        // Persistent cache keeps queued writes across reloads while the field has no signal
+        const firestoreDb = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
         const firebaseAuth = getAuth(app);
+        if (USE_EMULATORS) {
+          connectFirestoreEmulator(firestoreDb, FIRESTORE_EMULATOR.host, FIRESTORE_EMULATOR.port);
+          connectAuthEmulator(firebaseAuth, AUTH_EMULATOR_URL, { disableWarnings: true });
+        }
 
         setDb(firestoreDb);
         setAuth(firebaseAuth);
@@ -100,7 +1329,10 @@ function AuthWrapper({ children }) {
         const unsubscribe = onAuthStateChanged(firebaseAuth, (user) => {
           if (user) {
             setUserId(user.uid);
+            // The rules ignore roles until the address is verified, so until then staff are viewers
+            setUserEmail(user.email && user.emailVerified ? user.email.toLowerCase() : null);
           } else {
+            setUserEmail(null);
             // If user logs out or token expires, sign in anonymously again
             signInAnonymously(firebaseAuth).then((anonUser) => {
               setUserId(anonUser.user.uid);
@@ -121,6 +1353,24 @@ function AuthWrapper({ children }) {
     initializeFirebase();
   }, []);
 
+  // Follow the signed-in staff member's role so changes made by an admin apply straight away
+  useEffect(() => {
+    if (db && userEmail) {
+      const dataPath = getDataPath();
+      const unsubscribe = onSnapshot(doc(db, `${dataPath}/sportsday_roles`, userEmail), (snapshot) => {
+        setRole(snapshot.exists() ? { eventIds: [], ...snapshot.data() } : VIEWER_ROLE);
+      }, (error) => {
+        console.error("Error fetching role:", error);
+        setRole(VIEWER_ROLE);
+      });
+      return () => unsubscribe();
+    }
+    setRole(VIEWER_ROLE);
+  }, [db, userEmail]);
+
+  // One repository for the whole app, so components watching the same data share a listener
+  const repository = useMemo(() => (db ? createFirestoreRepository(db) : null), [db]);
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen bg-gray-100">
@@ -139,55 +1389,98 @@ function AuthWrapper({ children }) {
 
   // Provide Firebase instances and user info to children
   return (
-    <AppContext.Provider value={{ db, auth, userId, isAuthReady }}>
-      {children}
+    <AppContext.Provider value={{ db, auth, userId, userEmail, role, isAuthReady }}>
+      <RepositoryProvider value={repository}>
+        {children}
+      </RepositoryProvider>
     </AppContext.Provider>
   );
 }
 
-// --- Event Management Component ---
-const EventList = ({ onEditEvent, onAddScore, onShowScores }) => {
-  const { db, isAuthReady } = useContext(AppContext);
-  const [events, setEvents] = useState([]);
-  const [modalMessage, setModalMessage] = useState('');
-  const [modalAction, setModalAction] = useState(null);
-  const [currentModalEventId, setCurrentModalEventId] = useState(null); // Used for modal context
+// --- Sports Day Selection Wrapper ---
+// Events, participants and scores belong to one sports day (dayId). The newest day by date is the
+// live one; earlier days stay browsable but everyone sees them as a viewer. Re-provides AppContext
+// with the selected day so components read it alongside db and role.
+function SportsDayWrapper({ children }) {
+  const appContext = useContext(AppContext);
+  const { db, isAuthReady, role } = appContext;
+  const [days, setDays] = useState([]);
+  const [selectedDayId, setSelectedDayId] = useState(null);
+  const [loadingDays, setLoadingDays] = useState(true);
+  const [sharedPointsTable, setSharedPointsTable] = useState(null); // From before each day kept its own
 
   useEffect(() => {
     if (db && isAuthReady) {
-      const currentAppId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
-      const eventsColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_events`);
-      const unsubscribe = onSnapshot(eventsColRef, (snapshot) => {
-        const eventsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        eventsData.sort((a, b) => a.name.localeCompare(b.name));
-        setEvents(eventsData);
+      const dataPath = getDataPath();
+      const unsubscribe = onSnapshot(collection(db, `${dataPath}/sportsday_days`), (snapshot) => {
+        const daysData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        daysData.sort(compareDays);
+        setDays(daysData);
+        setLoadingDays(false);
       }, (error) => {
-        console.error("Error fetching events:", error);
+        console.error("Error fetching sports days:", error);
+        setLoadingDays(false);
       });
-      return () => unsubscribe();
+      const unsubscribePointsTable = onSnapshot(doc(db, `${dataPath}/sportsday_settings`, 'points_table'), (snapshot) => {
+        setSharedPointsTable(snapshot.exists() ? snapshot.data().points : null);
+      }, (error) => {
+        console.error("Error fetching points table:", error);
+      });
+      return () => {
+        unsubscribe();
+        unsubscribePointsTable();
+      };
     }
   }, [db, isAuthReady]);
 
-  const handleDeleteEvent = (eventId) => {
-    setModalMessage("Are you sure you want to delete this event? This action cannot be undone.");
-    setCurrentModalEventId(eventId); // Set the ID for the modal's context
+  // Until a day is picked (or if the picked one is deleted), show the live day
+  const currentDay = days.find(day => day.id === selectedDayId) || days[0] || null;
+  const isPastDay = currentDay !== null && currentDay.id !== days[0].id;
+
+  if (loadingDays) {
+    return <div className="text-center py-8 text-gray-600">Loading sports days...</div>;
+  }
+
+  return (
+    <AppContext.Provider
+      value={{
+        ...appContext,
+        days,
+        currentDay,
+        dayId: currentDay?.id || null,
+        isPastDay,
+        // Each day keeps its own table; days set up before that fall back to the old shared one
+        pointsTable: currentDay?.pointsTable || sharedPointsTable || DEFAULT_POINTS_TABLE,
+        selectDay: setSelectedDayId,
+        staffRole: role, // The signed-in role, even while browsing a past day
+        role: isPastDay ? VIEWER_ROLE : role,
+      }}
+    >
+      {children}
+    </AppContext.Provider>
+  );
+}
+
+// --- Event Management Component ---
+const EventList = ({ onEditEvent, onAddScore, onShowScores, onManageEntries, onManageRounds, onManageTeams, onShowHistory }) => {
+  const { db, role, dayId, userId, userEmail } = useContext(AppContext);
+  const { docs: dayEvents } = useEvents(dayId);
+  const events = useMemo(() => [...dayEvents].sort((a, b) => a.name.localeCompare(b.name)), [dayEvents]);
+  const [modalMessage, setModalMessage] = useState('');
+  const [modalAction, setModalAction] = useState(null);
+
+  const handleDeleteEvent = (event) => {
+    setModalMessage(`Move ${event.name} and its scores to the recycle bin?`);
     setModalAction(() => async () => {
       try {
-        const currentAppId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
-        await deleteDoc(doc(db, `artifacts/${currentAppId}/public/data/sportsday_events`, currentModalEventId));
-        const scoresQuery = query(collection(db, `artifacts/${currentAppId}/public/data/sportsday_scores`), where("eventId", "==", currentModalEventId));
-        const scoresSnapshot = await getDocs(scoresQuery);
-        scoresSnapshot.forEach(async (scoreDoc) => {
-          await deleteDoc(doc(db, `artifacts/${currentAppId}/public/data/sportsday_scores`, scoreDoc.id));
-        });
-        setModalMessage("Event and its scores deleted successfully!");
+        const dataPath = getDataPath();
+        await moveToTrash(db, dataPath, 'event', event, { userId, email: userEmail });
+        setModalMessage(`${event.name} moved to the recycle bin.`);
       } catch (e) {
         console.error("Error deleting event:", e);
         setModalMessage("Error deleting event: " + e.message);
       } finally {
-        // Clear modal state after action, regardless of success/failure
         setModalAction(null);
-        setCurrentModalEventId(null);
       }
     });
   };
@@ -195,15 +1488,14 @@ const EventList = ({ onEditEvent, onAddScore, onShowScores }) => {
   const closeModal = () => {
     setModalMessage('');
     setModalAction(null);
-    setCurrentModalEventId(null);
   };
 
-  // FIX: Await the modalAction to ensure it completes before clearing state
   const confirmModal = async () => {
     if (modalAction) {
-      await modalAction(); // AWAIT the asynchronous action
+      await modalAction(); // Leaves the result message showing
+    } else {
+      closeModal();
     }
-    closeModal(); // Then close the modal
   };
 
   return (
@@ -222,34 +1514,82 @@ const EventList = ({ onEditEvent, onAddScore, onShowScores }) => {
           {events.map((event) => (
             <li key={event.id} className="flex flex-col sm:flex-row items-start sm:items-center justify-between bg-gray-50 p-4 rounded-lg shadow-sm hover:shadow-md transition duration-200">
               <div className="flex-grow mb-2 sm:mb-0">
-                <p className="text-lg font-semibold text-gray-800">{event.name}</p>
-                <p className="text-sm text-gray-600">{event.type}</p>
+                <p className="text-lg font-semibold text-gray-800">
+                  {event.name}
+                  <EventStatusBadge status={getEventStatus(event)} />
+                </p>
+                <p className="text-sm text-gray-600">
+                  {event.startTime && `${event.startTime}${event.venue ? ` at ${event.venue}` : ''} · `}
+                  {event.type}
+                  {event.resultKind && ` · ${RESULT_KINDS[event.resultKind]?.label} (${isLowerBetter(event) ? 'lower' : 'higher'} is better)`}
+                  {getAttemptCount(event) > 1 && ` · best of ${getAttemptCount(event)}`}
+                  {event.teamEvent && ` · Team event${event.teamSize > 0 ? ` of ${event.teamSize}` : ''}`}
+                  {(event.ageGroups?.length > 0 || event.genders?.length > 0) && ` · ${[...(event.ageGroups || []), ...(event.genders || []).map(gender => GENDERS[gender])].join(', ')}`}
+                </p>
               </div>
               <div className="flex flex-wrap gap-2">
-                <button
-                  onClick={() => onAddScore(event.id, event.name)}
-                  className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition duration-200 text-sm"
-                >
-                  Add Score
-                </button>
+                {canScore(role, event.id) && (
+                  <button
+                    onClick={() => onAddScore(event.id, event.name)}
+                    className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                  >
+                    Add Score
+                  </button>
+                )}
                 <button
                   onClick={() => onShowScores(event.id, event.name)}
                   className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-50 transition duration-200 text-sm"
                 >
                   View Scores
                 </button>
-                <button
-                  onClick={() => onEditEvent(event)}
-                  className="px-4 py-2 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-opacity-50 transition duration-200 text-sm"
-                >
-                  Edit
-                </button>
-                <button
-                  onClick={() => handleDeleteEvent(event.id)}
-                  className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 transition duration-200 text-sm"
-                >
-                  Delete
-                </button>
+                {canScore(role, event.id) && (
+                  <button
+                    onClick={() => onShowHistory(event.id, event.name)}
+                    className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                  >
+                    History
+                  </button>
+                )}
+                {event.rounds?.length > 0 && canScore(role, event.id) && (
+                  <button
+                    onClick={() => onManageRounds(event.id, event.name)}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                  >
+                    Rounds
+                  </button>
+                )}
+                {!event.teamEvent && canScore(role, event.id) && (
+                  <button
+                    onClick={() => onManageEntries(event.id, event.name)}
+                    className="px-4 py-2 bg-teal-600 text-white rounded-md hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-teal-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                  >
+                    Entries
+                  </button>
+                )}
+                {event.teamEvent && canScore(role, event.id) && (
+                  <button
+                    onClick={() => onManageTeams(event.id, event.name)}
+                    className="px-4 py-2 bg-teal-600 text-white rounded-md hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-teal-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                  >
+                    Teams
+                  </button>
+                )}
+                {canManage(role) && (
+                  <>
+                    <button
+                      onClick={() => onEditEvent(event)}
+                      className="px-4 py-2 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDeleteEvent(event)}
+                      className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
               </div>
             </li>
           ))}
@@ -260,48 +1600,27 @@ const EventList = ({ onEditEvent, onAddScore, onShowScores }) => {
 };
 
 // --- Participant Management Component ---
-const ParticipantList = ({ onEditParticipant }) => {
-  const { db, isAuthReady } = useContext(AppContext);
-  const [participants, setParticipants] = useState([]);
+const ParticipantList = ({ onEditParticipant, onShowProfile }) => {
+  const { db, role, dayId, currentDay, userId, userEmail } = useContext(AppContext);
+  const { docs: dayParticipants } = useParticipants(dayId);
+  const { docs: houses } = useCollection('houses');
+  const participants = useMemo(() => [...dayParticipants].sort((a, b) => a.name.localeCompare(b.name)), [dayParticipants]);
+  const housesMap = useMemo(() => Object.fromEntries(houses.map(house => [normaliseHouseName(house.name), house])), [houses]); // { normalised house name: house }
   const [modalMessage, setModalMessage] = useState('');
   const [modalAction, setModalAction] = useState(null);
-  const [currentModalParticipantId, setCurrentModalParticipantId] = useState(null); // Used for modal context
-
-  useEffect(() => {
-    if (db && isAuthReady) {
-      const currentAppId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
-      const participantsColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_participants`);
-      const unsubscribe = onSnapshot(participantsColRef, (snapshot) => {
-        const participantsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        participantsData.sort((a, b) => a.name.localeCompare(b.name));
-        setParticipants(participantsData);
-      }, (error) => {
-        console.error("Error fetching participants:", error);
-      });
-      return () => unsubscribe();
-    }
-  }, [db, isAuthReady]);
 
-  const handleDeleteParticipant = (participantId) => {
-    setModalMessage("Are you sure you want to delete this participant? This will also delete all their scores.");
-    setCurrentModalParticipantId(participantId); // Set the ID for the modal's context
+  const handleDeleteParticipant = (participant) => {
+    setModalMessage(`Move ${participant.name} and their scores to the recycle bin?`);
     setModalAction(() => async () => {
       try {
-        const currentAppId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
-        await deleteDoc(doc(db, `artifacts/${currentAppId}/public/data/sportsday_participants`, currentModalParticipantId));
-        const scoresQuery = query(collection(db, `artifacts/${currentAppId}/public/data/sportsday_scores`), where("participantId", "==", currentModalParticipantId));
-        const scoresSnapshot = await getDocs(scoresQuery);
-        scoresSnapshot.forEach(async (scoreDoc) => {
-          await deleteDoc(doc(db, `artifacts/${currentAppId}/public/data/sportsday_scores`, scoreDoc.id));
-        });
-        setModalMessage("Participant and their scores deleted successfully!");
+        const dataPath = getDataPath();
+        await moveToTrash(db, dataPath, 'participant', participant, { userId, email: userEmail });
+        setModalMessage(`${participant.name} moved to the recycle bin.`);
       } catch (e) {
         console.error("Error deleting participant:", e);
         setModalMessage("Error deleting participant: " + e.message);
       } finally {
-        // Clear modal state after action, regardless of success/failure
         setModalAction(null);
-        setCurrentModalParticipantId(null);
       }
     });
   };
@@ -309,15 +1628,14 @@ const ParticipantList = ({ onEditParticipant }) => {
   const closeModal = () => {
     setModalMessage('');
     setModalAction(null);
-    setCurrentModalParticipantId(null);
   };
 
-  // FIX: Await the modalAction to ensure it completes before clearing state
   const confirmModal = async () => {
     if (modalAction) {
-      await modalAction(); // AWAIT the asynchronous action
+      await modalAction(); // Leaves the result message showing
+    } else {
+      closeModal();
     }
-    closeModal(); // Then close the modal
   };
 
   return (
@@ -336,23 +1654,29 @@ const ParticipantList = ({ onEditParticipant }) => {
           {participants.map((participant) => (
             <li key={participant.id} className="flex flex-col sm:flex-row items-start sm:items-center justify-between bg-gray-50 p-4 rounded-lg shadow-sm hover:shadow-md transition duration-200">
               <div className="flex-grow mb-2 sm:mb-0">
-                <p className="text-lg font-semibold text-gray-800">{participant.name}</p>
-                <p className="text-sm text-gray-600">House: {participant.house || 'N/A'}</p>
-              </div>
-              <div className="flex flex-wrap gap-2">
-                <button
-                  onClick={() => onEditParticipant(participant)}
-                  className="px-4 py-2 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-opacity-50 transition duration-200 text-sm"
-                >
-                  Edit
-                </button>
-                <button
-                  onClick={() => handleDeleteParticipant(participant.id)}
-                  className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 transition duration-200 text-sm"
-                >
-                  Delete
-                </button>
+                <button onClick={() => onShowProfile(participant.id, participant.name)} className="text-left text-lg font-semibold text-gray-800 hover:underline">{participant.name}</button>
+                <p className="text-sm text-gray-600">
+                  House: <HouseBadge name={participant.house || 'N/A'} house={housesMap[normaliseHouseName(participant.house)]} />
+                  {getAgeGroup(participant, currentDay?.ageCutoff) && ` · ${getAgeGroup(participant, currentDay?.ageCutoff)}`}
+                  {GENDERS[participant.gender] && ` · ${GENDERS[participant.gender]}`}
+                </p>
               </div>
+              {canManage(role) && (
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={() => onEditParticipant(participant)}
+                    className="px-4 py-2 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDeleteParticipant(participant)}
+                    className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
             </li>
           ))}
         </ul>
@@ -363,23 +1687,100 @@ const ParticipantList = ({ onEditParticipant }) => {
 
 // --- Form for Adding/Editing Events ---
 const EventForm = ({ eventToEdit, onSave, onCancel }) => {
-  const { db, isAuthReady } = useContext(AppContext);
+  const { db, isAuthReady, dayId, currentDay } = useContext(AppContext);
   const [name, setName] = useState(eventToEdit ? eventToEdit.name : '');
   const [type, setType] = useState(eventToEdit ? eventToEdit.type : '');
+  const [resultKind, setResultKind] = useState(eventToEdit?.resultKind || 'points');
+  const [direction, setDirection] = useState(eventToEdit?.direction || 'higher');
+  const [rounds, setRounds] = useState(eventToEdit?.rounds || []); // Empty means a single final
+  const [laneCount, setLaneCount] = useState(String(eventToEdit?.laneCount || DEFAULT_LANE_COUNT));
+  const [attempts, setAttempts] = useState(String(eventToEdit?.attempts || 1));
+  const [ageGroups, setAgeGroups] = useState(eventToEdit?.ageGroups || []); // Empty means open to every age group
+  const [genders, setGenders] = useState(eventToEdit?.genders || []); // Empty means mixed
+  const [teamEvent, setTeamEvent] = useState(Boolean(eventToEdit?.teamEvent));
+  const [teamSize, setTeamSize] = useState(String(eventToEdit?.teamSize || '')); // Empty means any number of members
+  const [memberPoints, setMemberPoints] = useState(Boolean(eventToEdit?.memberPoints));
+  const [startTime, setStartTime] = useState(eventToEdit?.startTime || ''); // 'HH:MM'; empty until scheduled
+  const [duration, setDuration] = useState(String(eventToEdit?.duration || '')); // Minutes
+  const [venue, setVenue] = useState(eventToEdit?.venue || '');
+  const [entriesPerHouse, setEntriesPerHouse] = useState(String(eventToEdit?.entriesPerHouse || '')); // Empty means no limit
+  const { docs: dayParticipants } = useParticipants(dayId);
+  // The age groups on offer are the ones the day's participants are in
+  const participantAgeGroups = useMemo(() => (
+    [...new Set(dayParticipants.map(participant => getAgeGroup(participant, currentDay?.ageCutoff)).filter(Boolean))]
+  ), [dayParticipants, currentDay?.ageCutoff]);
   const [error, setError] = useState('');
   const [loadingSuggestion, setLoadingSuggestion] = useState(false);
+  // Scores are saved against a round number, so once there are any the rounds can be renamed and
+  // retuned but not added or removed
+  const { docs: eventScores } = useScores(eventToEdit ? { eventId: eventToEdit.id } : null);
+  const roundsLocked = eventScores.length > 0;
 
   useEffect(() => {
     if (eventToEdit) {
       setName(eventToEdit.name);
       setType(eventToEdit.type);
+      setResultKind(eventToEdit.resultKind || 'points');
+      setDirection(eventToEdit.direction || 'higher');
+      setRounds(eventToEdit.rounds || []);
+      setLaneCount(String(eventToEdit.laneCount || DEFAULT_LANE_COUNT));
+      setAttempts(String(eventToEdit.attempts || 1));
+      setAgeGroups(eventToEdit.ageGroups || []);
+      setGenders(eventToEdit.genders || []);
+      setTeamEvent(Boolean(eventToEdit.teamEvent));
+      setTeamSize(String(eventToEdit.teamSize || ''));
+      setMemberPoints(Boolean(eventToEdit.memberPoints));
+      setStartTime(eventToEdit.startTime || '');
+      setDuration(String(eventToEdit.duration || ''));
+      setVenue(eventToEdit.venue || '');
+      setEntriesPerHouse(String(eventToEdit.entriesPerHouse || ''));
     } else {
       setName('');
       setType('');
+      setResultKind('points');
+      setDirection('higher');
+      setRounds([]);
+      setLaneCount(String(DEFAULT_LANE_COUNT));
+      setAttempts('1');
+      setAgeGroups([]);
+      setGenders([]);
+      setTeamEvent(false);
+      setTeamSize('');
+      setMemberPoints(false);
+      setStartTime('');
+      setDuration('');
+      setVenue('');
+      setEntriesPerHouse('');
     }
     setError('');
   }, [eventToEdit]);
 
+  const toggleValue = (setValues, value) => {
+    setValues(prev => (prev.includes(value) ? prev.filter(v => v !== value) : [...prev, value]));
+  };
+
+  const handleToggleRounds = (enabled) => {
+    setRounds(enabled ? [{ name: 'Heats', advanceTopN: 2, advanceFastestLosers: 2 }, { name: 'Final' }] : []);
+  };
+
+  const updateRound = (index, field, value) => {
+    setRounds(prev => prev.map((round, i) => (i === index ? { ...round, [field]: value } : round)));
+  };
+
+  // New rounds go in just before the final
+  const addRound = () => {
+    setRounds(prev => [...prev.slice(0, -1), { name: 'Semi-finals', advanceTopN: 2, advanceFastestLosers: 2 }, prev[prev.length - 1]]);
+  };
+
+  const removeRound = (index) => {
+    setRounds(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleResultKindChange = (kind) => {
+    setResultKind(kind);
+    setDirection(RESULT_KINDS[kind].defaultDirection); // e.g. switching to Time flips to lower-is-better
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!name.trim() || !type.trim()) {
@@ -392,16 +1793,85 @@ const EventForm = ({ eventToEdit, onSave, onCancel }) => {
       return;
     }
 
-    const eventData = { name: name.trim(), type: type.trim() };
-    const currentAppId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
+    // Timed events are run once; attempts only apply to measured events
+    const parsedAttempts = resultKind === 'time' ? 1 : parseInt(attempts, 10);
+    if (isNaN(parsedAttempts) || parsedAttempts < 1) {
+      setError("Attempts per participant must be at least 1.");
+      return;
+    }
+
+    const parsedLaneCount = parseInt(laneCount, 10);
+    if (rounds.length > 0) {
+      if (isNaN(parsedLaneCount) || parsedLaneCount < 1) {
+        setError("Lanes per heat must be at least 1.");
+        return;
+      }
+      if (rounds.some(round => !round.name.trim())) {
+        setError("Every round needs a name.");
+        return;
+      }
+      if (rounds.slice(0, -1).some(round => Number(round.advanceTopN) + Number(round.advanceFastestLosers) < 1)) {
+        setError("Every round before the final must advance at least one participant.");
+        return;
+      }
+    }
+
+    const parsedDuration = duration === '' ? 0 : parseInt(duration, 10);
+    if (isNaN(parsedDuration) || parsedDuration < 0) {
+      setError("Duration must be a number of minutes.");
+      return;
+    }
+
+    const parsedEntriesPerHouse = entriesPerHouse === '' ? 0 : parseInt(entriesPerHouse, 10);
+    if (isNaN(parsedEntriesPerHouse) || parsedEntriesPerHouse < 0) {
+      setError("The per-house limit must be a whole number, or blank for no limit.");
+      return;
+    }
+
+    const parsedTeamSize = teamSize === '' ? 0 : parseInt(teamSize, 10);
+    if (teamEvent && (isNaN(parsedTeamSize) || parsedTeamSize < 0)) {
+      setError("Team size must be a whole number, or blank for any size.");
+      return;
+    }
+
+    const dataPath = getDataPath();
+    if (eventToEdit && getRounds({ rounds }).length !== getRounds(eventToEdit).length) {
+      // Checked again here in case the scores listener hasn't caught up yet
+      const scoresSnapshot = await getDocs(query(collection(db, `${dataPath}/sportsday_scores`), where("eventId", "==", eventToEdit.id)));
+      if (!scoresSnapshot.empty) {
+        setError(`${eventToEdit.name} already has results, so its number of rounds can't change. Move the event to the recycle bin and set it up again to start over.`);
+        return;
+      }
+    }
+
+    const eventData = {
+      name: name.trim(),
+      type: type.trim(),
+      resultKind,
+      direction,
+      rounds: rounds.map((round, i) => (i < rounds.length - 1
+        ? { name: round.name.trim(), advanceTopN: Number(round.advanceTopN) || 0, advanceFastestLosers: Number(round.advanceFastestLosers) || 0 }
+        : { name: round.name.trim() })),
+      laneCount: rounds.length > 0 ? parsedLaneCount : DEFAULT_LANE_COUNT,
+      attempts: parsedAttempts,
+      ageGroups: [...ageGroups].sort(compareAgeGroups),
+      genders: Object.keys(GENDERS).filter(gender => genders.includes(gender)),
+      teamEvent,
+      teamSize: teamEvent ? parsedTeamSize : 0,
+      memberPoints: teamEvent && memberPoints,
+      startTime,
+      duration: parsedDuration,
+      venue: venue.trim(),
+      entriesPerHouse: parsedEntriesPerHouse,
+    };
 
     try {
       if (eventToEdit) {
         // Update existing event
-        await updateDoc(doc(db, `artifacts/${currentAppId}/public/data/sportsday_events`, eventToEdit.id), eventData);
+        await updateDoc(doc(db, `${dataPath}/sportsday_events`, eventToEdit.id), eventData);
       } else {
         // Add new event
-        await addDoc(collection(db, `artifacts/${currentAppId}/public/data/sportsday_events`), eventData);
+        await addDoc(collection(db, `${dataPath}/sportsday_events`), { ...eventData, dayId, status: 'scheduled' });
       }
       onSave(); // Go back to dashboard
     } catch (e) {
@@ -488,6 +1958,245 @@ const EventForm = ({ eventToEdit, onSave, onCancel }) => {
             required
           />
         </div>
+        <div className="flex flex-wrap gap-4">
+          <div>
+            <label htmlFor="eventStartTime" className="block text-sm font-medium text-gray-700 mb-1">Start Time</label>
+            <input
+              type="time"
+              id="eventStartTime"
+              value={startTime}
+              onChange={(e) => setStartTime(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="eventDuration" className="block text-sm font-medium text-gray-700 mb-1">Duration (min)</label>
+            <input
+              type="number"
+              min="0"
+              id="eventDuration"
+              value={duration}
+              onChange={(e) => setDuration(e.target.value)}
+              className="w-32 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div className="flex-grow">
+            <label htmlFor="eventVenue" className="block text-sm font-medium text-gray-700 mb-1">Venue</label>
+            <input
+              type="text"
+              id="eventVenue"
+              list="eventVenues"
+              value={venue}
+              onChange={(e) => setVenue(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="e.g., Track"
+            />
+            <datalist id="eventVenues">
+              {VENUES.map(v => <option key={v} value={v} />)}
+            </datalist>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-4">
+          <div className="flex-grow">
+            <label htmlFor="eventResultKind" className="block text-sm font-medium text-gray-700 mb-1">Result Kind</label>
+            <select
+              id="eventResultKind"
+              value={resultKind}
+              onChange={(e) => handleResultKindChange(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(RESULT_KINDS).map(([kind, { label, unit }]) => (
+                <option key={kind} value={kind}>{label} ({unit})</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex-grow">
+            <label htmlFor="eventDirection" className="block text-sm font-medium text-gray-700 mb-1">Ranking</label>
+            <select
+              id="eventDirection"
+              value={direction}
+              onChange={(e) => setDirection(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="higher">Higher is better</option>
+              <option value="lower">Lower is better</option>
+            </select>
+          </div>
+          {resultKind !== 'time' && (
+            <div>
+              <label htmlFor="eventAttempts" className="block text-sm font-medium text-gray-700 mb-1">Attempts</label>
+              <input
+                type="number"
+                min="1"
+                id="eventAttempts"
+                value={attempts}
+                onChange={(e) => setAttempts(e.target.value)}
+                className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          )}
+        </div>
+        <fieldset className="space-y-2 bg-gray-50 p-4 rounded-lg">
+          <legend className="block text-sm font-medium text-gray-700">Divisions</legend>
+          <p className="text-sm text-gray-500">Only eligible participants can be scored, and each age group and gender ticked is ranked separately. Leave a row unticked to open the event to everyone.</p>
+          <div className="flex flex-wrap gap-4">
+            {[...new Set([...participantAgeGroups, ...ageGroups])].sort(compareAgeGroups).map(ageGroup => (
+              <label key={ageGroup} className="inline-flex items-center text-sm text-gray-700">
+                <input type="checkbox" checked={ageGroups.includes(ageGroup)} onChange={() => toggleValue(setAgeGroups, ageGroup)} className="mr-2" />
+                {ageGroup}
+              </label>
+            ))}
+            {participantAgeGroups.length === 0 && ageGroups.length === 0 && (
+              <span className="text-sm text-gray-500 italic">No participants have a year group or age category yet.</span>
+            )}
+          </div>
+          <div className="flex flex-wrap gap-4">
+            {Object.entries(GENDERS).map(([gender, label]) => (
+              <label key={gender} className="inline-flex items-center text-sm text-gray-700">
+                <input type="checkbox" checked={genders.includes(gender)} onChange={() => toggleValue(setGenders, gender)} className="mr-2" />
+                {label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <div>
+          <label htmlFor="eventEntriesPerHouse" className="block text-sm font-medium text-gray-700 mb-1">{teamEvent ? 'Teams' : 'Entries'} per House</label>
+          <input
+            type="number"
+            min="1"
+            id="eventEntriesPerHouse"
+            value={entriesPerHouse}
+            onChange={(e) => setEntriesPerHouse(e.target.value)}
+            className="w-32 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="No limit"
+          />
+        </div>
+        <div>
+          <label className="inline-flex items-center text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={teamEvent}
+              onChange={(e) => setTeamEvent(e.target.checked)}
+              className="mr-2"
+            />
+            Team event (scored once per team, e.g. relays)
+          </label>
+        </div>
+        {teamEvent && (
+          <div className="flex flex-wrap items-end gap-4 bg-gray-50 p-4 rounded-lg">
+            <div>
+              <label htmlFor="eventTeamSize" className="block text-sm font-medium text-gray-700 mb-1">Members per Team</label>
+              <input
+                type="number"
+                min="1"
+                id="eventTeamSize"
+                value={teamSize}
+                onChange={(e) => setTeamSize(e.target.value)}
+                className="w-32 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="Any"
+              />
+            </div>
+            <label className="inline-flex items-center text-sm text-gray-700 pb-2">
+              <input
+                type="checkbox"
+                checked={memberPoints}
+                onChange={(e) => setMemberPoints(e.target.checked)}
+                className="mr-2"
+              />
+              Also award the team's points to each member in the individual standings
+            </label>
+          </div>
+        )}
+        <div>
+          <label className="inline-flex items-center text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={rounds.length > 0}
+              onChange={(e) => handleToggleRounds(e.target.checked)}
+              disabled={roundsLocked}
+              className="mr-2"
+            />
+            Run in rounds (heats feeding a final)
+          </label>
+          {roundsLocked && (
+            <p className="text-sm text-gray-600 mt-1">This event already has results, so rounds can't be added or removed.</p>
+          )}
+        </div>
+        {rounds.length > 0 && (
+          <div className="space-y-3 bg-gray-50 p-4 rounded-lg">
+            <div>
+              <label htmlFor="eventLaneCount" className="block text-sm font-medium text-gray-700 mb-1">Lanes per Heat</label>
+              <input
+                type="number"
+                min="1"
+                id="eventLaneCount"
+                value={laneCount}
+                onChange={(e) => setLaneCount(e.target.value)}
+                className="w-32 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            {rounds.map((round, index) => (
+              <div key={index} className="flex flex-wrap items-end gap-3">
+                <div className="flex-grow">
+                  <label htmlFor={`roundName-${index}`} className="block text-sm font-medium text-gray-700 mb-1">Round {index + 1}</label>
+                  <input
+                    type="text"
+                    id={`roundName-${index}`}
+                    value={round.name}
+                    onChange={(e) => updateRound(index, 'name', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                {index < rounds.length - 1 ? (
+                  <>
+                    <div>
+                      <label htmlFor={`roundTopN-${index}`} className="block text-sm font-medium text-gray-700 mb-1">Top N per heat</label>
+                      <input
+                        type="number"
+                        min="0"
+                        id={`roundTopN-${index}`}
+                        value={round.advanceTopN}
+                        onChange={(e) => updateRound(index, 'advanceTopN', e.target.value)}
+                        className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor={`roundLosers-${index}`} className="block text-sm font-medium text-gray-700 mb-1">+ Fastest losers</label>
+                      <input
+                        type="number"
+                        min="0"
+                        id={`roundLosers-${index}`}
+                        value={round.advanceFastestLosers}
+                        onChange={(e) => updateRound(index, 'advanceFastestLosers', e.target.value)}
+                        className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                    {rounds.length > 2 && !roundsLocked && (
+                      <button
+                        type="button"
+                        onClick={() => removeRound(index)}
+                        className="px-3 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition duration-200 text-sm"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </>
+                ) : (
+                  <span className="text-sm text-gray-600 pb-2">Only the final counts toward standings</span>
+                )}
+              </div>
+            ))}
+            {!roundsLocked && (
+              <button
+                type="button"
+                onClick={addRound}
+                className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition duration-200 text-sm"
+              >
+                Add Round Before Final
+              </button>
+            )}
+          </div>
+        )}
         {error && <p className="text-red-600 text-sm">{error}</p>}
         <div className="flex flex-wrap gap-4 mt-6">
           <button
@@ -526,22 +2235,38 @@ const EventForm = ({ eventToEdit, onSave, onCancel }) => {
 
 // --- Form for Adding/Editing Participants ---
 const ParticipantForm = ({ participantToEdit, onSave, onCancel }) => {
-  const { db, isAuthReady } = useContext(AppContext);
+  const { db, isAuthReady, dayId, currentDay } = useContext(AppContext);
   const [name, setName] = useState(participantToEdit ? participantToEdit.name : '');
-  const [house, setHouse] = useState(participantToEdit ? participantToEdit.house : '');
+  const [house, setHouse] = useState(participantToEdit ? participantToEdit.house || '' : '');
+  const [yearGroup, setYearGroup] = useState(participantToEdit?.yearGroup || '');
+  const [gender, setGender] = useState(participantToEdit?.gender || '');
+  const [dob, setDob] = useState(participantToEdit?.dob || '');
+  const { docs: houseDocs } = useCollection('houses');
+  const houses = useMemo(() => [...houseDocs].sort((a, b) => a.name.localeCompare(b.name)), [houseDocs]);
   const [error, setError] = useState('');
 
   useEffect(() => {
     if (participantToEdit) {
       setName(participantToEdit.name);
-      setHouse(participantToEdit.house);
+      setHouse(participantToEdit.house || '');
+      setYearGroup(participantToEdit.yearGroup || '');
+      setGender(participantToEdit.gender || '');
+      setDob(participantToEdit.dob || '');
     } else {
       setName('');
       setHouse('');
+      setYearGroup('');
+      setGender('');
+      setDob('');
     }
     setError('');
   }, [participantToEdit]);
 
+  // Legacy free-text houses snap to their registered spelling, or stay selectable so editing doesn't clear them
+  const registeredHouse = houses.find(h => normaliseHouseName(h.name) === normaliseHouseName(house));
+  const selectedHouse = registeredHouse ? registeredHouse.name : house;
+  const isUnregisteredHouse = house && !registeredHouse;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!name.trim()) {
@@ -554,16 +2279,17 @@ const ParticipantForm = ({ participantToEdit, onSave, onCancel }) => {
       return;
     }
 
-    const participantData = { name: name.trim(), house: house.trim() };
-    const currentAppId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
+    const participantData = { name: name.trim(), house: selectedHouse.trim(), yearGroup: yearGroup.trim(), gender, dob };
+    const dataPath = getDataPath();
 
     try {
+      // Queued rather than awaited so edits made offline don't block the form
       if (participantToEdit) {
         // Update existing participant
-        await updateDoc(doc(db, `artifacts/${currentAppId}/public/data/sportsday_participants`, participantToEdit.id), participantData);
+        queueWrite(updateDoc(doc(db, `${dataPath}/sportsday_participants`, participantToEdit.id), participantData), `changes to ${participantData.name}`);
       } else {
         // Add new participant
-        await addDoc(collection(db, `artifacts/${currentAppId}/public/data/sportsday_participants`), participantData);
+        queueWrite(setDoc(doc(collection(db, `${dataPath}/sportsday_participants`)), { ...participantData, dayId }), `new participant ${participantData.name}`);
       }
       onSave(); // Go back to dashboard
     } catch (e) {
@@ -590,15 +2316,66 @@ const ParticipantForm = ({ participantToEdit, onSave, onCancel }) => {
         </div>
         <div>
           <label htmlFor="participantHouse" className="block text-sm font-medium text-gray-700 mb-1">House (Optional)</label>
-          <input
-            type="text"
+          <select
             id="participantHouse"
-            value={house}
+            value={selectedHouse}
             onChange={(e) => setHouse(e.target.value)}
             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            placeholder="e.g., Gryffindor"
-          />
+          >
+            <option value="">-- No House --</option>
+            {houses.map(h => (
+              <option key={h.id} value={h.name} style={{ color: h.colour }}>{h.name}</option>
+            ))}
+            {isUnregisteredHouse && <option value={house}>{house} (unregistered)</option>}
+          </select>
+          {houses.length === 0 && (
+            <p className="text-sm text-gray-500 mt-1">No houses registered yet. Add them from the Houses screen.</p>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-4">
+          <div className="flex-grow">
+            <label htmlFor="participantYearGroup" className="block text-sm font-medium text-gray-700 mb-1">Year Group (Optional)</label>
+            <input
+              type="text"
+              id="participantYearGroup"
+              value={yearGroup}
+              onChange={(e) => setYearGroup(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="e.g., Year 4"
+            />
+          </div>
+          <div>
+            <label htmlFor="participantGender" className="block text-sm font-medium text-gray-700 mb-1">Gender</label>
+            <select
+              id="participantGender"
+              value={gender}
+              onChange={(e) => setGender(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">-- Not Set --</option>
+              {Object.entries(GENDERS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="participantDob" className="block text-sm font-medium text-gray-700 mb-1">Date of Birth</label>
+            <input
+              type="date"
+              id="participantDob"
+              value={dob}
+              onChange={(e) => setDob(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
         </div>
+        {!yearGroup.trim() && dob && (
+          <p className="text-sm text-gray-500">
+            {currentDay?.ageCutoff
+              ? `Competes as ${getAgeGroup({ dob }, currentDay.ageCutoff)} (age on ${currentDay.ageCutoff}).`
+              : 'Set an age cut-off date on the sports day to work out an age category from the date of birth.'}
+          </p>
+        )}
         {error && <p className="text-red-600 text-sm">{error}</p>}
         <div className="flex space-x-4">
           <button
@@ -620,238 +2397,207 @@ const ParticipantForm = ({ participantToEdit, onSave, onCancel }) => {
   );
 };
 
-// --- Score Entry Component ---
-const ScoreEntry = ({ eventId, eventName, onSave, onCancel }) => {
-  const { db, isAuthReady } = useContext(AppContext);
-  const [participants, setParticipants] = useState([]);
-  const [scores, setScores] = useState({}); // { participantId: score }
-  const [existingScores, setExistingScores] = useState({}); // { participantId: scoreDocId }
+// --- Participant Profile Component ---
+// How one participant got on at the selected sports day, plus their personal bests from every day
+const ParticipantProfile = ({ participantId, onBack, onShowScores }) => {
+  const { db, isAuthReady, dayId, currentDay, days, pointsTable } = useContext(AppContext);
+  const [participant, setParticipant] = useState(null);
+  // Everyone's results are needed to work out places and points, through the shared day listeners
+  const { docs: events } = useEvents(dayId);
+  const { docs: participants } = useParticipants(dayId);
+  const { docs: teams } = useCollection('teams', dayId ? { dayId } : null);
+  const { docs: scores } = useScores(dayId ? { dayId } : null);
+  const { docs: entries } = useCollection('entries', { participantId });
+  const { docs: houses } = useCollection('houses');
+  const eventsMap = useMemo(() => Object.fromEntries(events.map(event => [event.id, event])), [events]);
+  const participantsMap = useMemo(() => Object.fromEntries(participants.map(item => [item.id, item])), [participants]);
+  const teamsMap = useMemo(() => Object.fromEntries(teams.map(team => [team.id, team])), [teams]);
+  const housesMap = useMemo(() => Object.fromEntries(houses.map(house => [normaliseHouseName(house.name), house])), [houses]); // { normalised house name: house }
+  const [personalBests, setPersonalBests] = useState(null); // null while loading
+  const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [loadingParticipants, setLoadingParticipants] = useState(true);
 
   useEffect(() => {
     if (db && isAuthReady) {
-      const currentAppId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
-      const participantsColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_participants`);
-      const scoresColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_scores`);
-
-      // Fetch participants
-      const unsubscribeParticipants = onSnapshot(participantsColRef, (snapshot) => {
-        const participantsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        participantsData.sort((a, b) => a.name.localeCompare(b.name));
-        setParticipants(participantsData);
-        setLoadingParticipants(false);
-      }, (err) => {
-        console.error("Error fetching participants for score entry:", err);
-        setError("Failed to load participants.");
-        setLoadingParticipants(false);
+      const dataPath = getDataPath();
+      const unsubscribe = onSnapshot(doc(db, `${dataPath}/sportsday_participants`, participantId), (snapshot) => {
+        setParticipant(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+        setLoading(false);
+      }, (error) => {
+        console.error("Error fetching participant:", error);
+        setError("Failed to load participant: " + error.message);
+        setLoading(false);
       });
-
-      // Fetch existing scores for this event
-      const q = query(scoresColRef, where("eventId", "==", eventId));
-      const unsubscribeScores = onSnapshot(q, (snapshot) => {
-        const currentScores = {};
-        const currentExistingScores = {};
-        snapshot.docs.forEach(doc => {
-          const data = doc.data();
-          currentScores[data.participantId] = data.score;
-          currentExistingScores[data.participantId] = doc.id;
+      return () => unsubscribe();
+    }
+  }, [db, isAuthReady, participantId]);
+
+  // Personal bests search every sports day's roster for this participant's other copies, so they're
+  // fetched once rather than kept live. Keyed on who the participant is, so edits to anything else
+  // about them don't fetch them again.
+  const personId = participant ? getPersonId(participant) : null;
+  const personName = participant?.name || '';
+  const personDob = participant?.dob || '';
+  useEffect(() => {
+    if (db && isAuthReady && personId) {
+      let cancelled = false;
+      const dataPath = getDataPath();
+      const person = { id: personId, name: personName, dob: personDob };
+
+      const loadPersonalBests = async () => {
+        // Their copies carry their personId, or (when added separately) share their date of birth
+        const participantsPath = `${dataPath}/sportsday_participants`;
+        const candidates = [
+          ...(await getDocs(query(collection(db, participantsPath), where("personId", "==", personId)))).docs,
+          ...(personDob ? (await getDocs(query(collection(db, participantsPath), where("dob", "==", personDob)))).docs : []),
+        ];
+        const selfIds = [...new Set([personId, ...candidates
+          .filter(participantDoc => isSamePerson({ id: participantDoc.id, ...participantDoc.data() }, person))
+          .map(participantDoc => participantDoc.id)])];
+
+        const scores = (await getDocsWhereIn(db, `${dataPath}/sportsday_scores`, "participantId", selfIds)).map(scoreDoc => scoreDoc.data());
+        const eventIds = [...new Set(scores.map(score => score.eventId))];
+        const eventsById = {};
+        (await getDocsWhereIn(db, `${dataPath}/sportsday_events`, documentId(), eventIds)).forEach(eventDoc => {
+          eventsById[eventDoc.id] = eventDoc.data();
         });
-        setScores(currentScores);
-        setExistingScores(currentExistingScores);
-      }, (err) => {
-        console.error("Error fetching existing scores:", err);
-      });
-
-      return () => {
-        unsubscribeParticipants();
-        unsubscribeScores();
+        const results = scores
+          .filter(score => eventsById[score.eventId])
+          .map(score => ({ event: eventsById[score.eventId], score: score.score, dayId: score.dayId || eventsById[score.eventId].dayId }));
+        if (!cancelled) setPersonalBests(findPersonalBests(results));
       };
-    }
-  }, [db, isAuthReady, eventId]);
-
-  const handleScoreChange = (participantId, value) => {
-    // Allow empty string or numbers
-    if (value === '' || /^\d*\.?\d*$/.test(value)) {
-      setScores(prev => ({ ...prev, [participantId]: value }));
-    }
-  };
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setError('');
-
-    if (!db || !isAuthReady) {
-      setError("Database not ready. Please wait.");
-      return;
-    }
 
-    const currentAppId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
-    const scoresColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_scores`);
-
-    try {
-      for (const participant of participants) {
-        const scoreValue = scores[participant.id];
-        if (scoreValue !== undefined && scoreValue !== null && scoreValue !== '') {
-          const scoreData = {
-            eventId: eventId,
-            participantId: participant.id,
-            score: parseFloat(scoreValue), // Convert to number
-            timestamp: new Date(),
-          };
-
-          if (existingScores[participant.id]) {
-            // Update existing score
-            await updateDoc(doc(db, `artifacts/${currentAppId}/public/data/sportsday_scores`, existingScores[participant.id]), scoreData);
-          } else {
-            // Add new score
-            await addDoc(scoresColRef, scoreData);
-          }
-        } else if (existingScores[participant.id]) {
-          // If score is cleared and an existing score exists, delete it
-          await deleteDoc(doc(db, `artifacts/${currentAppId}/public/data/sportsday_scores`, existingScores[participant.id]));
-        }
-      }
-      onSave(); // Go back to dashboard
-    } catch (e) {
-      console.error("Error saving scores:", e);
-      setError("Failed to save scores: " + e.message);
+      loadPersonalBests().catch((e) => {
+        console.error("Error fetching personal bests:", e);
+        if (!cancelled) setError("Failed to load personal bests: " + e.message);
+      });
+      return () => { cancelled = true; };
     }
-  };
+  }, [db, isAuthReady, personId, personName, personDob]);
 
-  if (loadingParticipants) {
-    return <div className="text-center py-8 text-gray-600">Loading participants...</div>;
+  if (loading) {
+    return <div className="text-center py-8 text-gray-600">Loading participant...</div>;
   }
 
-  if (participants.length === 0) {
+  if (!participant) {
     return (
-      <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
-        <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Enter Scores for {eventName}</h2>
-        <p className="text-gray-600 italic">No participants available. Please add participants first.</p>
+      <div className="bg-white p-6 rounded-xl shadow-lg mb-8 text-center">
+        <p className="text-gray-600 mb-6">{error || 'This participant has been deleted.'}</p>
         <button
-          onClick={onCancel}
-          className="mt-4 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+          onClick={onBack}
+          className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
         >
-          Back
+          Back to Dashboard
         </button>
       </div>
     );
+  }
+
+  const results = getParticipantResults(participantId, { scores, eventsMap, participantsMap, teamsMap, entries, pointsTable, ageCutoff: currentDay?.ageCutoff });
+  const totalPoints = results.reduce((sum, result) => sum + result.points, 0);
+  const housePoints = results.reduce((sum, result) => sum + result.housePoints, 0);
+  const ageGroup = getAgeGroup(participant, currentDay?.ageCutoff);
+  const daysById = {};
+  days.forEach(day => {
+    daysById[day.id] = day;
+  });
+
+  const describeResult = (result) => {
+    if (result.score === undefined) return 'Not competed yet';
+    return result.round ? `${formatResult(result.event, result.score)} (${result.round})` : formatResult(result.event, result.score);
   };
 
   return (
     <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
-      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Enter Scores for {eventName}</h2>
-      <form onSubmit={handleSubmit} className="space-y-4">
-        {participants.map((participant) => (
-          <div key={participant.id} className="flex items-center space-x-4">
-            <label htmlFor={`score-${participant.id}`} className="block text-lg font-medium text-gray-700 w-48 truncate">
-              {participant.name} ({participant.house})
-            </label>
-            <input
-              type="number"
-              step="0.01" // Allow decimal scores
-              id={`score-${participant.id}`}
-              value={scores[participant.id] !== undefined ? scores[participant.id] : ''}
-              onChange={(e) => handleScoreChange(participant.id, e.target.value)}
-              className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              placeholder="Score"
-            />
-          </div>
-        ))}
-        {error && <p className="text-red-600 text-sm mt-4">{error}</p>}
-        <div className="flex space-x-4 mt-6">
-          <button
-            type="submit"
-            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200"
-          >
-            Save Scores
-          </button>
-          <button
-            type="button"
-            onClick={onCancel}
-            className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
-          >
-            Cancel
-          </button>
-        </div>
-      </form>
-    </div>
-  );
-};
-
-// --- View Scores for a Specific Event Component ---
-const EventScoresView = ({ eventId, eventName, onBack }) => {
-  const { db, isAuthReady } = useContext(AppContext);
-  const [eventScores, setEventScores] = useState([]);
-  const [participantsMap, setParticipantsMap] = useState({});
-  const [loading, setLoading] = useState(true);
-
-  useEffect(() => {
-    if (db && isAuthReady) {
-      const currentAppId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
-      const scoresColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_scores`);
-      const participantsColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_participants`);
-
-      // Fetch participants once to create a map
-      const fetchParticipants = async () => {
-        const snapshot = await getDocs(participantsColRef);
-        const newParticipantsMap = {};
-        snapshot.docs.forEach(doc => {
-          newParticipantsMap[doc.id] = doc.data();
-        });
-        setParticipantsMap(newParticipantsMap);
-      };
-
-      fetchParticipants();
-
-      // Listen for scores for this event
-      const q = query(scoresColRef, where("eventId", "==", eventId));
-      const unsubscribe = onSnapshot(q, (snapshot) => {
-        const scoresData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        scoresData.sort((a, b) => b.score - a.score);
-        setEventScores(scoresData);
-        setLoading(false);
-      }, (error) => {
-        console.error("Error fetching event scores:", error);
-        setLoading(false);
-      });
+      <div className="mb-6 border-b pb-3">
+        <h2 className="text-2xl font-bold text-gray-800">{participant.name}</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          House: <HouseBadge name={participant.house || 'N/A'} house={housesMap[normaliseHouseName(participant.house)]} />
+          {ageGroup && ` · ${ageGroup}`}
+          {GENDERS[participant.gender] && ` · ${GENDERS[participant.gender]}`}
+        </p>
+      </div>
+      {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
 
-      return () => unsubscribe();
-    }
-  }, [db, isAuthReady, eventId]);
+      <div className="grid grid-cols-2 gap-4 mb-6">
+        <div className="bg-blue-50 rounded-lg p-4 text-center">
+          <p className="text-3xl font-bold text-blue-800">{formatPoints(totalPoints)}</p>
+          <p className="text-sm text-blue-700">Total points</p>
+        </div>
+        <div className="bg-green-50 rounded-lg p-4 text-center">
+          <p className="text-3xl font-bold text-green-800">{formatPoints(housePoints)}</p>
+          <p className="text-sm text-green-700">Points for {participant.house || 'their house'}</p>
+        </div>
+      </div>
 
-  if (loading) {
-    return <div className="text-center py-8 text-gray-600">Loading scores...</div>;
-  }
+      <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">Events</h3>
+      {results.length === 0 ? (
+        <p className="text-gray-600 italic mb-6">Not entered in any events yet.</p>
+      ) : (
+        <div className="overflow-x-auto mb-8">
+          <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+            <thead className="bg-gray-100 border-b border-gray-200">
+              <tr>
+                <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Event</th>
+                <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Result</th>
+                <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Place</th>
+                <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Points</th>
+                <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">House Points</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(result => (
+                <tr key={result.eventId} className="border-b border-gray-100 last:border-b-0 hover:bg-gray-50">
+                  <td className="py-3 px-4 text-gray-800">
+                    <button onClick={() => onShowScores(result.eventId, result.event.name)} className="text-left text-blue-700 hover:underline">{result.event.name}</button>
+                    {result.teamId && <span className="block text-xs text-gray-500">with {teamsMap[result.teamId]?.name || 'their team'}</span>}
+                  </td>
+                  <td className="py-3 px-4 text-gray-800">{describeResult(result)}</td>
+                  <td className="py-3 px-4 text-gray-800 font-bold">
+                    {result.place ?? '—'}
+                    {result.division && <span className="ml-2 text-xs font-normal text-gray-500">{result.division}</span>}
+                  </td>
+                  <td className="py-3 px-4 text-gray-800">{formatPoints(result.points)}</td>
+                  <td className="py-3 px-4 text-gray-800">{formatPoints(result.housePoints)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
 
-  return (
-    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
-      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Scores for {eventName}</h2>
-      {eventScores.length === 0 ? (
-        <p className="text-gray-600 italic">No scores recorded for this event yet.</p>
+      <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">Personal Bests</h3>
+      {personalBests === null ? (
+        <p className="text-gray-600 mb-6">Loading personal bests...</p>
+      ) : personalBests.length === 0 ? (
+        <p className="text-gray-600 italic mb-6">No results on any sports day yet.</p>
       ) : (
-        <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+        <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm mb-6">
           <thead className="bg-gray-100 border-b border-gray-200">
             <tr>
-              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Participant</th>
-              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">House</th>
-              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Score</th>
+              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Event</th>
+              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Best</th>
+              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Sports Day</th>
             </tr>
           </thead>
           <tbody>
-            {eventScores.map((score) => (
-              <tr key={score.id} className="border-b border-gray-100 last:border-b-0 hover:bg-gray-50">
-                <td className="py-3 px-4 text-gray-800">{participantsMap[score.participantId]?.name || 'Unknown Participant'}</td>
-                <td className="py-3 px-4 text-gray-600">{participantsMap[score.participantId]?.house || 'N/A'}</td>
-                <td className="py-3 px-4 text-gray-800 font-medium">{score.score}</td>
+            {personalBests.map(best => (
+              <tr key={best.event.name} className="border-b border-gray-100 last:border-b-0 hover:bg-gray-50">
+                <td className="py-3 px-4 text-gray-800">{best.event.name}</td>
+                <td className="py-3 px-4 text-gray-800 font-medium">{formatResult(best.event, best.score)}</td>
+                <td className="py-3 px-4 text-gray-600">
+                  {daysById[best.dayId] ? `${daysById[best.dayId].name} (${daysById[best.dayId].date})` : 'Unknown'}
+                  {best.dayId === dayId && <span className="ml-2 text-xs font-semibold text-green-700">This day</span>}
+                </td>
               </tr>
             ))}
           </tbody>
         </table>
       )}
+
       <button
         onClick={onBack}
-        className="mt-6 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+        className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
       >
         Back to Dashboard
       </button>
@@ -859,142 +2605,3806 @@ const EventScoresView = ({ eventId, eventName, onBack }) => {
   );
 };
 
-// --- Overall Standings Component ---
-const OverallStandings = () => {
-  const { db, isAuthReady } = useContext(AppContext);
-  const [standings, setStandings] = useState([]);
-  const [loading, setLoading] = useState(true);
-
+// --- House Registry Management Component ---
+const HouseManager = ({ onBack }) => {
+  const { db, isAuthReady, days } = useContext(AppContext);
+  const { docs: houseDocs } = useCollection('houses');
+  const houses = useMemo(() => [...houseDocs].sort((a, b) => a.name.localeCompare(b.name)), [houseDocs]);
+  // Participants and teams on open days, for member counts and to find free-text houses not yet
+  // registered. Locked days keep the house names they had.
+  const { docs: allParticipants } = useCollection('participants');
+  const { docs: allTeams } = useCollection('teams');
+  const lockedDayIds = useMemo(() => new Set(days.filter(day => day.locked).map(day => day.id)), [days]);
+  const participants = useMemo(() => allParticipants.filter(p => !lockedDayIds.has(p.dayId)), [allParticipants, lockedDayIds]);
+  const teams = useMemo(() => allTeams.filter(team => !lockedDayIds.has(team.dayId)), [allTeams, lockedDayIds]);
+  const [drafts, setDrafts] = useState({}); // { houseId: { name, colour, crest } } for unsaved edits
+  const [mergeTargets, setMergeTargets] = useState({}); // { source house name: target house name }
+  const [newHouse, setNewHouse] = useState({ name: '', colour: HOUSE_COLOURS[0], crest: '' });
+  const [error, setError] = useState('');
+  const [modalMessage, setModalMessage] = useState('');
+  const [modalAction, setModalAction] = useState(null);
+
+  // Exact house strings found on participants, since a rename or merge has to match them exactly
+  const houseNamesInUse = [...new Set(participants.map(p => p.house).filter(house => house && house.trim()))];
+  const unregisteredNames = houseNamesInUse
+    .filter(name => !houses.some(h => normaliseHouseName(h.name) === normaliseHouseName(name)))
+    .sort((a, b) => a.localeCompare(b));
+  const countMembers = (name) => participants.filter(p => normaliseHouseName(p.house) === normaliseHouseName(name)).length;
+
+  const isDuplicateName = (name, exceptId = null) =>
+    houses.some(h => h.id !== exceptId && normaliseHouseName(h.name) === normaliseHouseName(name));
+
+  // Commits a planHouseMove plan and says how many participants it moved
+  const commitHouseMove = async (plan) => {
+    const dataPath = getDataPath();
+    await commitInBatches(db, plan.map(({ kind, id, data, changes }) => (batch) => {
+      const ref = doc(db, `${dataPath}/sportsday_${kind}`, id);
+      if (data) batch.set(ref, data);
+      else if (changes) batch.update(ref, changes);
+      else batch.delete(ref);
+    }));
+    return plan.filter(write => write.kind === 'participants').length;
+  };
+
+  const handleAddHouse = async (e) => {
+    e.preventDefault();
+    setError('');
+    const name = newHouse.name.trim();
+    if (!name) {
+      setError("House name cannot be empty.");
+      return;
+    }
+    if (isDuplicateName(name)) {
+      setError(`A house called "${name}" already exists.`);
+      return;
+    }
+    if (!db || !isAuthReady) {
+      setError("Database not ready. Please wait.");
+      return;
+    }
+
+    try {
+      const houseRef = doc(collection(db, `${getDataPath()}/sportsday_houses`));
+      // Participants typed in before the registry existed pick up the registered spelling
+      await commitHouseMove(planHouseMove({ participants, teams }, [name], name, {
+        id: houseRef.id,
+        data: { name, colour: newHouse.colour, crest: newHouse.crest.trim() },
+      }));
+      setNewHouse({ name: '', colour: HOUSE_COLOURS[(houses.length + 1) % HOUSE_COLOURS.length], crest: '' });
+    } catch (e) {
+      console.error("Error adding house:", e);
+      setError("Failed to add house: " + e.message);
+    }
+  };
+
+  const updateDraft = (house, field, value) => {
+    setDrafts(prev => ({ ...prev, [house.id]: { ...(prev[house.id] || { name: house.name, colour: house.colour, crest: house.crest || '' }), [field]: value } }));
+  };
+
+  const handleSaveHouse = async (house) => {
+    setError('');
+    const draft = drafts[house.id];
+    if (!draft) return;
+    const name = draft.name.trim();
+    if (!name) {
+      setError("House name cannot be empty.");
+      return;
+    }
+    if (isDuplicateName(name, house.id)) {
+      setError(`A house called "${name}" already exists. Use Merge to combine them.`);
+      return;
+    }
+
+    try {
+      const moved = await commitHouseMove(planHouseMove({ participants, teams }, name !== house.name ? [house.name] : [], name, {
+        id: house.id,
+        changes: { name, colour: draft.colour, crest: draft.crest.trim() },
+      }));
+      if (name !== house.name) {
+        setModalMessage(`House renamed to "${name}". ${moved} participant(s) updated.`);
+      }
+      setDrafts(prev => {
+        const { [house.id]: _saved, ...rest } = prev;
+        return rest;
+      });
+    } catch (e) {
+      console.error("Error saving house:", e);
+      setError("Failed to save house: " + e.message);
+    }
+  };
+
+  // Source may be a registered house or a free-text name that was never registered
+  const handleMerge = (sourceName, sourceHouse = null) => {
+    const targetName = mergeTargets[sourceName];
+    if (!targetName) {
+      setError("Choose a house to merge into.");
+      return;
+    }
+    setError('');
+    setModalMessage(`Merge "${sourceName}" into "${targetName}"? Its ${countMembers(sourceName)} participant(s) will move to ${targetName}.`);
+    setModalAction(() => async () => {
+      try {
+        const moved = await commitHouseMove(planHouseMove({ participants, teams }, [sourceName], targetName, sourceHouse && { id: sourceHouse.id }));
+        setModalMessage(`Merged "${sourceName}" into "${targetName}". ${moved} participant(s) updated.`);
+      } catch (e) {
+        console.error("Error merging houses:", e);
+        setModalMessage("Error merging houses: " + e.message);
+      } finally {
+        setModalAction(null);
+      }
+    });
+  };
+
+  const closeModal = () => {
+    setModalMessage('');
+    setModalAction(null);
+  };
+
+  const confirmModal = async () => {
+    if (modalAction) {
+      await modalAction();
+      return; // The action leaves its result in the modal for the user to dismiss
+    }
+    closeModal();
+  };
+
+  const renderMergeControls = (sourceName, sourceHouse = null) => (
+    <div className="flex flex-wrap gap-2">
+      <select
+        value={mergeTargets[sourceName] || ''}
+        onChange={(e) => setMergeTargets(prev => ({ ...prev, [sourceName]: e.target.value }))}
+        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+        aria-label={`Merge ${sourceName} into`}
+      >
+        <option value="">-- Merge into --</option>
+        {houses.filter(h => h.name !== sourceName).map(h => (
+          <option key={h.id} value={h.name}>{h.name}</option>
+        ))}
+      </select>
+      <button
+        onClick={() => handleMerge(sourceName, sourceHouse)}
+        className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-50 transition duration-200 text-sm"
+      >
+        Merge
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Houses</h2>
+      <Modal
+        message={modalMessage}
+        onConfirm={confirmModal}
+        onCancel={closeModal}
+        showCancel={modalAction !== null}
+      />
+
+      <form onSubmit={handleAddHouse} className="flex flex-wrap items-end gap-4 mb-8">
+        <div className="flex-grow">
+          <label htmlFor="newHouseName" className="block text-sm font-medium text-gray-700 mb-1">House Name</label>
+          <input
+            type="text"
+            id="newHouseName"
+            value={newHouse.name}
+            onChange={(e) => setNewHouse(prev => ({ ...prev, name: e.target.value }))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="e.g., Gryffindor"
+          />
+        </div>
+        <div>
+          <label htmlFor="newHouseColour" className="block text-sm font-medium text-gray-700 mb-1">Colour</label>
+          <input
+            type="color"
+            id="newHouseColour"
+            value={newHouse.colour}
+            onChange={(e) => setNewHouse(prev => ({ ...prev, colour: e.target.value }))}
+            className="h-10 w-16 border border-gray-300 rounded-md"
+          />
+        </div>
+        <div className="flex-grow">
+          <label htmlFor="newHouseCrest" className="block text-sm font-medium text-gray-700 mb-1">Crest Image URL (Optional)</label>
+          <input
+            type="url"
+            id="newHouseCrest"
+            value={newHouse.crest}
+            onChange={(e) => setNewHouse(prev => ({ ...prev, crest: e.target.value }))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="https://..."
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200"
+        >
+          Add House
+        </button>
+      </form>
+
+      {error && <p className="text-red-600 text-sm mb-4">{error}</p>}
+
+      {houses.length === 0 ? (
+        <p className="text-gray-600 italic">No houses registered yet.</p>
+      ) : (
+        <ul className="space-y-4">
+          {houses.map((house) => {
+            const draft = drafts[house.id] || { name: house.name, colour: house.colour, crest: house.crest || '' };
+            return (
+              <li key={house.id} className="bg-gray-50 p-4 rounded-lg shadow-sm space-y-3">
+                <div className="flex flex-wrap items-center gap-4">
+                  <input
+                    type="color"
+                    value={draft.colour}
+                    onChange={(e) => updateDraft(house, 'colour', e.target.value)}
+                    className="h-10 w-16 border border-gray-300 rounded-md"
+                    aria-label={`${house.name} colour`}
+                  />
+                  <input
+                    type="text"
+                    value={draft.name}
+                    onChange={(e) => updateDraft(house, 'name', e.target.value)}
+                    className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label={`${house.name} name`}
+                  />
+                  <input
+                    type="url"
+                    value={draft.crest}
+                    onChange={(e) => updateDraft(house, 'crest', e.target.value)}
+                    className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Crest image URL"
+                    aria-label={`${house.name} crest`}
+                  />
+                  <span className="text-sm text-gray-600">{countMembers(house.name)} participant(s)</span>
+                  <button
+                    onClick={() => handleSaveHouse(house)}
+                    disabled={!drafts[house.id]}
+                    className="px-4 py-2 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                  >
+                    Save
+                  </button>
+                </div>
+                {houses.length > 1 && renderMergeControls(house.name, house)}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {unregisteredNames.length > 0 && (
+        <div className="mt-8">
+          <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">Unregistered House Names</h3>
+          <p className="text-sm text-gray-600 mb-4">These were typed in before houses were managed. Register them, or merge them into an existing house.</p>
+          <ul className="space-y-4">
+            {unregisteredNames.map(name => (
+              <li key={name} className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-2 bg-gray-50 p-4 rounded-lg shadow-sm">
+                <span className="text-gray-800">"{name}" · {countMembers(name)} participant(s)</span>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={() => setNewHouse(prev => ({ ...prev, name: name.trim() }))}
+                    className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                  >
+                    Register
+                  </button>
+                  {houses.length > 0 && renderMergeControls(name)}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <button
+        onClick={onBack}
+        className="mt-8 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+      >
+        Back to Dashboard
+      </button>
+    </div>
+  );
+};
+
+// --- CSV Import Component ---
+const CsvImport = ({ onBack }) => {
+  const { db, isAuthReady, dayId } = useContext(AppContext);
+  const repository = useRepository();
+  const [kind, setKind] = useState('participants');
+  const [csvText, setCsvText] = useState('');
+  const [rows, setRows] = useState(null); // Preview rows from prepareImport
+  const [error, setError] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setCsvText(await file.text());
+    setRows(null);
+    setReport(null);
+  };
+
+  const handlePreview = async () => {
+    setError('');
+    setReport(null);
+    if (!db || !isAuthReady) {
+      setError("Database not ready. Please wait.");
+      return;
+    }
+
+    try {
+      // Read existing docs fresh so duplicates are checked against the current data
+      const [existing, houses] = await Promise.all([repository.list(kind, { dayId }), repository.list('houses')]);
+      setRows(prepareImport(kind, csvText, existing, houses));
+    } catch (e) {
+      console.error("Error previewing import:", e);
+      setRows(null);
+      setError("Failed to read CSV: " + e.message);
+    }
+  };
+
+  const handleImport = async () => {
+    const accepted = rows.filter(row => row.status === 'new');
+    const dataPath = getDataPath();
+    const colRef = collection(db, `${dataPath}/sportsday_${kind}`);
+
+    setImporting(true);
+    setError('');
+    try {
+      await commitInBatches(db, accepted.map(row => (batch) => batch.set(doc(colRef), { ...row.data, dayId })));
+      setReport({
+        created: accepted.length,
+        skipped: rows.filter(row => row.status === 'duplicate').length,
+        rejected: rows.filter(row => row.status === 'invalid').length,
+      });
+      setRows(null);
+      setCsvText('');
+    } catch (e) {
+      console.error("Error importing CSV:", e);
+      setError("Import failed: " + e.message + ". Batches already committed were kept; preview again to import the rest.");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const statusStyles = {
+    new: 'text-green-700',
+    duplicate: 'text-yellow-700',
+    invalid: 'text-red-700',
+  };
+  const fieldsShown = kind === 'participants' ? ['name', 'house', 'yearGroup', 'gender', 'dob'] : ['name', 'type', 'resultKind', 'direction'];
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Import from CSV</h2>
+      <div className="space-y-4">
+        <div>
+          <label htmlFor="importKind" className="block text-sm font-medium text-gray-700 mb-1">Import</label>
+          <select
+            id="importKind"
+            value={kind}
+            onChange={(e) => { setKind(e.target.value); setRows(null); setReport(null); }}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="participants">Participants (name, house, year group)</option>
+            <option value="events">Events (name, type, result kind, direction)</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="importFile" className="block text-sm font-medium text-gray-700 mb-1">CSV File</label>
+          <input
+            type="file"
+            id="importFile"
+            accept=".csv,text/csv"
+            onChange={handleFileChange}
+            className="w-full text-sm text-gray-700"
+          />
+        </div>
+        <div>
+          <label htmlFor="importText" className="block text-sm font-medium text-gray-700 mb-1">Or paste CSV</label>
+          <textarea
+            id="importText"
+            value={csvText}
+            onChange={(e) => { setCsvText(e.target.value); setRows(null); }}
+            rows={6}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder={kind === 'participants' ? 'name,house,year group,gender,dob\nJane Doe,Red,Year 4,girls,2016-05-14' : 'name,type,result kind,direction\n100m Sprint,Track,time,lower'}
+          />
+        </div>
+        {error && <p className="text-red-600 text-sm">{error}</p>}
+        {report && (
+          <p className="text-green-700 text-sm font-semibold">
+            Import complete: {report.created} created, {report.skipped} skipped as duplicates, {report.rejected} rejected.
+          </p>
+        )}
+        <button
+          onClick={handlePreview}
+          disabled={!csvText.trim()}
+          className="px-6 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-50 transition duration-200"
+        >
+          Preview
+        </button>
+      </div>
+
+      {rows && (
+        <div className="mt-8">
+          <p className="text-sm text-gray-700 mb-4">
+            {rows.filter(row => row.status === 'new').length} to create,
+            {' '}{rows.filter(row => row.status === 'duplicate').length} duplicate(s) to skip,
+            {' '}{rows.filter(row => row.status === 'invalid').length} invalid row(s) to reject.
+          </p>
+          <div className="overflow-x-auto max-h-96 overflow-y-auto mb-4">
+            <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+              <thead className="bg-gray-100 border-b border-gray-200">
+                <tr>
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Line</th>
+                  {fieldsShown.map(field => (
+                    <th key={field} className="py-3 px-4 text-left text-sm font-semibold text-gray-700">{field}</th>
+                  ))}
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.line} className="border-b border-gray-100 last:border-b-0">
+                    <td className="py-2 px-4 text-gray-600">{row.line}</td>
+                    {fieldsShown.map(field => (
+                      <td key={field} className="py-2 px-4 text-gray-800">{row.data[field]}</td>
+                    ))}
+                    <td className={`py-2 px-4 text-sm ${statusStyles[row.status]}`}>
+                      {row.status === 'invalid' ? row.errors.join('; ') : row.status === 'duplicate' ? 'Duplicate' : 'New'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button
+            onClick={handleImport}
+            disabled={importing || !rows.some(row => row.status === 'new')}
+            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200"
+          >
+            {importing ? 'Importing...' : `Import ${rows.filter(row => row.status === 'new').length} Row(s)`}
+          </button>
+        </div>
+      )}
+
+      <button
+        onClick={onBack}
+        className="mt-8 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+      >
+        Back to Dashboard
+      </button>
+    </div>
+  );
+};
+
+// --- Score Entry Component ---
+const ScoreEntry = ({ eventId, eventName, onSave, onCancel }) => {
+  const { db, isAuthReady, dayId, currentDay, days, userId, userEmail } = useContext(AppContext);
+  const { docs: dayParticipants, loading: loadingParticipants, error: participantsError } = useParticipants(dayId);
+  const participants = useMemo(() => [...dayParticipants].sort((a, b) => a.name.localeCompare(b.name)), [dayParticipants]);
+  const [teams, setTeams] = useState([]); // The event's teams, if it's a team event
+  const [entries, setEntries] = useState([]); // Who is entered, if it's an individual event
+  const [scores, setScores] = useState({}); // { entrantId: score }, or { entrantId: [attempt inputs] } for multi-attempt events
+  const [existingScores, setExistingScores] = useState({}); // { entrantId: scoreDocId }
+  const [event, setEvent] = useState(null); // Needed for the result kind, units and direction
+  const { docs: scoreDocs } = useScores({ eventId }); // Every round's scores for this event
+  const [heats, setHeats] = useState([]);
+  const [selectedRound, setSelectedRound] = useState(0);
+  const [selectedHeat, setSelectedHeat] = useState(1);
+  const { docs: records } = useCollection('records');
+  const recordsMap = useMemo(() => Object.fromEntries(records.map(record => [recordKey(record), record])), [records]); // { recordDocId: record }
+  const [earlierMarks, setEarlierMarks] = useState([]); // This event's results on earlier days
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (participantsError) setError("Failed to load participants.");
+  }, [participantsError]);
+
+  useEffect(() => {
+    if (db && isAuthReady) {
+      const dataPath = getDataPath();
+
+      // Fetch the event itself
+      const unsubscribeEvent = onSnapshot(doc(db, `${dataPath}/sportsday_events`, eventId), (snapshot) => {
+        setEvent(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+      }, (err) => {
+        console.error("Error fetching event for score entry:", err);
+      });
+
+      const teamsQuery = query(collection(db, `${dataPath}/sportsday_teams`), where("eventId", "==", eventId));
+      const unsubscribeTeams = onSnapshot(teamsQuery, (snapshot) => {
+        const teamsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        teamsData.sort((a, b) => a.name.localeCompare(b.name));
+        setTeams(teamsData);
+      }, (err) => {
+        console.error("Error fetching teams for score entry:", err);
+      });
+
+      const entriesQuery = query(collection(db, `${dataPath}/sportsday_entries`), where("eventId", "==", eventId));
+      const unsubscribeEntries = onSnapshot(entriesQuery, (snapshot) => {
+        setEntries(snapshot.docs.map(doc => doc.data()));
+      }, (err) => {
+        console.error("Error fetching entries for score entry:", err);
+      });
+
+      // Heats decide who is listed when the event runs in rounds
+      const heatsQuery = query(collection(db, `${dataPath}/sportsday_heats`), where("eventId", "==", eventId));
+      const unsubscribeHeats = onSnapshot(heatsQuery, (snapshot) => {
+        setHeats(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (err) => {
+        console.error("Error fetching heats for score entry:", err);
+      });
+
+      return () => {
+        unsubscribeEvent();
+        unsubscribeTeams();
+        unsubscribeEntries();
+        unsubscribeHeats();
+      };
+    }
+  }, [db, isAuthReady, eventId]);
+
+  // Keyed on the event's name and earlier days, so score and roster updates don't fetch them again
+  const earlierEventName = event && !event.teamEvent ? event.name : null;
+  const earlierDayIds = getEarlierDayIds(event, days).join(',');
+  useEffect(() => {
+    setEarlierMarks([]);
+    if (db && isAuthReady && earlierEventName && earlierDayIds) {
+      let cancelled = false;
+      const dataPath = getDataPath();
+      fetchEarlierMarks(db, dataPath, earlierEventName, earlierDayIds.split(',')).then((marks) => {
+        if (!cancelled) setEarlierMarks(marks);
+      }).catch((err) => {
+        console.error("Error fetching earlier results for score entry:", err);
+      });
+      return () => { cancelled = true; };
+    }
+  }, [db, isAuthReady, earlierEventName, earlierDayIds]);
+  const earlierBests = useMemo(() => (event ? findEarlierBests(event, earlierMarks, participants) : {}), [event, earlierMarks, participants]);
+
+  // Only the selected round's scores are editable
+  useEffect(() => {
+    const currentScores = {};
+    const currentExistingScores = {};
+    scoreDocs.filter(score => getScoreRound(event, score) === selectedRound || !event?.rounds?.length).forEach(score => {
+      // Scores saved before the event had attempts become its first attempt
+      currentScores[getEntrantId(score)] = getAttemptCount(event) > 1
+        ? Array.from({ length: getAttemptCount(event) }, (_, i) => formatAttemptInput((score.attempts || [score.score])[i]))
+        : score.score;
+      currentExistingScores[getEntrantId(score)] = score.id;
+    });
+    setScores(currentScores);
+    setExistingScores(currentExistingScores);
+  }, [scoreDocs, event, selectedRound]);
+
+  const hasRounds = event?.rounds?.length > 0;
+  const isTeamEvent = Boolean(event?.teamEvent);
+  const attemptCount = getAttemptCount(event);
+  const roundHeats = heats.filter(heat => heat.round === selectedRound).sort((a, b) => a.heat - b.heat);
+  const currentHeat = roundHeats.find(heat => heat.heat === selectedHeat);
+  // Teams for team events; otherwise everyone entered, plus anyone already scored so withdrawing an
+  // entry doesn't hide a result. With rounds, list the selected heat's lanes in order instead.
+  const listedIds = new Set([
+    ...(event ? getEventEntrants(event, entries, participants, currentDay?.ageCutoff) : []).map(p => p.id),
+    ...scoreDocs.map(score => score.participantId),
+  ]);
+  const pool = isTeamEvent ? teams : participants.filter(p => listedIds.has(p.id));
+  const entrants = hasRounds
+    ? (currentHeat ? currentHeat.lanes.map(entrantId => pool.find(entrant => entrant.id === entrantId)).filter(Boolean) : [])
+    : pool;
+
+  // Records and personal bests are flagged as results are typed, so they can be checked before saving
+  const participantsById = {};
+  participants.forEach(participant => {
+    participantsById[participant.id] = participant;
+  });
+  const markFor = (entrant) => {
+    const value = scores[entrant.id];
+    if (attemptCount > 1) return buildAttemptScore(event, value || [])?.score ?? null;
+    return value === undefined || value === null || value === '' ? null : parseFloat(value);
+  };
+  const recordFor = (entrant) => {
+    const divisionEntrant = isTeamEvent ? teamAsEntrant(entrant, participantsById, currentDay?.ageCutoff) : entrant;
+    return recordsMap[recordDocId(event.name, getDivision(event, divisionEntrant, currentDay?.ageCutoff))];
+  };
+
+  const handleScoreChange = (entrantId, value) => {
+    // Allow empty string or numbers
+    if (value === '' || /^\d*\.?\d*$/.test(value)) {
+      setScores(prev => ({ ...prev, [entrantId]: value }));
+    }
+  };
+
+  const handleAttemptChange = (entrantId, index, value) => {
+    // Allow empty string, numbers or a foul/pass marker
+    const marker = value.toUpperCase();
+    if (value === '' || /^\d*\.?\d*$/.test(value) || ATTEMPT_MARKERS[marker]) {
+      setScores(prev => {
+        const attempts = Array.from({ length: attemptCount }, (_, i) => prev[entrantId]?.[i] ?? '');
+        attempts[index] = ATTEMPT_MARKERS[marker] ? marker : value;
+        return { ...prev, [entrantId]: attempts };
+      });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!db || !isAuthReady) {
+      setError("Database not ready. Please wait.");
+      return;
+    }
+
+    // A time has to be a positive duration; other kinds may legitimately be zero (e.g. no points)
+    const isInvalidValue = (value) => {
+      if (value === undefined || value === null || value === '' || ATTEMPT_MARKERS[value]) return false;
+      const parsed = parseFloat(value);
+      return isNaN(parsed) || parsed < 0 || (event?.resultKind === 'time' && parsed === 0);
+    };
+    const invalidEntrant = entrants.find(entrant => (attemptCount > 1
+      ? (scores[entrant.id] || []).some(isInvalidValue)
+      : isInvalidValue(scores[entrant.id])));
+    if (invalidEntrant) {
+      setError(`Invalid ${RESULT_KINDS[event?.resultKind]?.label.toLowerCase() || 'score'} for ${invalidEntrant.name}.`);
+      return;
+    }
+
+    const dataPath = getDataPath();
+
+    try {
+      for (const entrant of entrants) {
+        const existing = scoreDocs.find(score => score.id === existingScores[entrant.id]);
+        const scoreValue = scores[entrant.id];
+        const attemptScore = attemptCount > 1 ? buildAttemptScore(event, scoreValue || []) : null;
+        if (attemptCount > 1 ? attemptScore : scoreValue !== undefined && scoreValue !== null && scoreValue !== '') {
+          const scoreData = {
+            eventId: eventId,
+            ...(isTeamEvent ? { teamId: entrant.id } : { participantId: entrant.id }),
+            dayId,
+            // Multi-attempt events keep every attempt alongside the best
+            ...(attemptScore || { score: parseFloat(scoreValue) }), // Convert to number
+            timestamp: new Date(),
+            ...(hasRounds && { round: selectedRound }),
+          };
+
+          // Only changed results are written, so unrelated edits don't clash. Saving over a
+          // conflict resolves it even when the value shown is unchanged.
+          const unchanged = existing && existing.score === scoreData.score
+            && JSON.stringify(existing.attempts || null) === JSON.stringify(scoreData.attempts || null);
+          if (!unchanged || findScoreConflict(existing)) {
+            queueWrite(writeScore(db, dataPath, existing, scoreData, { userId, email: userEmail }), `${entrant.name}'s score`);
+          }
+        } else if (existingScores[entrant.id]) {
+          // If score is cleared and an existing score exists, delete it
+          queueWrite(deleteScore(db, dataPath, existing, { userId, email: userEmail }), `${entrant.name}'s cleared score`);
+        }
+      }
+      onSave(); // Go back to dashboard; writes sync in the background
+    } catch (e) {
+      console.error("Error saving scores:", e);
+      setError("Failed to save scores: " + e.message);
+    }
+  };
+
+  if (loadingParticipants) {
+    return <div className="text-center py-8 text-gray-600">Loading participants...</div>;
+  }
+
+  if (pool.length === 0) {
+    return (
+      <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+        <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Enter Scores for {eventName}</h2>
+        <p className="text-gray-600 italic">
+          {isTeamEvent ? "No teams entered yet. Add them from the event's Teams screen." : "Nobody is entered in this event yet. Add entries from the event's Entries screen."}
+        </p>
+        <button
+          onClick={onCancel}
+          className="mt-4 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+        >
+          Back
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Enter Scores for {eventName}</h2>
+      {event?.resultKind && (
+        <p className="text-sm text-gray-600 mb-4">
+          Enter each {RESULT_KINDS[event.resultKind].label.toLowerCase()} in {getResultUnit(event)} ({isLowerBetter(event) ? 'lower' : 'higher'} is better).
+          {isTeamEvent && ' Enter one result per team.'}
+          {attemptCount > 1 && ` Each ${isTeamEvent ? 'team' : 'participant'} has ${attemptCount} attempts and their best counts; enter X for a foul or - for a pass.`}
+        </p>
+      )}
+      {hasRounds && (
+        <div className="flex flex-wrap gap-4 mb-6">
+          <div>
+            <label htmlFor="scoreRound" className="block text-sm font-medium text-gray-700 mb-1">Round</label>
+            <select
+              id="scoreRound"
+              value={selectedRound}
+              onChange={(e) => { setSelectedRound(Number(e.target.value)); setSelectedHeat(1); }}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {getRounds(event).map((round, index) => (
+                <option key={index} value={index}>{round.name}</option>
+              ))}
+            </select>
+          </div>
+          {roundHeats.length > 0 && (
+            <div>
+              <label htmlFor="scoreHeat" className="block text-sm font-medium text-gray-700 mb-1">Heat</label>
+              <select
+                id="scoreHeat"
+                value={selectedHeat}
+                onChange={(e) => setSelectedHeat(Number(e.target.value))}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {roundHeats.map(heat => (
+                  <option key={heat.id} value={heat.heat}>Heat {heat.heat}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+      )}
+      {hasRounds && !currentHeat && (
+        <p className="text-gray-600 italic mb-4">This round hasn't been drawn yet. Draw it from the event's Rounds screen.</p>
+      )}
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {entrants.map((entrant) => {
+          const conflict = findScoreConflict(scoreDocs.find(score => score.id === existingScores[entrant.id]));
+          return (
+            <div key={entrant.id} className="space-y-1">
+              <div className="flex items-center space-x-4">
+                <label htmlFor={`score-${entrant.id}`} className="block text-lg font-medium text-gray-700 w-48 truncate">
+                  {hasRounds && `Lane ${currentHeat.lanes.indexOf(entrant.id) + 1}: `}
+                  {entrant.name} ({entrant.house})
+                </label>
+                {attemptCount > 1 ? (
+                  <div className="flex flex-grow gap-2">
+                    {Array.from({ length: attemptCount }, (_, index) => (
+                      <input
+                        key={index}
+                        type="text"
+                        inputMode="decimal"
+                        id={index === 0 ? `score-${entrant.id}` : undefined}
+                        aria-label={`${entrant.name} attempt ${index + 1}`}
+                        value={scores[entrant.id]?.[index] ?? ''}
+                        onChange={(e) => handleAttemptChange(entrant.id, index, e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        placeholder={`#${index + 1}`}
+                      />
+                    ))}
+                  </div>
+                ) : (
+                  <input
+                    type="number"
+                    step="0.01" // Allow decimal scores
+                    id={`score-${entrant.id}`}
+                    value={scores[entrant.id] !== undefined ? scores[entrant.id] : ''}
+                    onChange={(e) => handleScoreChange(entrant.id, e.target.value)}
+                    className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder={getResultUnit(event) ? `Score (${getResultUnit(event)})` : 'Score'}
+                    min="0"
+                  />
+                )}
+                {event && (
+                  <ResultBadges
+                    isRecord={beatsMark(event, markFor(entrant), recordFor(entrant)?.value)}
+                    isPersonalBest={!isTeamEvent && beatsMark(event, markFor(entrant), earlierBests[entrant.id])}
+                  />
+                )}
+              </div>
+              {conflict && (
+                <div className="ml-52 text-sm text-orange-700 bg-orange-50 p-2 rounded-md">
+                  Different results were entered while offline:
+                  {conflict.map((edit, index) => (
+                    <button
+                      key={index}
+                      type="button"
+                      onClick={() => setScores(prev => ({ ...prev, [entrant.id]: attemptCount > 1 ? (edit.attempts || []).map(formatAttemptInput) : edit.score }))}
+                      className="ml-2 underline hover:text-orange-900"
+                    >
+                      {formatResult(event, edit.score)} ({edit.by})
+                    </button>
+                  ))}
+                  . Pick one (or enter the right result) and save.
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {error && <p className="text-red-600 text-sm mt-4">{error}</p>}
+        <div className="flex space-x-4 mt-6">
+          <button
+            type="submit"
+            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200"
+          >
+            Save Scores
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// --- Heats and Rounds Management Component ---
+const RoundsManager = ({ eventId, eventName, onBack }) => {
+  const { db, isAuthReady, dayId, currentDay } = useContext(AppContext);
+  const [event, setEvent] = useState(null);
+  const [heats, setHeats] = useState([]); // [{ id, eventId, round, heat, lanes: [participantId or teamId | ''] }]
+  const [scores, setScores] = useState([]);
+  const { docs: dayParticipants } = useParticipants(dayId);
+  const participants = useMemo(() => [...dayParticipants].sort((a, b) => a.name.localeCompare(b.name)), [dayParticipants]);
+  const [teams, setTeams] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [heatCounts, setHeatCounts] = useState({}); // { round: requested heat count } for drawing the first round
+  const [error, setError] = useState('');
+  const [modalMessage, setModalMessage] = useState('');
+  const [modalAction, setModalAction] = useState(null);
+
+  useEffect(() => {
+    if (db && isAuthReady) {
+      const dataPath = getDataPath();
+
+      const unsubscribeEvent = onSnapshot(doc(db, `${dataPath}/sportsday_events`, eventId), (snapshot) => {
+        setEvent(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+      }, (error) => {
+        console.error("Error fetching event for rounds:", error);
+      });
+
+      const heatsQuery = query(collection(db, `${dataPath}/sportsday_heats`), where("eventId", "==", eventId));
+      const unsubscribeHeats = onSnapshot(heatsQuery, (snapshot) => {
+        const heatsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        heatsData.sort((a, b) => a.round - b.round || a.heat - b.heat);
+        setHeats(heatsData);
+      }, (error) => {
+        console.error("Error fetching heats:", error);
+      });
+
+      const scoresQuery = query(collection(db, `${dataPath}/sportsday_scores`), where("eventId", "==", eventId));
+      const unsubscribeScores = onSnapshot(scoresQuery, (snapshot) => {
+        setScores(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => {
+        console.error("Error fetching scores for rounds:", error);
+      });
+
+      const teamsQuery = query(collection(db, `${dataPath}/sportsday_teams`), where("eventId", "==", eventId));
+      const unsubscribeTeams = onSnapshot(teamsQuery, (snapshot) => {
+        const teamsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        teamsData.sort((a, b) => a.name.localeCompare(b.name));
+        setTeams(teamsData);
+      }, (error) => {
+        console.error("Error fetching teams for rounds:", error);
+      });
+
+      const entriesQuery = query(collection(db, `${dataPath}/sportsday_entries`), where("eventId", "==", eventId));
+      const unsubscribeEntries = onSnapshot(entriesQuery, (snapshot) => {
+        setEntries(snapshot.docs.map(doc => doc.data()));
+      }, (error) => {
+        console.error("Error fetching entries for rounds:", error);
+      });
+
+      return () => {
+        unsubscribeEvent();
+        unsubscribeHeats();
+        unsubscribeScores();
+        unsubscribeTeams();
+        unsubscribeEntries();
+      };
+    }
+  }, [db, isAuthReady, eventId]);
+
+  if (!event) {
+    return <div className="text-center py-8 text-gray-600">Loading rounds...</div>;
+  }
+
+  const rounds = getRounds(event);
+  const laneCount = event.laneCount || DEFAULT_LANE_COUNT;
+  // Team events draw teams into the lanes instead of individual participants, who have to be entered
+  const entrantPool = event.teamEvent ? teams : getEventEntrants(event, entries, participants, currentDay?.ageCutoff);
+  const entrantsMap = {};
+  entrantPool.forEach(entrant => {
+    entrantsMap[entrant.id] = entrant;
+  });
+
+  const writeHeats = async (round, seededHeats) => {
+    const dataPath = getDataPath();
+    const heatsColRef = collection(db, `${dataPath}/sportsday_heats`);
+    await commitInBatches(db, seededHeats.map((entrantIds, i) => (batch) => batch.set(doc(heatsColRef), {
+      eventId,
+      dayId,
+      round,
+      heat: i + 1,
+      lanes: Array.from({ length: laneCount }, (_, lane) => entrantIds[lane] || ''),
+    })));
+  };
+
+  const handleDrawFirstRound = async () => {
+    setError('');
+    if (entrantPool.length === 0) {
+      setError(event.teamEvent ? "There are no teams to draw into heats. Add them on the Teams screen." : "Nobody is entered to draw into heats. Add entries on the Entries screen.");
+      return;
+    }
+    const requestedHeats = String(heatCounts[0] || '').trim();
+    const heatCount = requestedHeats ? parseInt(requestedHeats, 10) : Math.ceil(entrantPool.length / laneCount);
+    if (isNaN(heatCount) || heatCount < 1) {
+      setError("The number of heats must be at least 1, or blank to fill the lanes.");
+      return;
+    }
+    if (Math.ceil(entrantPool.length / heatCount) > laneCount) {
+      setError(`${heatCount} heat(s) of ${laneCount} lanes can't hold ${entrantPool.length} ${event.teamEvent ? 'teams' : 'participants'}.`);
+      return;
+    }
+    try {
+      await writeHeats(0, seedHeats(entrantPool.map(entrant => entrant.id), heatCount));
+    } catch (e) {
+      console.error("Error drawing heats:", e);
+      setError("Failed to draw heats: " + e.message);
+    }
+  };
+
+  const handleAdvance = (round) => {
+    setError('');
+    const previousHeats = heats.filter(heat => heat.round === round - 1);
+    const entrants = previousHeats.flatMap(heat => heat.lanes.filter(Boolean));
+    const missing = entrants.filter(entrantId => !scores.some(score => getEntrantId(score) === entrantId && getScoreRound(event, score) === round - 1));
+    const qualifiers = selectQualifiers(event, round - 1, heats, scores);
+    if (qualifiers.length === 0) {
+      setError(`No results recorded in ${rounds[round - 1].name} yet.`);
+      return;
+    }
+
+    const noun = event.teamEvent ? 'team(s)' : 'participant(s)';
+    setModalMessage(`${qualifiers.length} ${noun} qualify for ${rounds[round].name}.` +
+      (missing.length > 0 ? ` ${missing.length} ${noun} in ${rounds[round - 1].name} have no result and can't qualify.` : '') +
+      ' Draw the next round now?');
+    setModalAction(() => async () => {
+      try {
+        const heatCount = Math.ceil(qualifiers.length / laneCount);
+        await writeHeats(round, seedHeats(qualifiers.map(getEntrantId), heatCount));
+        setModalMessage(`${rounds[round].name} drawn.`);
+      } catch (e) {
+        console.error("Error advancing round:", e);
+        setModalMessage("Error drawing next round: " + e.message);
+      } finally {
+        setModalAction(null);
+      }
+    });
+  };
+
+  const handleClearRound = (round) => {
+    setModalMessage(`Clear the draw for ${rounds[round].name}? Recorded results are kept.`);
+    setModalAction(() => async () => {
+      try {
+        const dataPath = getDataPath();
+        await commitInBatches(db, heats.filter(heat => heat.round === round).map(heat => (batch) =>
+          batch.delete(doc(db, `${dataPath}/sportsday_heats`, heat.id))
+        ));
+        setModalMessage(`${rounds[round].name} draw cleared.`);
+      } catch (e) {
+        console.error("Error clearing round:", e);
+        setModalMessage("Error clearing round: " + e.message);
+      } finally {
+        setModalAction(null);
+      }
+    });
+  };
+
+  const handleLaneChange = async (heat, laneIndex, entrantId) => {
+    setError('');
+    if (entrantId && heats.some(h => h.round === heat.round && h.lanes.includes(entrantId) && !(h.id === heat.id && h.lanes[laneIndex] === entrantId))) {
+      setError(`${entrantsMap[entrantId]?.name} is already drawn in ${rounds[heat.round].name}.`);
+      return;
+    }
+    const dataPath = getDataPath();
+    try {
+      await updateDoc(doc(db, `${dataPath}/sportsday_heats`, heat.id), {
+        lanes: heat.lanes.map((lane, i) => (i === laneIndex ? entrantId : lane)),
+      });
+    } catch (e) {
+      console.error("Error updating lane:", e);
+      setError("Failed to update lane: " + e.message);
+    }
+  };
+
+  const closeModal = () => {
+    setModalMessage('');
+    setModalAction(null);
+  };
+
+  const confirmModal = async () => {
+    if (modalAction) {
+      await modalAction();
+      return; // Leave the outcome in the modal
+    }
+    closeModal();
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Rounds for {eventName}</h2>
+      <Modal
+        message={modalMessage}
+        onConfirm={confirmModal}
+        onCancel={closeModal}
+        showCancel={modalAction !== null}
+      />
+      {error && <p className="text-red-600 text-sm mb-4">{error}</p>}
+      {rounds.map((round, roundIndex) => {
+        const roundHeats = heats.filter(heat => heat.round === roundIndex);
+        const qualifiers = roundIndex < rounds.length - 1 ? selectQualifiers(event, roundIndex, heats, scores) : [];
+        return (
+          <div key={roundIndex} className="mb-8">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4 border-b pb-2">
+              <h3 className="text-xl font-bold text-gray-800">{round.name}</h3>
+              {roundIndex < rounds.length - 1 && (
+                <span className="text-sm text-gray-600">Top {round.advanceTopN} per heat + {round.advanceFastestLosers} fastest losers advance</span>
+              )}
+            </div>
+            {roundHeats.length === 0 ? (
+              roundIndex === 0 ? (
+                <div className="flex flex-wrap items-end gap-4">
+                  <div>
+                    <label htmlFor="heatCount" className="block text-sm font-medium text-gray-700 mb-1">Number of heats</label>
+                    <input
+                      type="number"
+                      min="1"
+                      id="heatCount"
+                      value={heatCounts[0] || ''}
+                      onChange={(e) => setHeatCounts(prev => ({ ...prev, 0: e.target.value }))}
+                      placeholder={String(Math.max(1, Math.ceil(entrantPool.length / laneCount)))}
+                      className="w-32 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <button
+                    onClick={handleDrawFirstRound}
+                    className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200"
+                  >
+                    Draw Heats
+                  </button>
+                </div>
+              ) : heats.some(heat => heat.round === roundIndex - 1) ? (
+                <button
+                  onClick={() => handleAdvance(roundIndex)}
+                  className="px-6 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition duration-200"
+                >
+                  Advance from {rounds[roundIndex - 1].name}
+                </button>
+              ) : (
+                <p className="text-gray-600 italic">Waiting for {rounds[roundIndex - 1].name} to be drawn.</p>
+              )
+            ) : (
+              <>
+                {roundHeats.map(heat => (
+                  <div key={heat.id} className="mb-4">
+                    <h4 className="font-semibold text-gray-700 mb-2">Heat {heat.heat}</h4>
+                    <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+                      <thead className="bg-gray-100 border-b border-gray-200">
+                        <tr>
+                          <th className="py-2 px-4 text-left text-sm font-semibold text-gray-700">Lane</th>
+                          <th className="py-2 px-4 text-left text-sm font-semibold text-gray-700">{event.teamEvent ? 'Team' : 'Participant'}</th>
+                          <th className="py-2 px-4 text-left text-sm font-semibold text-gray-700">Result</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {heat.lanes.map((entrantId, laneIndex) => {
+                          const score = scores.find(s => getEntrantId(s) === entrantId && getScoreRound(event, s) === roundIndex);
+                          const qualifier = qualifiers.find(q => getEntrantId(q) === entrantId);
+                          return (
+                            <tr key={laneIndex} className="border-b border-gray-100 last:border-b-0">
+                              <td className="py-2 px-4 text-gray-800 font-bold">{laneIndex + 1}</td>
+                              <td className="py-2 px-4">
+                                <select
+                                  value={entrantId}
+                                  onChange={(e) => handleLaneChange(heat, laneIndex, e.target.value)}
+                                  className="w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                  aria-label={`Heat ${heat.heat} lane ${laneIndex + 1}`}
+                                >
+                                  <option value="">-- Empty --</option>
+                                  {entrantPool.map(entrant => (
+                                    <option key={entrant.id} value={entrant.id}>{entrant.name}</option>
+                                  ))}
+                                </select>
+                              </td>
+                              <td className="py-2 px-4 text-gray-800">
+                                {score ? formatResult(event, score.score) : '—'}
+                                {qualifier && <span className="ml-2 font-bold text-green-700">{qualifier.by === 'place' ? 'Q' : 'q'}</span>}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                ))}
+                <button
+                  onClick={() => handleClearRound(roundIndex)}
+                  className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                >
+                  Clear Draw
+                </button>
+              </>
+            )}
+          </div>
+        );
+      })}
+      <button
+        onClick={onBack}
+        className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+      >
+        Back to Dashboard
+      </button>
+    </div>
+  );
+};
+
+// --- Team Management Component ---
+const TeamManager = ({ eventId, eventName, onBack }) => {
+  const { db, isAuthReady, dayId, currentDay } = useContext(AppContext);
+  const [event, setEvent] = useState(null);
+  const [teams, setTeams] = useState([]);
+  const { docs: dayParticipants } = useParticipants(dayId);
+  const participants = useMemo(() => [...dayParticipants].sort((a, b) => a.name.localeCompare(b.name)), [dayParticipants]);
+  const [scores, setScores] = useState([]);
+  const [teamToEdit, setTeamToEdit] = useState(null); // null while adding a new team
+  const [name, setName] = useState('');
+  const [house, setHouse] = useState('');
+  const [memberIds, setMemberIds] = useState([]);
+  const [error, setError] = useState('');
+  const [modalMessage, setModalMessage] = useState('');
+  const [modalAction, setModalAction] = useState(null);
+
+  useEffect(() => {
+    if (db && isAuthReady) {
+      const dataPath = getDataPath();
+
+      const unsubscribeEvent = onSnapshot(doc(db, `${dataPath}/sportsday_events`, eventId), (snapshot) => {
+        setEvent(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+      }, (error) => {
+        console.error("Error fetching event for teams:", error);
+      });
+
+      const teamsQuery = query(collection(db, `${dataPath}/sportsday_teams`), where("eventId", "==", eventId));
+      const unsubscribeTeams = onSnapshot(teamsQuery, (snapshot) => {
+        const teamsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        teamsData.sort((a, b) => a.name.localeCompare(b.name));
+        setTeams(teamsData);
+      }, (error) => {
+        console.error("Error fetching teams:", error);
+      });
+
+      // Scores are only needed to stop a team with results being deleted
+      const scoresQuery = query(collection(db, `${dataPath}/sportsday_scores`), where("eventId", "==", eventId));
+      const unsubscribeScores = onSnapshot(scoresQuery, (snapshot) => {
+        setScores(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => {
+        console.error("Error fetching scores for teams:", error);
+      });
+
+      return () => {
+        unsubscribeEvent();
+        unsubscribeTeams();
+        unsubscribeScores();
+      };
+    }
+  }, [db, isAuthReady, eventId]);
+
+  if (!event) {
+    return <div className="text-center py-8 text-gray-600">Loading teams...</div>;
+  }
+
+  const participantsMap = {};
+  participants.forEach(p => {
+    participantsMap[p.id] = p;
+  });
+  const eligible = participants.filter(p => isEligible(event, p, currentDay?.ageCutoff));
+  const houses = [...new Set(eligible.map(p => p.house).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  // Anyone already in another team for this event can't be picked again
+  const takenIds = new Set(teams.filter(team => team.id !== teamToEdit?.id).flatMap(team => team.memberIds || []));
+  const candidates = eligible.filter(p => normaliseHouseName(p.house) === normaliseHouseName(house) && !takenIds.has(p.id));
+
+  const resetForm = () => {
+    setTeamToEdit(null);
+    setName('');
+    setHouse('');
+    setMemberIds([]);
+  };
+
+  const handleEditTeam = (team) => {
+    setError('');
+    setTeamToEdit(team);
+    setName(team.name);
+    setHouse(team.house);
+    setMemberIds(team.memberIds || []);
+  };
+
+  const handleHouseChange = (value) => {
+    setHouse(value);
+    setMemberIds([]); // Members have to come from the team's house
+  };
+
+  const toggleMember = (participantId) => {
+    setMemberIds(prev => (prev.includes(participantId) ? prev.filter(id => id !== participantId) : [...prev, participantId]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (!name.trim() || !house) {
+      setError("Team name and house cannot be empty.");
+      return;
+    }
+    if (memberIds.length === 0) {
+      setError("Pick at least one team member.");
+      return;
+    }
+    if (event.teamSize > 0 && memberIds.length !== event.teamSize) {
+      setError(`Teams in ${eventName} need exactly ${event.teamSize} members.`);
+      return;
+    }
+    const houseTeams = teams.filter(team => team.id !== teamToEdit?.id && normaliseHouseName(team.house) === normaliseHouseName(house));
+    if (event.entriesPerHouse > 0 && houseTeams.length >= event.entriesPerHouse) {
+      setError(`${house} already has ${houseTeams.length} team(s) in ${eventName}, the most allowed per house.`);
+      return;
+    }
+    const alreadyTaken = memberIds.filter(id => takenIds.has(id));
+    if (alreadyTaken.length > 0) {
+      setError(`${alreadyTaken.map(id => participantsMap[id]?.name).join(', ')} already in another team.`);
+      return;
+    }
+    if (!db || !isAuthReady) {
+      setError("Database not ready. Please wait.");
+      return;
+    }
+
+    const teamData = { name: name.trim(), house, memberIds };
+    const dataPath = getDataPath();
+    try {
+      if (teamToEdit) {
+        await updateDoc(doc(db, `${dataPath}/sportsday_teams`, teamToEdit.id), teamData);
+      } else {
+        await addDoc(collection(db, `${dataPath}/sportsday_teams`), { ...teamData, eventId, dayId });
+      }
+      resetForm();
+    } catch (e) {
+      console.error("Error saving team:", e);
+      setError("Failed to save team: " + e.message);
+    }
+  };
+
+  const handleDeleteTeam = (team) => {
+    if (scores.some(score => score.teamId === team.id)) {
+      setError(`${team.name} already has results. Delete them from the event's scores first.`);
+      return;
+    }
+    setError('');
+    setModalMessage(`Delete ${team.name}?`);
+    setModalAction(() => async () => {
+      try {
+        const dataPath = getDataPath();
+        await deleteDoc(doc(db, `${dataPath}/sportsday_teams`, team.id));
+        if (teamToEdit?.id === team.id) resetForm();
+        setModalMessage(`${team.name} deleted.`);
+      } catch (e) {
+        console.error("Error deleting team:", e);
+        setModalMessage("Error deleting team: " + e.message);
+      } finally {
+        setModalAction(null);
+      }
+    });
+  };
+
+  const closeModal = () => {
+    setModalMessage('');
+    setModalAction(null);
+  };
+
+  const confirmModal = async () => {
+    if (modalAction) {
+      await modalAction(); // Leaves the result message showing
+    } else {
+      closeModal();
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Teams for {eventName}</h2>
+      <Modal
+        message={modalMessage}
+        onConfirm={confirmModal}
+        onCancel={closeModal}
+        showCancel={modalAction !== null}
+      />
+
+      <form onSubmit={handleSubmit} className="space-y-4 mb-8">
+        <div className="flex flex-wrap items-end gap-4">
+          <div className="flex-grow">
+            <label htmlFor="teamName" className="block text-sm font-medium text-gray-700 mb-1">Team Name</label>
+            <input
+              type="text"
+              id="teamName"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="e.g., Red A"
+            />
+          </div>
+          <div className="flex-grow">
+            <label htmlFor="teamHouse" className="block text-sm font-medium text-gray-700 mb-1">House</label>
+            <select
+              id="teamHouse"
+              value={house}
+              onChange={(e) => handleHouseChange(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">-- Select a house --</option>
+              {houses.map(h => (
+                <option key={h} value={h}>{h}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {house && (
+          <fieldset className="bg-gray-50 p-4 rounded-lg">
+            <legend className="block text-sm font-medium text-gray-700">
+              Members ({memberIds.length}{event.teamSize > 0 ? ` of ${event.teamSize}` : ''})
+            </legend>
+            {candidates.length === 0 ? (
+              <p className="text-sm text-gray-500 italic">Every eligible participant in {house} is already in a team.</p>
+            ) : (
+              <div className="flex flex-wrap gap-4">
+                {candidates.map(p => (
+                  <label key={p.id} className="inline-flex items-center text-sm text-gray-700">
+                    <input type="checkbox" checked={memberIds.includes(p.id)} onChange={() => toggleMember(p.id)} className="mr-2" />
+                    {p.name}
+                  </label>
+                ))}
+              </div>
+            )}
+          </fieldset>
+        )}
+        {error && <p className="text-red-600 text-sm">{error}</p>}
+        <div className="flex justify-end space-x-4">
+          {teamToEdit && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200"
+          >
+            {teamToEdit ? 'Update Team' : 'Add Team'}
+          </button>
+        </div>
+      </form>
+
+      {teams.length === 0 ? (
+        <p className="text-gray-600 italic">No teams entered yet.</p>
+      ) : (
+        <ul className="space-y-4">
+          {teams.map(team => (
+            <li key={team.id} className="flex flex-col sm:flex-row items-start sm:items-center justify-between bg-gray-50 p-4 rounded-lg shadow-sm">
+              <div className="flex-grow mb-2 sm:mb-0">
+                <p className="text-lg font-semibold text-gray-800">{team.name}</p>
+                <p className="text-sm text-gray-600">
+                  House: {team.house} · {(team.memberIds || []).map(id => participantsMap[id]?.name || 'Removed participant').join(', ')}
+                </p>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => handleEditTeam(team)}
+                  className="px-4 py-2 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleDeleteTeam(team)}
+                  className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <button
+        onClick={onBack}
+        className="mt-8 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+      >
+        Back to Dashboard
+      </button>
+    </div>
+  );
+};
+
+// --- Entry Management Component ---
+// Who is competing in an individual event. Score entry, the stopwatch and heat draws only offer entered participants,
+// or everyone eligible until somebody is entered.
+const EntryManager = ({ eventId, eventName, onBack }) => {
+  const { db, dayId, currentDay } = useContext(AppContext);
+  const { docs: events } = useEvents(dayId);
+  const { docs: dayParticipants, loading } = useParticipants(dayId);
+  const participants = useMemo(() => [...dayParticipants].sort((a, b) => a.name.localeCompare(b.name)), [dayParticipants]);
+  const { docs: entries } = useCollection('entries', dayId ? { dayId } : null); // Every entry on the day, for the per-participant limit
+  const { docs: scores } = useScores({ eventId }); // Only needed to stop an entry with a result being withdrawn
+  const [search, setSearch] = useState('');
+  const [error, setError] = useState('');
+
+  const event = events.find(e => e.id === eventId);
+  if (loading || !event) {
+    return <div className="text-center py-8 text-gray-600">Loading entries...</div>;
+  }
+
+  const eventsMap = {};
+  events.forEach(e => {
+    eventsMap[e.id] = e;
+  });
+  const participantsMap = {};
+  participants.forEach(p => {
+    participantsMap[p.id] = p;
+  });
+  const limits = { eventsMap, participantsMap, maxEventsPerParticipant: currentDay?.maxEventsPerParticipant, ageCutoff: currentDay?.ageCutoff };
+  const entered = getEnteredParticipants(eventId, entries, participants);
+  const enteredIds = new Set(entered.map(p => p.id));
+  const candidates = participants.filter(p => !enteredIds.has(p.id) && isEligible(event, p, currentDay?.ageCutoff) &&
+    p.name.toLowerCase().includes(search.trim().toLowerCase()));
+  const houseCounts = {};
+  entered.forEach(p => {
+    const house = p.house || UNASSIGNED_HOUSE;
+    houseCounts[house] = (houseCounts[house] || 0) + 1;
+  });
+
+  const handleEnter = (participant) => {
+    const problem = checkEntry(event, participant, entries, limits);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setError('');
+    const dataPath = getDataPath();
+    const entryRef = doc(db, `${dataPath}/sportsday_entries`, entryDocId(eventId, participant.id));
+    const write = setDoc(entryRef, { eventId, participantId: participant.id, dayId, enteredAt: serverTimestamp() });
+    queueWrite(write, `${participant.name}'s entry`);
+    // Once the entry syncs, check the limits again against everything the server has
+    write.then(async () => {
+      const snapshot = await getDocsFromServer(query(collection(db, `${dataPath}/sportsday_entries`), where("dayId", "==", dayId)));
+      const overLimit = checkEntryOrder({ id: entryRef.id, eventId, participantId: participant.id }, snapshot.docs.map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() })), limits);
+      if (overLimit) {
+        await deleteDoc(entryRef);
+        setError(`${participant.name}'s entry was withdrawn: ${overLimit}`);
+      }
+    }).catch((e) => {
+      console.error("Error checking entry limits:", e);
+    });
+  };
+
+  const handleWithdraw = (participant) => {
+    if (scores.some(score => score.participantId === participant.id)) {
+      setError(`${participant.name} already has a result in ${eventName}. Delete it from score entry first.`);
+      return;
+    }
+    setError('');
+    const dataPath = getDataPath();
+    queueWrite(deleteDoc(doc(db, `${dataPath}/sportsday_entries`, entryDocId(eventId, participant.id))), `${participant.name}'s withdrawal`);
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-2 border-b pb-3">Entries for {eventName}</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        {entered.length} entered
+        {event.entriesPerHouse > 0 && ` · up to ${event.entriesPerHouse} per house`}
+        {currentDay?.maxEventsPerParticipant > 0 && ` · up to ${currentDay.maxEventsPerParticipant} individual events per participant`}
+        {Object.keys(houseCounts).length > 0 && ` · ${Object.entries(houseCounts).sort(([a], [b]) => a.localeCompare(b)).map(([house, count]) => `${house} ${count}`).join(', ')}`}
+      </p>
+
+      {error && <p className="text-red-600 text-sm mb-4">{error}</p>}
+
+      <div className="grid gap-8 md:grid-cols-2">
+        <div>
+          <h3 className="text-xl font-bold text-gray-800 mb-4">Entered</h3>
+          {entered.length === 0 ? (
+            <p className="text-gray-600 italic">Nobody is entered yet.</p>
+          ) : (
+            <ul className="space-y-2">
+              {entered.map(participant => (
+                <li key={participant.id} className="flex items-center justify-between gap-2 bg-gray-50 p-3 rounded-lg">
+                  <span className="text-gray-800">{participant.name} <span className="text-sm text-gray-500">({participant.house || 'No house'})</span></span>
+                  <button
+                    onClick={() => handleWithdraw(participant)}
+                    className="px-3 py-1 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                  >
+                    Withdraw
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div>
+          <h3 className="text-xl font-bold text-gray-800 mb-4">Add Entries</h3>
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="w-full mb-4 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="Search eligible participants"
+            aria-label="Search eligible participants"
+          />
+          {candidates.length === 0 ? (
+            <p className="text-gray-600 italic">No eligible participants left to enter.</p>
+          ) : (
+            <ul className="space-y-2 max-h-96 overflow-y-auto">
+              {candidates.map(participant => (
+                <li key={participant.id} className="flex items-center justify-between gap-2 bg-gray-50 p-3 rounded-lg">
+                  <span className="text-gray-800">{participant.name} <span className="text-sm text-gray-500">({participant.house || 'No house'})</span></span>
+                  <button
+                    onClick={() => handleEnter(participant)}
+                    className="px-3 py-1 bg-green-600 text-white rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                  >
+                    Enter
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <button
+        onClick={onBack}
+        className="mt-8 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+      >
+        Back to Dashboard
+      </button>
+    </div>
+  );
+};
+
+// --- Event Schedule Component ---
+// The day's order of play as a timeline per venue, flagging anyone entered in two overlapping events
+const EventSchedule = ({ onBack }) => {
+  const { db, role, dayId } = useContext(AppContext);
+  const { docs: events, loading } = useEvents(dayId);
+  const { docs: participants } = useParticipants(dayId);
+  const participantsMap = useMemo(() => Object.fromEntries(participants.map(participant => [participant.id, participant])), [participants]);
+  // Who is in each event comes from entries, heat draws, team line-ups and results so far
+  const dayFilter = dayId ? { dayId } : null;
+  const { docs: entries } = useCollection('entries', dayFilter);
+  const { docs: heats } = useCollection('heats', dayFilter);
+  const { docs: teams } = useCollection('teams', dayFilter);
+  const { docs: scores } = useScores(dayFilter);
+  const [statusError, setStatusError] = useState('');
+
+  if (loading) {
+    return <div className="text-center py-8 text-gray-600">Loading schedule...</div>;
+  }
+
+  const eventsMap = {};
+  events.forEach(event => {
+    eventsMap[event.id] = event;
+  });
+  const ordered = sortBySchedule(events);
+  const timed = ordered.filter(event => getEventWindow(event));
+  const clashes = findScheduleClashes(events, collectEventParticipants({ entries, heats, teams, scores }));
+  const clashingIds = new Set(clashes.flatMap(clash => clash.eventIds));
+
+  // The timeline runs from the hour before the first start to the hour after the last finish
+  const dayStart = timed.length > 0 ? Math.floor(Math.min(...timed.map(event => getEventWindow(event).start)) / 60) * 60 : 0;
+  const dayEnd = timed.length > 0 ? Math.ceil(Math.max(...timed.map(event => getEventWindow(event).end + 1)) / 60) * 60 : 0;
+  const span = Math.max(dayEnd - dayStart, 60);
+  const hours = Array.from({ length: span / 60 + 1 }, (_, i) => dayStart + i * 60);
+  const venues = [...new Set(timed.map(event => event.venue || ''))].sort((a, b) => a.localeCompare(b));
+
+  const handleStatusChange = (event, status) => {
+    const dataPath = getDataPath();
+    setStatusError('');
+    updateEventStatus(db, dataPath, event, status).catch((e) => {
+      setStatusError(`Failed to change ${event.name}'s status: ${e.message}`);
+    });
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Schedule</h2>
+      {statusError && <p className="text-red-600 text-sm mb-4">{statusError}</p>}
+
+      {timed.length === 0 ? (
+        <p className="text-gray-600 italic mb-6">No events have a start time yet. Add one when editing an event.</p>
+      ) : (
+        <div className="overflow-x-auto mb-8">
+          <div style={{ minWidth: '40rem' }}>
+            <div className="relative h-6 ml-24 text-xs text-gray-500">
+              {hours.map(hour => (
+                <span key={hour} className="absolute -translate-x-1/2" style={{ left: `${((hour - dayStart) / span) * 100}%` }}>{formatClock(hour)}</span>
+              ))}
+            </div>
+            {venues.map(venue => (
+              <div key={venue} className="flex items-center border-t border-gray-100">
+                <span className="w-24 shrink-0 text-sm font-medium text-gray-700 truncate">{venue || 'No venue'}</span>
+                <div className="relative flex-grow h-12">
+                  {timed.filter(event => (event.venue || '') === venue).map(event => {
+                    const { start, end } = getEventWindow(event);
+                    return (
+                      <div
+                        key={event.id}
+                        title={`${event.name} · ${formatClock(start)}–${formatClock(end)}`}
+                        className={`absolute top-1 bottom-1 px-2 rounded-md text-xs overflow-hidden whitespace-nowrap flex items-center ${STATUS_BADGE_CLASSES[getEventStatus(event)]} ${clashingIds.has(event.id) ? 'ring-2 ring-red-500' : ''}`}
+                        style={{ left: `${((start - dayStart) / span) * 100}%`, width: `${(Math.max(end - start, 5) / span) * 100}%` }}
+                      >
+                        {event.name}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {clashes.length > 0 && (
+        <div className="mb-8 bg-red-50 border border-red-200 rounded-lg p-4">
+          <h3 className="font-semibold text-red-800 mb-2">Clashes</h3>
+          <ul className="space-y-1 text-sm text-red-700">
+            {clashes.map(clash => (
+              <li key={clash.eventIds.join('-')}>
+                {eventsMap[clash.eventIds[0]].name} and {eventsMap[clash.eventIds[1]].name} overlap for {clash.participantIds.map(id => participantsMap[id]?.name || 'Unknown Participant').join(', ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+        <thead className="bg-gray-100 border-b border-gray-200">
+          <tr>
+            <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Time</th>
+            <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Event</th>
+            <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Venue</th>
+            <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ordered.map(event => {
+            const slot = getEventWindow(event);
+            return (
+              <tr key={event.id} className={`border-b border-gray-100 last:border-b-0 ${clashingIds.has(event.id) ? 'bg-red-50' : 'hover:bg-gray-50'}`}>
+                <td className="py-3 px-4 text-gray-800 whitespace-nowrap">{slot ? `${formatClock(slot.start)}–${formatClock(slot.end)}` : 'Not scheduled'}</td>
+                <td className="py-3 px-4 text-gray-800">{event.name}</td>
+                <td className="py-3 px-4 text-gray-600">{event.venue || '—'}</td>
+                <td className="py-3 px-4">
+                  {canScore(role, event.id) ? (
+                    <select
+                      value={getEventStatus(event)}
+                      onChange={(e) => handleStatusChange(event, e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      aria-label={`${event.name} status`}
+                    >
+                      {Object.entries(EVENT_STATUSES).map(([status, label]) => (
+                        <option key={status} value={status}>{label}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <EventStatusBadge status={getEventStatus(event)} />
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <button
+        onClick={onBack}
+        className="mt-8 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+      >
+        Back to Dashboard
+      </button>
+    </div>
+  );
+};
+
+// --- Now / Next Board Component ---
+// Shown on the dashboard so everyone can see what's running; judges can start and finish their events from it
+const NowNextBoard = ({ onShowSchedule }) => {
+  const { db, role, dayId, isPastDay } = useContext(AppContext);
+  const { docs: events } = useEvents(dayId);
+  const [statusError, setStatusError] = useState('');
+
+  const { now, next } = getNowAndNext(events);
+  if (isPastDay || (now.length === 0 && next.length === 0)) {
+    return null;
+  }
+
+  const handleStatusChange = (event, status) => {
+    const dataPath = getDataPath();
+    setStatusError('');
+    updateEventStatus(db, dataPath, event, status).catch((e) => {
+      setStatusError(`Failed to change ${event.name}'s status: ${e.message}`);
+    });
+  };
+
+  const renderEvent = (event, action) => (
+    <li key={event.id} className="flex items-center justify-between gap-2 bg-gray-50 p-3 rounded-lg">
+      <div>
+        <p className="font-semibold text-gray-800">{event.name}</p>
+        <p className="text-sm text-gray-600">{[event.startTime, event.venue].filter(Boolean).join(' · ') || 'Not scheduled'}</p>
+      </div>
+      {canScore(role, event.id) && (
+        <button
+          onClick={() => handleStatusChange(event, action.status)}
+          className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200 text-sm"
+        >
+          {action.label}
+        </button>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <div className="flex items-center justify-between mb-4 border-b pb-3">
+        <h2 className="text-2xl font-bold text-gray-800">Now &amp; Next</h2>
+        <button onClick={onShowSchedule} className="text-sm text-blue-700 underline hover:text-blue-900">Full schedule</button>
+      </div>
+      {statusError && <p className="text-red-600 text-sm mb-4">{statusError}</p>}
+      <div className="grid gap-6 sm:grid-cols-2">
+        <div>
+          <h3 className="text-sm font-semibold text-green-700 uppercase tracking-wide mb-2">Now</h3>
+          {now.length === 0 ? (
+            <p className="text-gray-600 italic text-sm">Nothing under way.</p>
+          ) : (
+            <ul className="space-y-2">{now.map(event => renderEvent(event, { status: 'completed', label: 'Finish' }))}</ul>
+          )}
+        </div>
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-2">Next</h3>
+          {next.length === 0 ? (
+            <p className="text-gray-600 italic text-sm">Every event has started.</p>
+          ) : (
+            <ul className="space-y-2">{next.map(event => renderEvent(event, { status: 'in-progress', label: 'Start' }))}</ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- View Scores for a Specific Event Component ---
+const EventScoresView = ({ eventId, eventName, onBack, onShowProfile }) => {
+  const { db, isAuthReady, currentDay, days, pointsTable, role, userId, userEmail } = useContext(AppContext);
+  const [eventScores, setEventScores] = useState([]);
+  const [event, setEvent] = useState(null);
+  const { docs: participants } = useParticipants(event?.dayId);
+  const participantsMap = useMemo(() => Object.fromEntries(participants.map(participant => [participant.id, participant])), [participants]);
+  // Team events rank teams, which are followed live so new and renamed teams show up
+  const { docs: teams, error: teamsError } = useCollection('teams', { eventId });
+  const teamsMap = useMemo(() => Object.fromEntries(teams.map(team => [team.id, team])), [teams]);
+  const [heats, setHeats] = useState([]);
+  const [divisionFilter, setDivisionFilter] = useState(''); // '' shows every division
+  const { docs: records } = useCollection('records');
+  const recordsMap = useMemo(() => Object.fromEntries(records.map(record => [recordKey(record), record])), [records]); // { recordDocId: record }
+  const [earlierMarks, setEarlierMarks] = useState([]); // This event's results on earlier days
+  const [modalMessage, setModalMessage] = useState('');
+  const [modalAction, setModalAction] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (db && isAuthReady) {
+      const dataPath = getDataPath();
+      const scoresColRef = collection(db, `${dataPath}/sportsday_scores`);
+
+      // Listen to the event so ranking follows its direction
+      const unsubscribeEvent = onSnapshot(doc(db, `${dataPath}/sportsday_events`, eventId), (snapshot) => {
+        setEvent(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+      }, (error) => {
+        console.error("Error fetching event:", error);
+      });
+
+      // Listen for scores for this event
+      const q = query(scoresColRef, where("eventId", "==", eventId));
+      const unsubscribe = onSnapshot(q, (snapshot) => {
+        const scoresData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setEventScores(scoresData);
+        setLoading(false);
+      }, (error) => {
+        console.error("Error fetching event scores:", error);
+        setLoading(false);
+      });
+
+      const heatsQuery = query(collection(db, `${dataPath}/sportsday_heats`), where("eventId", "==", eventId));
+      const unsubscribeHeats = onSnapshot(heatsQuery, (snapshot) => {
+        const heatsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        heatsData.sort((a, b) => a.round - b.round || a.heat - b.heat);
+        setHeats(heatsData);
+      }, (error) => {
+        console.error("Error fetching heats:", error);
+      });
+
+      return () => {
+        unsubscribeEvent();
+        unsubscribeHeats();
+        unsubscribe();
+      };
+    }
+  }, [db, isAuthReady, eventId]);
+
+  // Personal bests compare against the same event on earlier sports days. Keyed on the event's
+  // name and earlier days, so score and roster updates don't fetch them again.
+  const earlierEventName = event?.name || null;
+  const earlierDayIds = getEarlierDayIds(event, days).join(',');
+  useEffect(() => {
+    setEarlierMarks([]);
+    if (db && isAuthReady && earlierEventName && earlierDayIds) {
+      let cancelled = false;
+      const dataPath = getDataPath();
+      fetchEarlierMarks(db, dataPath, earlierEventName, earlierDayIds.split(',')).then((marks) => {
+        if (!cancelled) setEarlierMarks(marks);
+      }).catch((e) => {
+        console.error("Error fetching earlier results:", e);
+      });
+      return () => { cancelled = true; };
+    }
+  }, [db, isAuthReady, earlierEventName, earlierDayIds]);
+  const earlierBests = useMemo(() => {
+    if (!event) return {};
+    const dayParticipants = Object.keys(participantsMap)
+      .filter(id => participantsMap[id].dayId === event.dayId)
+      .map(id => ({ id, ...participantsMap[id] }));
+    return findEarlierBests(event, earlierMarks, dayParticipants);
+  }, [event, earlierMarks, participantsMap]);
+
+  // Ranked at render time since the event, points table and scores arrive from separate listeners.
+  // Only the final earns points; earlier rounds are shown per heat below.
+  const entrantsMap = buildEntrantsMap(participantsMap, teamsMap, currentDay?.ageCutoff);
+  const rankedScores = awardDivisionPoints(event, eventScores.filter(score => isFinalScore(event, score)), entrantsMap, pointsTable, currentDay?.ageCutoff);
+  const divisions = [...new Set(rankedScores.map(score => score.division))];
+  const shownDivisions = divisions.filter(division => !divisionFilter || division === divisionFilter);
+  const earlierRounds = getRounds(event).slice(0, -1);
+  const attemptCount = getAttemptCount(event);
+  const newRecords = event ? findNewRecords(event, eventScores, entrantsMap, recordsMap, currentDay?.ageCutoff) : [];
+  const recordScoreIds = new Set(newRecords.map(newRecord => newRecord.score.id));
+  const personalBestIds = event ? findPersonalBestScores(event, eventScores, earlierBests) : new Set();
+
+  const handleConfirmRecord = ({ division, score, record }) => {
+    const holder = entrantsMap[getEntrantId(score)];
+    setModalMessage(`Make ${holder?.name || 'this'}'s ${formatResult(event, score.score)} the ${event.name}${division ? ` ${division}` : ''} record? ${record.holder}'s ${formatResult(event, record.value)} moves to the record history.`);
+    setModalAction(() => async () => {
+      try {
+        const dataPath = getDataPath();
+        await setRecord(db, dataPath, {
+          eventName: event.name,
+          division,
+          resultKind: event.resultKind,
+          holder: holder?.name || 'Unknown',
+          house: holder?.house,
+          value: score.score,
+          year: Number((currentDay?.date || '').slice(0, 4)) || new Date().getFullYear(),
+        }, record, { userId, email: userEmail }, event);
+        setModalMessage(`${holder?.name || 'The result'} now holds the ${event.name}${division ? ` ${division}` : ''} record.`);
+      } catch (e) {
+        console.error("Error confirming record:", e);
+        setModalMessage("Error confirming record: " + e.message);
+      } finally {
+        setModalAction(null);
+      }
+    });
+  };
+
+  const closeModal = () => {
+    setModalMessage('');
+    setModalAction(null);
+  };
+
+  const confirmModal = async () => {
+    if (modalAction) {
+      await modalAction(); // Leaves the result message showing
+    } else {
+      closeModal();
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-8 text-gray-600">Loading scores...</div>;
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <Modal
+        message={modalMessage}
+        onConfirm={confirmModal}
+        onCancel={closeModal}
+        showCancel={modalAction !== null}
+      />
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Scores for {eventName}</h2>
+      {teamsError && <p className="text-red-600 text-sm mb-4">Failed to load teams: {teamsError.message}</p>}
+      {newRecords.length > 0 && (
+        <div className="mb-6 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <h3 className="font-semibold text-yellow-800 mb-2">New Records</h3>
+          <ul className="space-y-2 text-sm text-yellow-900">
+            {newRecords.map(newRecord => (
+              <li key={newRecord.division} className="flex flex-wrap items-center justify-between gap-2">
+                <span>
+                  {newRecord.division && `${newRecord.division}: `}
+                  {entrantsMap[getEntrantId(newRecord.score)]?.name || 'Unknown'} {formatResult(event, newRecord.score.score)}
+                  {newRecord.score.round !== undefined && !isFinalScore(event, newRecord.score) && ` (${getRounds(event)[newRecord.score.round]?.name})`}
+                  , beating {newRecord.record.holder}'s {formatResult(event, newRecord.record.value)} from {newRecord.record.year}
+                </span>
+                {canManage(role) && (
+                  <button
+                    onClick={() => handleConfirmRecord(newRecord)}
+                    className="px-3 py-1 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                  >
+                    Confirm Record
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {earlierRounds.length > 0 && (
+        <h3 className="text-xl font-bold text-gray-800 mb-4">{getRounds(event)[getFinalRound(event)].name}</h3>
+      )}
+      {divisions.some(Boolean) && (
+        <div className="mb-4">
+          <label htmlFor="scoresDivision" className="text-sm font-medium text-gray-700 mr-2">Division:</label>
+          <select
+            id="scoresDivision"
+            value={divisionFilter}
+            onChange={(e) => setDivisionFilter(e.target.value)}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">All Divisions</option>
+            {divisions.filter(Boolean).map(division => (
+              <option key={division} value={division}>{division}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      {rankedScores.length === 0 ? (
+        <p className="text-gray-600 italic">No scores recorded for this {earlierRounds.length > 0 ? 'final' : 'event'} yet.</p>
+      ) : (
+        shownDivisions.map(division => (
+          <div key={division} className="mb-6">
+            {divisions.some(Boolean) && <h4 className="font-semibold text-gray-700 mb-2">{division || 'Unassigned'}</h4>}
+            <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+              <thead className="bg-gray-100 border-b border-gray-200">
+                <tr>
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Rank</th>
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">{event?.teamEvent ? 'Team' : 'Participant'}</th>
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">House</th>
+                  {attemptCount > 1 && Array.from({ length: attemptCount }, (_, index) => (
+                    <th key={index} className="py-3 px-4 text-left text-sm font-semibold text-gray-700">#{index + 1}</th>
+                  ))}
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">{attemptCount > 1 ? 'Best' : RESULT_KINDS[event?.resultKind]?.label || 'Score'}</th>
+                  <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Points</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rankedScores.filter(score => score.division === division).map((score) => (
+                  <tr key={score.id} className="border-b border-gray-100 last:border-b-0 hover:bg-gray-50">
+                    <td className="py-3 px-4 text-gray-800 font-bold">{score.place ?? '—'}</td>
+                    <td className="py-3 px-4 text-gray-800">
+                      {score.participantId && entrantsMap[score.participantId] ? (
+                        <button onClick={() => onShowProfile(score.participantId, entrantsMap[score.participantId].name)} className="text-left hover:underline">{entrantsMap[score.participantId].name}</button>
+                      ) : (
+                        entrantsMap[getEntrantId(score)]?.name || (score.teamId ? 'Unknown Team' : 'Unknown Participant')
+                      )}
+                    </td>
+                    <td className="py-3 px-4 text-gray-600">{entrantsMap[getEntrantId(score)]?.house || 'N/A'}</td>
+                    {attemptCount > 1 && Array.from({ length: attemptCount }, (_, index) => {
+                      const attempt = (score.attempts || [score.score])[index];
+                      // Highlight the attempt that counted
+                      const isBest = typeof attempt === 'number' && attempt === score.score && (score.attempts || [score.score]).indexOf(score.score) === index;
+                      return (
+                        <td key={index} className={`py-3 px-4 ${isBest ? 'text-green-700 font-bold bg-green-50' : 'text-gray-600'}`}>
+                          {formatAttempt(event, attempt)}
+                        </td>
+                      );
+                    })}
+                    <td className="py-3 px-4 text-gray-800 font-medium">
+                      {formatResult(event, score.score)}
+                      <ResultBadges isRecord={recordScoreIds.has(score.id)} isPersonalBest={personalBestIds.has(score.id)} />
+                      {findScoreConflict(score) && (
+                        <span className="ml-2 text-orange-600" title="Different results were entered while offline; resolve it in score entry">⚠</span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4 text-gray-800">{formatPoints(score.points)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))
+      )}
+      {earlierRounds.map((round, roundIndex) => {
+        const qualifiers = selectQualifiers(event, roundIndex, heats, eventScores);
+        return (
+          <div key={roundIndex} className="mt-8">
+            <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">{round.name}</h3>
+            {heats.filter(heat => heat.round === roundIndex).map(heat => {
+              const heatResults = awardPlacementPoints(event, eventScores.filter(score => getScoreRound(event, score) === roundIndex && heat.lanes.includes(getEntrantId(score))), []);
+              return (
+                <div key={heat.id} className="mb-4">
+                  <h4 className="font-semibold text-gray-700 mb-2">Heat {heat.heat}</h4>
+                  {heatResults.length === 0 ? (
+                    <p className="text-gray-600 italic text-sm">No results yet.</p>
+                  ) : (
+                    <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+                      <tbody>
+                        {heatResults.map(result => {
+                          const qualifier = qualifiers.find(q => getEntrantId(q) === getEntrantId(result));
+                          return (
+                            <tr key={result.id} className="border-b border-gray-100 last:border-b-0 hover:bg-gray-50">
+                              <td className="py-2 px-4 text-gray-800 font-bold w-16">{result.place}</td>
+                              <td className="py-2 px-4 text-gray-600 w-24">Lane {heat.lanes.indexOf(getEntrantId(result)) + 1}</td>
+                              <td className="py-2 px-4 text-gray-800">{entrantsMap[getEntrantId(result)]?.name || (result.teamId ? 'Unknown Team' : 'Unknown Participant')}</td>
+                              <td className="py-2 px-4 text-gray-800 font-medium">{formatResult(event, result.score)}</td>
+                              <td className="py-2 px-4 font-bold text-green-700 w-12">{qualifier ? (qualifier.by === 'place' ? 'Q' : 'q') : ''}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        );
+      })}
+      <button
+        onClick={onBack}
+        className="mt-6 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+      >
+        Back to Dashboard
+      </button>
+      {eventScores.length > 0 && (
+        <button
+          onClick={() => downloadCsv(`${eventName} results`, eventResultsCsvRows(event, eventScores, entrantsMap, pointsTable, currentDay?.ageCutoff))}
+          className="mt-6 ml-4 px-6 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition duration-200"
+        >
+          Export CSV
+        </button>
+      )}
+    </div>
+  );
+};
+
+// --- Score Change History Component ---
+const EventHistory = ({ eventId, eventName, onBack }) => {
+  const { db, isAuthReady, role, userId, userEmail } = useContext(AppContext);
+  const [entries, setEntries] = useState([]);
+  const [event, setEvent] = useState(null);
+  const { docs: participants } = useParticipants(event?.dayId);
+  const { docs: teams, error: teamsError } = useCollection('teams', { eventId });
+  // Participants and this event's teams by id
+  const entrantsMap = useMemo(() => Object.fromEntries([...participants, ...teams].map(entrant => [entrant.id, entrant])), [participants, teams]);
+  const [loading, setLoading] = useState(true);
+  const [modalMessage, setModalMessage] = useState('');
+  const [modalAction, setModalAction] = useState(null);
+
+  useEffect(() => {
+    if (db && isAuthReady) {
+      const dataPath = getDataPath();
+
+      const unsubscribeEvent = onSnapshot(doc(db, `${dataPath}/sportsday_events`, eventId), (snapshot) => {
+        setEvent(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+      }, (error) => {
+        console.error("Error fetching event for history:", error);
+      });
+
+      const auditQuery = query(collection(db, `${dataPath}/sportsday_audit`), where("eventId", "==", eventId));
+      const unsubscribeAudit = onSnapshot(auditQuery, (snapshot) => {
+        const entriesData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), at: doc.data().at?.toDate() }));
+        entriesData.sort((a, b) => b.at - a.at); // Newest first
+        setEntries(entriesData);
+        setLoading(false);
+      }, (error) => {
+        console.error("Error fetching score history:", error);
+        setLoading(false);
+      });
+
+      return () => {
+        unsubscribeEvent();
+        unsubscribeAudit();
+      };
+    }
+  }, [db, isAuthReady, eventId]);
+
+  const describeScore = (score) => {
+    if (!score) return '—';
+    const round = score.round !== null && event?.rounds?.length ? ` (${getRounds(event)[score.round]?.name})` : '';
+    return formatResult(event, score.score) + round;
+  };
+
+  // Puts the score back the way it was before the chosen change
+  const handleRevert = (entry) => {
+    const name = entrantsMap[getEntrantId(entry)]?.name || 'Unknown Participant';
+    setModalMessage(`Revert ${name}'s result from ${describeScore(entry.after)} back to ${describeScore(entry.before)}?`);
+    setModalAction(() => async () => {
+      const dataPath = getDataPath();
+      const editor = { userId, email: userEmail };
+      try {
+        const current = await getDoc(doc(db, `${dataPath}/sportsday_scores`, entry.scoreId));
+        if (entry.before) {
+          const { round, ...restored } = entry.before;
+          const existing = current.exists() ? { id: current.id, ...current.data() } : { id: entry.scoreId };
+          queueWrite(writeScore(db, dataPath, existing, { ...restored, ...(round !== null && { round }), timestamp: new Date() }, editor, entry.id), `revert of ${name}'s result`);
+        } else if (current.exists()) {
+          queueWrite(deleteScore(db, dataPath, { id: current.id, ...current.data() }, editor, entry.id), `revert of ${name}'s result`);
+        }
+        setModalMessage("Change reverted successfully!");
+      } catch (e) {
+        console.error("Error reverting score change:", e);
+        setModalMessage("Failed to revert change: " + e.message);
+      } finally {
+        setModalAction(null);
+      }
+    });
+  };
+
+  const closeModal = () => {
+    setModalMessage('');
+    setModalAction(null);
+  };
+
+  const confirmModal = async () => {
+    if (modalAction) {
+      await modalAction(); // Leaves the result message showing
+    } else {
+      closeModal();
+    }
+  };
+
+  const actionLabels = {
+    create: 'Entered',
+    update: 'Changed',
+    delete: 'Deleted',
+    revert: 'Reverted',
+    trash: 'Moved to recycle bin',
+    restore: 'Restored from recycle bin',
+    purge: 'Permanently deleted',
+  };
+
+  if (loading) {
+    return <div className="text-center py-8 text-gray-600">Loading history...</div>;
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Score History for {eventName}</h2>
+      {teamsError && <p className="text-red-600 text-sm mb-4">Failed to load teams: {teamsError.message}</p>}
+      <Modal
+        message={modalMessage}
+        onConfirm={confirmModal}
+        onCancel={closeModal}
+        showCancel={modalAction !== null}
+      />
+      {entries.length === 0 ? (
+        <p className="text-gray-600 italic">No score changes recorded for this event yet.</p>
+      ) : (
+        <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+          <thead className="bg-gray-100 border-b border-gray-200">
+            <tr>
+              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">When</th>
+              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Who</th>
+              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">{event?.teamEvent ? 'Team' : 'Participant'}</th>
+              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Change</th>
+              {canManage(role) && <th className="py-3 px-4"></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => (
+              <tr key={entry.id} className="border-b border-gray-100 last:border-b-0 hover:bg-gray-50">
+                <td className="py-3 px-4 text-gray-600 text-sm">{entry.at?.toLocaleString()}</td>
+                <td className="py-3 px-4 text-gray-600 text-sm">{entry.by}</td>
+                <td className="py-3 px-4 text-gray-800">{entrantsMap[getEntrantId(entry)]?.name || (entry.teamId ? 'Unknown Team' : 'Unknown Participant')}</td>
+                <td className="py-3 px-4 text-gray-800">
+                  <span className="font-semibold">{actionLabels[entry.action]}</span>: {describeScore(entry.before)} → {describeScore(entry.after)}
+                </td>
+                {canManage(role) && (
+                  <td className="py-3 px-4 text-right">
+                    {!entry.trashId && ( // Recycle bin changes are undone from the bin
+                      <button
+                        onClick={() => handleRevert(entry)}
+                        className="px-3 py-1 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                      >
+                        Revert
+                      </button>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button
+        onClick={onBack}
+        className="mt-6 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+      >
+        Back to Dashboard
+      </button>
+    </div>
+  );
+};
+
+// --- Overall Standings Component ---
+const OverallStandings = ({ onBack, onShowProfile }) => {
+  const { dayId, currentDay, pointsTable } = useContext(AppContext);
+  const repository = useRepository();
+  // Shared listeners, so a score change doesn't refetch every participant and event
+  const { docs: events, loading: loadingEvents } = useEvents(dayId);
+  const { docs: participants, loading: loadingParticipants } = useParticipants(dayId);
+  const { docs: teams } = useCollection('teams', dayId ? { dayId } : null); // Team results are credited through the team's house and members
+  const { docs: houses } = useCollection('houses');
+  const [tally, setTally] = useState(null); // { scoresByEvent, eventPoints }, kept up to date from score changes
+  const [showHouses, setShowHouses] = useState(false);
+  const [ageGroupFilter, setAgeGroupFilter] = useState(''); // '' for all
+  const [genderFilter, setGenderFilter] = useState('');
+
+  const eventsMap = useMemo(() => Object.fromEntries(events.map(event => [event.id, event])), [events]);
+  const participantsMap = useMemo(() => Object.fromEntries(participants.map(participant => [participant.id, participant])), [participants]);
+  const housesMap = useMemo(() => Object.fromEntries(houses.map(house => [normaliseHouseName(house.name), house])), [houses]); // { normalised house name: house }
+  const ageCutoff = currentDay?.ageCutoff;
+  const context = useMemo(() => ({
+    eventsMap,
+    participantsMap,
+    teamsMap: Object.fromEntries(teams.map(team => [team.id, team])),
+    pointsTable,
+    ageCutoff,
+  }), [eventsMap, participantsMap, teams, pointsTable, ageCutoff]);
+  const contextRef = useRef(context);
+
+  // Events, participants, teams or the points table changing re-ranks every event
+  useEffect(() => {
+    contextRef.current = context;
+    setTally(prev => prev && { ...prev, eventPoints: scoreEvents({}, Object.keys(prev.scoresByEvent), prev.scoresByEvent, context) });
+  }, [context]);
+
+  // A score change only re-ranks its own event
+  useEffect(() => {
+    if (repository && dayId) {
+      setTally(null);
+      return repository.subscribe('scores', { dayId }, (docs, changes) => {
+        setTally(prev => applyScoreChanges(prev || { scoresByEvent: {}, eventPoints: {} }, changes, contextRef.current));
+      }, (error) => {
+        console.error("Error fetching overall standings:", error);
+        setTally(prev => prev || { scoresByEvent: {}, eventPoints: {} });
+      });
+    }
+  }, [repository, dayId]);
+
+  const allStandings = useMemo(() => standingsFromEventPoints(tally?.eventPoints || {}, participantsMap, ageCutoff), [tally, participantsMap, ageCutoff]);
+  const houseStandings = useMemo(() => houseStandingsFromEventPoints(tally?.eventPoints || {}), [tally]);
+
+  if (dayId && (!tally || loadingEvents || loadingParticipants)) {
+    return <div className="text-center py-8 text-gray-600">Calculating standings...</div>;
+  }
+
+  // Placement points rather than raw results, so seconds and metres never get added together
+  const standings = filterStandings(allStandings, ageGroupFilter, genderFilter);
+  const ageGroups = [...new Set(allStandings.map(standing => standing.ageGroup).filter(Boolean))].sort(compareAgeGroups);
+  const hasGenders = allStandings.some(standing => standing.gender);
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6 border-b pb-3">
+        <h2 className="2xl font-bold text-gray-800">Overall Standings</h2>
+        <div className="flex gap-2">
+          <button
+            onClick={() => (showHouses
+              ? downloadCsv('house standings', houseStandingsCsvRows(houseStandings, eventsMap))
+              : downloadCsv('overall standings', standingsCsvRows(standings)))}
+            className="px-4 py-2 rounded-md text-sm bg-green-600 text-white hover:bg-green-700 transition duration-200"
+          >
+            Export CSV
+          </button>
+          <button
+            onClick={() => setShowHouses(false)}
+            className={`px-4 py-2 rounded-md text-sm transition duration-200 ${!showHouses ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+          >
+            Individuals
+          </button>
+          <button
+            onClick={() => setShowHouses(true)}
+            className={`px-4 py-2 rounded-md text-sm transition duration-200 ${showHouses ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+          >
+            Houses
+          </button>
+        </div>
+      </div>
+      {!showHouses && (ageGroups.length > 0 || hasGenders) && (
+        <div className="flex flex-wrap gap-4 mb-4">
+          {ageGroups.length > 0 && (
+            <div>
+              <label htmlFor="standingsAgeGroup" className="text-sm font-medium text-gray-700 mr-2">Age Group:</label>
+              <select
+                id="standingsAgeGroup"
+                value={ageGroupFilter}
+                onChange={(e) => setAgeGroupFilter(e.target.value)}
+                className="px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">All</option>
+                {ageGroups.map(ageGroup => (
+                  <option key={ageGroup} value={ageGroup}>{ageGroup}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {hasGenders && (
+            <div>
+              <label htmlFor="standingsGender" className="text-sm font-medium text-gray-700 mr-2">Gender:</label>
+              <select
+                id="standingsGender"
+                value={genderFilter}
+                onChange={(e) => setGenderFilter(e.target.value)}
+                className="px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">All</option>
+                {Object.entries(GENDERS).map(([gender, label]) => (
+                  <option key={gender} value={gender}>{label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+      )}
+      {showHouses ? (
+        <HouseStandings houseStandings={houseStandings} eventsMap={eventsMap} housesMap={housesMap} />
+      ) : standings.length === 0 ? (
+        <p className="text-gray-600 italic">No scores recorded yet to calculate standings.</p>
+      ) : (
+        <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+          <thead className="bg-gray-100 border-b border-gray-200">
+            <tr>
+              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Rank</th>
+              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Participant</th>
+              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">House</th>
+              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Total Points</th>
+            </tr>
+          </thead>
+          <tbody>
+            {standings.map((standing) => (
+              <tr key={standing.participantId} className="border-b border-gray-100 last:border-b-0 hover:bg-gray-50">
+                <td className="py-3 px-4 text-gray-800 font-bold">{standing.place}</td>
+                <td className="py-3 px-4 text-gray-800">
+                  <button onClick={() => onShowProfile(standing.participantId, standing.name)} className="text-left hover:underline">{standing.name}</button>
+                </td>
+                <td className="py-3 px-4 text-gray-600"><HouseBadge name={standing.house} house={housesMap[normaliseHouseName(standing.house)]} /></td>
+                <td className="py-3 px-4 text-gray-800 font-medium">{formatPoints(standing.totalPoints)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {onBack && (
+        <button
+          onClick={onBack}
+          className="mt-6 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+        >
+          Back to Dashboard
+        </button>
+      )}
+    </div>
+  );
+};
+
+// --- House Standings Component ---
+// Rendered from OverallStandings' tally so both tables update from the same scores listener
+const HouseStandings = ({ houseStandings, eventsMap, housesMap }) => {
+  const scoredEvents = Object.keys(eventsMap)
+    .filter(eventId => houseStandings.some(standing => standing.eventPoints[eventId] !== undefined))
+    .sort((a, b) => eventsMap[a].name.localeCompare(eventsMap[b].name));
+
+  if (houseStandings.length === 0) {
+    return <p className="text-gray-600 italic">No scores recorded yet to calculate house standings.</p>;
+  }
+
+  return (
+    <>
+      <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm mb-8">
+        <thead className="bg-gray-100 border-b border-gray-200">
+          <tr>
+            <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Rank</th>
+            <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">House</th>
+            <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Total Points</th>
+          </tr>
+        </thead>
+        <tbody>
+          {houseStandings.map((standing) => (
+            <tr key={standing.house} className="border-b border-gray-100 last:border-b-0 hover:bg-gray-50">
+              <td className="py-3 px-4 text-gray-800 font-bold">{standing.place}</td>
+              <td className="py-3 px-4 text-gray-800"><HouseBadge name={standing.house} house={housesMap[normaliseHouseName(standing.house)]} /></td>
+              <td className="py-3 px-4 text-gray-800 font-medium">{formatPoints(standing.totalPoints)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">Points by Event</h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+          <thead className="bg-gray-100 border-b border-gray-200">
+            <tr>
+              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Event</th>
+              {houseStandings.map(standing => (
+                <th key={standing.house} className="py-3 px-4 text-left text-sm font-semibold text-gray-700">
+                  <HouseBadge name={standing.house} house={housesMap[normaliseHouseName(standing.house)]} />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {scoredEvents.map(eventId => (
+              <tr key={eventId} className="border-b border-gray-100 last:border-b-0 hover:bg-gray-50">
+                <td className="py-3 px-4 text-gray-800">{eventsMap[eventId].name}</td>
+                {houseStandings.map(standing => (
+                  <td key={standing.house} className="py-3 px-4 text-gray-600">{formatPoints(standing.eventPoints[eventId] || 0)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+};
+
+// --- Printable Results Booklet Component ---
+// One event per printed page, ranked with the same placement logic as the on-screen views
+const ResultsBooklet = ({ onBack }) => {
+  const { isAuthReady, dayId, currentDay, pointsTable } = useContext(AppContext);
+  const repository = useRepository();
+  const [bookletData, setBookletData] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (repository && isAuthReady && dayId) {
+      const fetchBookletData = async () => {
+        try {
+          const [events, scores, participants, teams] = await Promise.all(
+            ['events', 'scores', 'participants', 'teams'].map(kind => repository.list(kind, { dayId }))
+          );
+          events.sort((a, b) => a.name.localeCompare(b.name));
+
+          setBookletData({
+            events,
+            scores,
+            participantsMap: Object.fromEntries(participants.map(participant => [participant.id, participant])),
+            teamsMap: Object.fromEntries(teams.map(team => [team.id, team])),
+          });
+        } catch (e) {
+          console.error("Error loading results booklet:", e);
+          setError("Failed to load results: " + e.message);
+        }
+      };
+      fetchBookletData();
+    }
+  }, [repository, isAuthReady, dayId]);
+
+  if (error) {
+    return <div className="bg-white p-6 rounded-xl shadow-lg text-red-600">{error}</div>;
+  }
+
+  if (!bookletData) {
+    return <div className="text-center py-8 text-gray-600">Preparing results booklet...</div>;
+  }
+
+  const { events, scores, participantsMap, teamsMap } = bookletData;
+  const entrantsMap = buildEntrantsMap(participantsMap, teamsMap, currentDay?.ageCutoff);
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <div className="flex flex-wrap gap-4 mb-6 no-print">
+        <button
+          onClick={() => window.print()}
+          className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200"
+        >
+          Print Booklet
+        </button>
+        <button
+          onClick={onBack}
+          className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+        >
+          Back to Dashboard
+        </button>
+      </div>
+      {events.length === 0 && <p className="text-gray-600 italic">No events to print.</p>}
+      {events.map(event => {
+        const results = awardDivisionPoints(event, scores.filter(score => score.eventId === event.id && isFinalScore(event, score)), entrantsMap, pointsTable, currentDay?.ageCutoff);
+        const hasDivisions = results.some(result => result.division);
+        return (
+          <section key={event.id} className="print-page mb-12">
+            <h2 className="text-2xl font-bold text-gray-800 mb-1">{event.name}</h2>
+            <p className="text-sm text-gray-600 mb-4 border-b pb-3">
+              {event.type}
+              {event.resultKind && ` · ${RESULT_KINDS[event.resultKind].label} (${isLowerBetter(event) ? 'lower' : 'higher'} is better)`}
+            </p>
+            {results.length === 0 ? (
+              <p className="text-gray-600 italic">No results recorded.</p>
+            ) : (
+              <table className="min-w-full bg-white">
+                <thead className="border-b border-gray-300">
+                  <tr>
+                    {hasDivisions && <th className="py-2 px-4 text-left text-sm font-semibold text-gray-700">Division</th>}
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-700">Rank</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-700">{event.teamEvent ? 'Team' : 'Name'}</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-700">House</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-700">Result</th>
+                    <th className="py-2 px-4 text-left text-sm font-semibold text-gray-700">Points</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.map(result => (
+                    <tr key={result.id} className="border-b border-gray-100">
+                      {hasDivisions && <td className="py-2 px-4">{result.division}</td>}
+                      <td className="py-2 px-4 font-bold">{result.place ?? '—'}</td>
+                      <td className="py-2 px-4">
+                        {entrantsMap[getEntrantId(result)]?.name || (result.teamId ? 'Unknown Team' : 'Unknown Participant')}
+                        {result.teamId && (
+                          <span className="block text-xs text-gray-500">
+                            {(entrantsMap[result.teamId]?.memberIds || []).map(id => participantsMap[id]?.name).filter(Boolean).join(', ')}
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-2 px-4">{entrantsMap[getEntrantId(result)]?.house || 'N/A'}</td>
+                      <td className="py-2 px-4">{formatResult(event, result.score)}</td>
+                      <td className="py-2 px-4">{formatPoints(result.points)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+// --- Records Component ---
+// School records per event and division, kept across sports days. Admins add records from the paper
+// list here; new ones set on the day are confirmed from the event's results.
+const RecordsManager = ({ onBack }) => {
+  const { db, role, dayId, currentDay, userId, userEmail } = useContext(AppContext);
+  const repository = useRepository();
+  const { docs: recordDocs, loading, error: recordsError } = useCollection('records');
+  const records = useMemo(() => [...recordDocs].sort((a, b) => a.eventName.localeCompare(b.eventName) || compareAgeGroups(a.division, b.division)), [recordDocs]);
+  const { docs: events } = useEvents(dayId); // The day's events suggest names and give a new record its units
+  const [eventName, setEventName] = useState('');
+  const [division, setDivision] = useState('');
+  const [holder, setHolder] = useState('');
+  const [house, setHouse] = useState('');
+  const [value, setValue] = useState('');
+  const [year, setYear] = useState('');
+  const [expandedId, setExpandedId] = useState(null); // The record whose history is showing
+  const [modalMessage, setModalMessage] = useState('');
+  const [modalAction, setModalAction] = useState(null);
+  const [error, setError] = useState('');
+
   useEffect(() => {
-    if (db && isAuthReady) {
-      const currentAppId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
-      const scoresColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_scores`);
-      const participantsColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_participants`);
-
-      const unsubscribe = onSnapshot(scoresColRef, async (scoresSnapshot) => {
-        const allScores = scoresSnapshot.docs.map(doc => doc.data());
-
-        // Fetch all participants
-        const participantsSnapshot = await getDocs(participantsColRef);
-        const participantsMap = {};
-        participantsSnapshot.docs.forEach(doc => {
-          participantsMap[doc.id] = doc.data();
+    if (recordsError) setError("Failed to load records.");
+  }, [recordsError]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError('');
+    const parsedValue = parseFloat(value);
+    const parsedYear = Number(year) || Number((currentDay?.date || '').slice(0, 4)) || new Date().getFullYear();
+    if (!eventName.trim() || !holder.trim()) {
+      setError('Event and holder are required.');
+      return;
+    }
+    if (isNaN(parsedValue) || parsedValue < 0) {
+      setError('Enter the record as a number.');
+      return;
+    }
+
+    const previous = records.find(record => recordKey(record) === recordDocId(eventName, division));
+    const event = events.find(dayEvent => dayEvent.name.trim().toLowerCase() === eventName.trim().toLowerCase());
+    const save = async () => {
+      try {
+        const dataPath = getDataPath();
+        await setRecord(db, dataPath, {
+          eventName: event ? event.name : eventName,
+          division: division.trim(),
+          resultKind: event?.resultKind || previous?.resultKind,
+          holder: holder.trim(),
+          house: house.trim(),
+          value: parsedValue,
+          year: parsedYear,
+        }, previous, { userId, email: userEmail });
+        setEventName('');
+        setDivision('');
+        setHolder('');
+        setHouse('');
+        setValue('');
+        setYear('');
+        return true;
+      } catch (e) {
+        console.error("Error saving record:", e);
+        setError("Failed to save record: " + e.message);
+        return false;
+      }
+    };
+
+    if (previous) {
+      setModalMessage(`Replace ${previous.holder}'s ${previous.eventName}${previous.division ? ` ${previous.division}` : ''} record? It will be kept in the record's history.`);
+      setModalAction(() => async () => {
+        const saved = await save();
+        setModalMessage(saved ? 'Record replaced.' : 'The record could not be saved.');
+        setModalAction(null);
+      });
+    } else {
+      save();
+    }
+  };
+
+  const handleDelete = (record) => {
+    setModalMessage(`Delete the ${record.eventName}${record.division ? ` ${record.division}` : ''} record and its history?`);
+    setModalAction(() => async () => {
+      try {
+        await repository.remove('records', record.id);
+        setModalMessage('Record deleted.');
+      } catch (e) {
+        console.error("Error deleting record:", e);
+        setModalMessage("Error deleting record: " + e.message);
+      } finally {
+        setModalAction(null);
+      }
+    });
+  };
+
+  const closeModal = () => {
+    setModalMessage('');
+    setModalAction(null);
+  };
+
+  const confirmModal = async () => {
+    if (modalAction) {
+      await modalAction(); // Leaves the result message showing
+    } else {
+      closeModal();
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-8 text-gray-600">Loading records...</div>;
+  }
+
+  const divisionSuggestions = [...new Set(records.map(record => record.division).filter(Boolean))].sort(compareAgeGroups);
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <Modal
+        message={modalMessage}
+        onConfirm={confirmModal}
+        onCancel={closeModal}
+        showCancel={modalAction !== null}
+      />
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Records</h2>
+
+      {canManage(role) && (
+        <form onSubmit={handleSubmit} className="grid gap-4 sm:grid-cols-3 mb-8">
+          <div>
+            <label htmlFor="recordEvent" className="block text-sm font-medium text-gray-700 mb-1">Event</label>
+            <input
+              type="text"
+              id="recordEvent"
+              list="recordEventNames"
+              value={eventName}
+              onChange={(e) => setEventName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <datalist id="recordEventNames">
+              {[...new Set([...events.map(event => event.name), ...records.map(record => record.eventName)])].map(name => (
+                <option key={name} value={name} />
+              ))}
+            </datalist>
+          </div>
+          <div>
+            <label htmlFor="recordDivision" className="block text-sm font-medium text-gray-700 mb-1">Division</label>
+            <input
+              type="text"
+              id="recordDivision"
+              list="recordDivisions"
+              value={division}
+              onChange={(e) => setDivision(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="e.g. Year 5 Girls; blank if open"
+            />
+            <datalist id="recordDivisions">
+              {divisionSuggestions.map(name => (
+                <option key={name} value={name} />
+              ))}
+            </datalist>
+          </div>
+          <div>
+            <label htmlFor="recordHolder" className="block text-sm font-medium text-gray-700 mb-1">Holder</label>
+            <input
+              type="text"
+              id="recordHolder"
+              value={holder}
+              onChange={(e) => setHolder(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="recordHouse" className="block text-sm font-medium text-gray-700 mb-1">House</label>
+            <input
+              type="text"
+              id="recordHouse"
+              value={house}
+              onChange={(e) => setHouse(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="recordValue" className="block text-sm font-medium text-gray-700 mb-1">Mark</label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              id="recordValue"
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="recordYear" className="block text-sm font-medium text-gray-700 mb-1">Year</label>
+            <input
+              type="number"
+              id="recordYear"
+              value={year}
+              onChange={(e) => setYear(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder={(currentDay?.date || '').slice(0, 4)}
+            />
+          </div>
+          <div className="sm:col-span-3">
+            {error && <p className="text-red-600 text-sm mb-2">{error}</p>}
+            <button
+              type="submit"
+              className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200"
+            >
+              Save Record
+            </button>
+          </div>
+        </form>
+      )}
+
+      {records.length === 0 ? (
+        <p className="text-gray-600 italic">No records yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
+            <thead className="bg-gray-100 border-b border-gray-200">
+              <tr>
+                <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Event</th>
+                <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Division</th>
+                <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Holder</th>
+                <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Mark</th>
+                <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Year</th>
+                <th className="py-3 px-4"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {records.map(record => (
+                <React.Fragment key={record.id}>
+                  <tr className="border-b border-gray-100 hover:bg-gray-50">
+                    <td className="py-3 px-4 text-gray-800">{record.eventName}</td>
+                    <td className="py-3 px-4 text-gray-600">{record.division || 'Open'}</td>
+                    <td className="py-3 px-4 text-gray-800">{record.holder}{record.house && <span className="text-gray-500"> ({record.house})</span>}</td>
+                    <td className="py-3 px-4 text-gray-800 font-medium">{formatResult(record, record.value)}</td>
+                    <td className="py-3 px-4 text-gray-600">{record.year}</td>
+                    <td className="py-3 px-4 text-right whitespace-nowrap">
+                      {record.history?.length > 0 && (
+                        <button onClick={() => setExpandedId(expandedId === record.id ? null : record.id)} className="text-sm text-blue-700 underline hover:text-blue-900">
+                          History ({record.history.length})
+                        </button>
+                      )}
+                      {canManage(role) && (
+                        <button onClick={() => handleDelete(record)} className="ml-4 text-sm text-red-700 underline hover:text-red-900">Delete</button>
+                      )}
+                    </td>
+                  </tr>
+                  {expandedId === record.id && [...record.history].reverse().map((previous, index) => (
+                    <tr key={index} className="border-b border-gray-100 bg-gray-50 text-sm text-gray-600">
+                      <td className="py-2 px-4"></td>
+                      <td className="py-2 px-4">Previous</td>
+                      <td className="py-2 px-4">{previous.holder}{previous.house && ` (${previous.house})`}</td>
+                      <td className="py-2 px-4">{formatResult(record, previous.value)}</td>
+                      <td className="py-2 px-4">{previous.year}</td>
+                      <td className="py-2 px-4"></td>
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <button
+        onClick={onBack}
+        className="mt-8 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+      >
+        Back to Dashboard
+      </button>
+    </div>
+  );
+};
+
+// --- Spectator Board Component ---
+// Read-only display for the hall projector, opened with ?board. It cycles through the latest results,
+// the house standings and what's coming up, and stays current through its snapshot listeners. It has
+// no buttons and never writes, so it's safe to leave running on a signed-in staff laptop.
+const BOARD_PANELS = ['Latest Results', 'House Standings', 'Coming Up'];
+const BOARD_PANEL_SECONDS = 15;
+
+const SpectatorBoard = () => {
+  const { dayId, currentDay, pointsTable } = useContext(AppContext);
+  const { docs: events, loading } = useEvents(dayId);
+  const { docs: participants } = useParticipants(dayId);
+  const { docs: teams } = useCollection('teams', dayId ? { dayId } : null);
+  const { docs: scoreDocs } = useScores(dayId ? { dayId } : null);
+  const { docs: houses } = useCollection('houses');
+  const participantsMap = useMemo(() => Object.fromEntries(participants.map(participant => [participant.id, participant])), [participants]);
+  const teamsMap = useMemo(() => Object.fromEntries(teams.map(team => [team.id, team])), [teams]);
+  const housesMap = useMemo(() => Object.fromEntries(houses.map(house => [normaliseHouseName(house.name), house])), [houses]); // { normalised house name: house }
+  // Each score's latest edit says how recent the result is
+  const scores = useMemo(() => scoreDocs.map(score => ({ ...score, scoredAt: Math.max(0, ...getScoreEdits(score).map(edit => edit.at?.toMillis() || 0)) })), [scoreDocs]);
+  const [panelIndex, setPanelIndex] = useState(0);
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setPanelIndex(index => (index + 1) % BOARD_PANELS.length);
+    }, BOARD_PANEL_SECONDS * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (loading && dayId) {
+    return <div className="flex items-center justify-center min-h-screen bg-gray-900 text-3xl text-gray-300">Loading results...</div>;
+  }
+
+  const eventsMap = {};
+  events.forEach(event => {
+    eventsMap[event.id] = event;
+  });
+  const entrantsMap = buildEntrantsMap(participantsMap, teamsMap, currentDay?.ageCutoff);
+  const latestResults = getLatestResults(scores, eventsMap, entrantsMap, pointsTable, currentDay?.ageCutoff);
+  const houseStandings = calculateHouseStandings(scores, eventsMap, participantsMap, pointsTable, currentDay?.ageCutoff, teamsMap);
+  const { now, next } = getNowAndNext(events, 5);
+
+  const renderLatestResults = () => (latestResults.length === 0 ? (
+    <p className="text-3xl text-gray-400 italic">No results yet.</p>
+  ) : (
+    <div className="grid gap-8 lg:grid-cols-2">
+      {latestResults.map(({ eventId, event, podium }) => (
+        <div key={eventId} className="bg-gray-800 rounded-2xl p-6">
+          <h3 className="text-3xl lg:text-4xl font-bold mb-4">{event.name}</h3>
+          {podium.map(result => (
+            <div key={`${result.division}-${getEntrantId(result)}`} className="flex items-center gap-4 py-2 text-2xl lg:text-3xl">
+              <span className="w-12 font-extrabold text-yellow-400">{result.place}</span>
+              <span className="flex-grow">
+                {entrantsMap[getEntrantId(result)]?.name || (result.teamId ? 'Unknown Team' : 'Unknown Participant')}
+                {result.division && <span className="ml-3 text-lg text-gray-400">{result.division}</span>}
+              </span>
+              <HouseBadge name={entrantsMap[getEntrantId(result)]?.house || ''} house={housesMap[normaliseHouseName(entrantsMap[getEntrantId(result)]?.house)]} />
+              <span className="w-40 text-right font-semibold">{formatResult(event, result.score)}</span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  ));
+
+  const renderHouseStandings = () => (houseStandings.length === 0 ? (
+    <p className="text-3xl text-gray-400 italic">No points scored yet.</p>
+  ) : (
+    <div className="space-y-4">
+      {houseStandings.map(standing => (
+        <div key={standing.house} className="flex items-center gap-6 bg-gray-800 rounded-2xl px-8 py-5 text-4xl lg:text-5xl font-bold">
+          <span className="w-16 text-yellow-400">{standing.place}</span>
+          <span className="flex-grow"><HouseBadge name={standing.house} house={housesMap[normaliseHouseName(standing.house)]} /></span>
+          <span>{formatPoints(standing.totalPoints)}</span>
+        </div>
+      ))}
+    </div>
+  ));
+
+  const renderEventRow = (event) => (
+    <li key={event.id} className="flex items-center justify-between gap-4 bg-gray-800 rounded-2xl px-8 py-4 text-3xl lg:text-4xl">
+      <span className="font-semibold">{event.name}</span>
+      <span className="text-gray-300">{[event.startTime, event.venue].filter(Boolean).join(' · ')}</span>
+    </li>
+  );
+
+  const renderComingUp = () => (now.length === 0 && next.length === 0 ? (
+    <p className="text-3xl text-gray-400 italic">Every event has finished.</p>
+  ) : (
+    <div className="space-y-8">
+      {now.length > 0 && (
+        <div>
+          <h3 className="text-2xl font-semibold text-green-400 uppercase tracking-wide mb-4">Now</h3>
+          <ul className="space-y-3">{now.map(renderEventRow)}</ul>
+        </div>
+      )}
+      {next.length > 0 && (
+        <div>
+          <h3 className="text-2xl font-semibold text-gray-400 uppercase tracking-wide mb-4">Next</h3>
+          <ul className="space-y-3">{next.map(renderEventRow)}</ul>
+        </div>
+      )}
+    </div>
+  ));
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-8 lg:p-12 font-sans">
+      <header className="flex flex-wrap items-baseline justify-between gap-4 mb-10 border-b border-gray-700 pb-6">
+        <h1 className="text-4xl lg:text-6xl font-extrabold tracking-tight">{currentDay?.name || 'Sports Day'}</h1>
+        <h2 className="text-3xl lg:text-5xl font-bold text-yellow-400">{BOARD_PANELS[panelIndex]}</h2>
+      </header>
+      {!currentDay ? (
+        <p className="text-3xl text-gray-400 italic">No sports day has been set up yet.</p>
+      ) : (
+        [renderLatestResults, renderHouseStandings, renderComingUp][panelIndex]()
+      )}
+      <div className="flex justify-center gap-3 mt-10">
+        {BOARD_PANELS.map((title, index) => (
+          <span key={title} className={`w-4 h-4 rounded-full ${index === panelIndex ? 'bg-yellow-400' : 'bg-gray-600'}`}></span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// --- Points Table Settings Component ---
+const PointsTableForm = ({ onSave, onCancel }) => {
+  const { db, isAuthReady, dayId, currentDay, pointsTable } = useContext(AppContext);
+  const [points, setPoints] = useState(() => pointsTable.map(String)); // Starts from the selected day's table
+  const [error, setError] = useState('');
+
+  const handlePointsChange = (index, value) => {
+    if (value === '' || /^\d*\.?\d*$/.test(value)) {
+      setPoints(prev => prev.map((p, i) => (i === index ? value : p)));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (points.length === 0 || points.some(p => p === '' || isNaN(parseFloat(p)))) {
+      setError("Every place needs a points value.");
+      return;
+    }
+    const parsedPoints = points.map(parseFloat);
+    if (parsedPoints.some((p, i) => i > 0 && p > parsedPoints[i - 1])) {
+      setError("A place cannot earn more points than the place above it.");
+      return;
+    }
+
+    if (!db || !isAuthReady) {
+      setError("Database not ready. Please wait.");
+      return;
+    }
+
+    if (!dayId) {
+      setError("Set up a sports day before changing its points table.");
+      return;
+    }
+
+    const dataPath = getDataPath();
+    try {
+      await updateDoc(doc(db, `${dataPath}/sportsday_days`, dayId), { pointsTable: parsedPoints });
+      onSave(); // Go back to dashboard
+    } catch (e) {
+      console.error("Error saving points table:", e);
+      setError("Failed to save points table: " + e.message);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Points Table{currentDay ? ` for ${currentDay.name}` : ''}</h2>
+      <p className="text-sm text-gray-600 mb-4">Points awarded for each finishing place on this sports day. Tied results share the points of the places they span; places beyond the table score 0.</p>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {points.map((value, index) => (
+          <div key={index} className="flex items-center space-x-4">
+            <label htmlFor={`points-${index}`} className="block text-lg font-medium text-gray-700 w-24">Place {index + 1}</label>
+            <input
+              type="number"
+              step="0.5"
+              min="0"
+              id={`points-${index}`}
+              value={value}
+              onChange={(e) => handlePointsChange(index, e.target.value)}
+              className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        ))}
+        <div className="flex flex-wrap gap-4">
+          <button
+            type="button"
+            onClick={() => setPoints(prev => [...prev, '0'])}
+            className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition duration-200 text-sm"
+          >
+            Add Place
+          </button>
+          <button
+            type="button"
+            onClick={() => setPoints(prev => prev.slice(0, -1))}
+            className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 transition duration-200 text-sm"
+            disabled={points.length <= 1}
+          >
+            Remove Last Place
+          </button>
+        </div>
+        {error && <p className="text-red-600 text-sm">{error}</p>}
+        <div className="flex space-x-4 mt-6">
+          <button
+            type="submit"
+            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200"
+          >
+            Save Points Table
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// --- Form for Adding a Sports Day ---
+const SportsDayForm = ({ dayToEdit, onSave, onCancel }) => {
+  const { db, isAuthReady, days, pointsTable } = useContext(AppContext);
+  const repository = useRepository();
+  const [name, setName] = useState(dayToEdit?.name || '');
+  const [date, setDate] = useState(dayToEdit?.date || new Date().toISOString().slice(0, 10));
+  const [venue, setVenue] = useState(dayToEdit?.venue || '');
+  const [ageCutoff, setAgeCutoff] = useState(dayToEdit?.ageCutoff || ''); // Age categories are worked out on this date
+  const [maxEventsPerParticipant, setMaxEventsPerParticipant] = useState(String(dayToEdit?.maxEventsPerParticipant || '')); // Empty means no limit
+  const [cloneFromDayId, setCloneFromDayId] = useState(days[0]?.id || '');
+  const [cloneEvents, setCloneEvents] = useState(true);
+  const [cloneParticipants, setCloneParticipants] = useState(true);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || !date) {
+      setError("Sports day name and date cannot be empty.");
+      return;
+    }
+
+    if (!db || !isAuthReady) {
+      setError("Database not ready. Please wait.");
+      return;
+    }
+
+    const dataPath = getDataPath();
+    const parsedMaxEvents = maxEventsPerParticipant === '' ? 0 : parseInt(maxEventsPerParticipant, 10);
+    if (isNaN(parsedMaxEvents) || parsedMaxEvents < 0) {
+      setError("The events per participant limit must be a whole number, or blank for no limit.");
+      return;
+    }
+
+    const dayData = { name: name.trim(), date, venue: venue.trim(), ageCutoff, maxEventsPerParticipant: parsedMaxEvents };
+    const dayRef = dayToEdit ? doc(db, `${dataPath}/sportsday_days`, dayToEdit.id) : doc(collection(db, `${dataPath}/sportsday_days`));
+    // Only the newest day stays open, so a new day (or a changed date) can lock or unlock the others
+    const locks = dayLocks([...days.filter(day => day.id !== dayRef.id), { id: dayRef.id, ...dayData }]);
+    const lockWrites = days
+      .filter(day => day.id !== dayRef.id && Boolean(day.locked) !== locks[day.id])
+      .map(day => (batch) => batch.update(doc(db, `${dataPath}/sportsday_days`, day.id), { locked: locks[day.id] }));
+    const copy = dayToEdit
+      ? dayToEdit.copyingFrom
+      : days.length > 0 && cloneFromDayId && { fromDayId: cloneFromDayId, kinds: [cloneEvents && 'events', cloneParticipants && 'participants'].filter(Boolean) };
+    setSaving(true);
+    setError('');
+
+    let saved = false;
+    try {
+      const writes = [
+        dayToEdit
+          ? (batch) => batch.update(dayRef, { ...dayData, locked: locks[dayRef.id] })
+          // A new day starts with the points table of the day it copies from, or the one being viewed
+          : (batch) => batch.set(dayRef, {
+            ...dayData,
+            pointsTable: days.find(day => day.id === cloneFromDayId)?.pointsTable || pointsTable,
+            locked: locks[dayRef.id],
+            copyingFrom: copy || null,
+          }),
+        ...lockWrites,
+      ];
+      if (!dayToEdit && days.length === 0) {
+        // Docs without a day can't be queried for, but before the first day there are no others
+        const docsByKind = {};
+        for (const kind of ADOPTED_KINDS) {
+          docsByKind[kind] = await repository.list(kind);
+        }
+        planAdoption(docsByKind, dayRef.id).forEach(({ kind, id, changes }) => {
+          writes.push((batch) => batch.update(doc(db, `${dataPath}/sportsday_${kind}`, id), changes));
         });
+      }
+      // The day document and the locks are in the first batch, so a partial failure still leaves a
+      // usable day; adopting again picks up whatever is still without a day
+      await commitInBatches(db, writes);
+      saved = true;
+      if (copy) {
+        await copyDaySetup(db, dataPath, dayRef.id, copy);
+      }
+      onSave(dayRef.id);
+    } catch (e) {
+      console.error("Error saving sports day:", e);
+      setError(saved
+        ? `The sports day was saved, but copying from the earlier day stopped partway: ${e.message}. Edit the sports day and update it to finish copying.`
+        : `Failed to save sports day: ${e.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">{dayToEdit ? 'Edit Sports Day' : 'New Sports Day'}</h2>
+      {days.length === 0 && (
+        <p className="text-sm text-gray-600 mb-4">Any events, participants and scores already recorded will be kept as part of this sports day.</p>
+      )}
+      {dayToEdit?.copyingFrom && (
+        <p className="text-sm text-yellow-800 bg-yellow-50 p-3 rounded-md mb-4">Copying from an earlier sports day didn't finish. Updating the sports day will finish it.</p>
+      )}
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="dayName" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input
+            type="text"
+            id="dayName"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="e.g., Summer Sports Day 2025"
+            required
+          />
+        </div>
+        <div className="flex flex-wrap gap-4">
+          <div>
+            <label htmlFor="dayDate" className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+            <input
+              type="date"
+              id="dayDate"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              required
+            />
+          </div>
+          <div className="flex-grow">
+            <label htmlFor="dayVenue" className="block text-sm font-medium text-gray-700 mb-1">Venue</label>
+            <input
+              type="text"
+              id="dayVenue"
+              value={venue}
+              onChange={(e) => setVenue(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="e.g., School Field"
+            />
+          </div>
+          <div>
+            <label htmlFor="dayAgeCutoff" className="block text-sm font-medium text-gray-700 mb-1">Age Cut-off (Optional)</label>
+            <input
+              type="date"
+              id="dayAgeCutoff"
+              value={ageCutoff}
+              onChange={(e) => setAgeCutoff(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="dayMaxEvents" className="block text-sm font-medium text-gray-700 mb-1">Individual Events per Participant</label>
+            <input
+              type="number"
+              min="1"
+              id="dayMaxEvents"
+              value={maxEventsPerParticipant}
+              onChange={(e) => setMaxEventsPerParticipant(e.target.value)}
+              className="w-32 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="No limit"
+            />
+          </div>
+        </div>
+        <p className="text-sm text-gray-500">Participants without a year group are put in an age category (e.g. U11) from their age on the cut-off date.</p>
+        {days.length > 0 && !dayToEdit && (
+          <div className="space-y-2 bg-gray-50 p-4 rounded-lg">
+            <label htmlFor="dayCloneFrom" className="block text-sm font-medium text-gray-700 mb-1">Copy From</label>
+            <select
+              id="dayCloneFrom"
+              value={cloneFromDayId}
+              onChange={(e) => setCloneFromDayId(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">-- Start Empty --</option>
+              {days.map(day => (
+                <option key={day.id} value={day.id}>{day.name} ({day.date})</option>
+              ))}
+            </select>
+            {cloneFromDayId && (
+              <div className="flex flex-wrap gap-4">
+                <label className="inline-flex items-center text-sm text-gray-700">
+                  <input type="checkbox" checked={cloneEvents} onChange={(e) => setCloneEvents(e.target.checked)} className="mr-2" />
+                  Event list
+                </label>
+                <label className="inline-flex items-center text-sm text-gray-700">
+                  <input type="checkbox" checked={cloneParticipants} onChange={(e) => setCloneParticipants(e.target.checked)} className="mr-2" />
+                  Participant roster
+                </label>
+              </div>
+            )}
+          </div>
+        )}
+        {error && <p className="text-red-600 text-sm">{error}</p>}
+        <div className="flex space-x-4 mt-6">
+          <button
+            type="submit"
+            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200"
+            disabled={saving}
+          >
+            {saving ? 'Saving...' : dayToEdit ? 'Update Sports Day' : 'Create Sports Day'}
+          </button>
+          {days.length > 0 && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
 
-        // Calculate total scores for each participant
-        const participantScores = {};
-        allScores.forEach(score => {
-          if (participantScores[score.participantId]) {
-            participantScores[score.participantId] += score.score;
-          } else {
-            participantScores[score.participantId] = score.score;
-          }
-        });
+// --- Staff Sign-In Component ---
+const StaffSignIn = ({ onSignIn, onCancel }) => {
+  const { auth } = useContext(AppContext);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [signingIn, setSigningIn] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (!email.trim() || !password) {
+      setError("Email and password cannot be empty.");
+      return;
+    }
+
+    setSigningIn(true);
+    try {
+      // Replaces the anonymous session; signing out falls back to anonymous again
+      const { user } = await signInWithEmailAndPassword(auth, email.trim(), password);
+      if (!user.emailVerified) {
+        await sendEmailVerification(user);
+        await signOut(auth);
+        setError(`Your email address isn't verified yet. We've sent a link to ${user.email}; open it, then sign in again.`);
+        return;
+      }
+      onSignIn();
+    } catch (e) {
+      console.error("Error signing in:", e);
+      setError("Failed to sign in: " + e.message);
+    } finally {
+      setSigningIn(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Staff Sign In</h2>
+      <p className="text-sm text-gray-600 mb-4">Admins and judges sign in to enter scores and manage the day. Everyone else can follow the results without signing in.</p>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label htmlFor="staffEmail" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+          <input
+            type="email"
+            id="staffEmail"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            autoComplete="username"
+            required
+          />
+        </div>
+        <div>
+          <label htmlFor="staffPassword" className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+          <input
+            type="password"
+            id="staffPassword"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            autoComplete="current-password"
+            required
+          />
+        </div>
+        {error && <p className="text-red-600 text-sm">{error}</p>}
+        <div className="flex space-x-4 mt-6">
+          <button
+            type="submit"
+            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200"
+            disabled={signingIn}
+          >
+            {signingIn ? 'Signing In...' : 'Sign In'}
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// --- Recycle Bin Component ---
+const RecycleBin = ({ onBack }) => {
+  const { db, isAuthReady, dayId, userId, userEmail } = useContext(AppContext);
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [modalMessage, setModalMessage] = useState('');
+  const [modalAction, setModalAction] = useState(null);
 
-        // Create standings array
-        const calculatedStandings = Object.keys(participantScores).map(participantId => ({
-          participantId,
-          name: participantsMap[participantId]?.name || 'Unknown',
-          house: participantsMap[participantId]?.house || 'N/A',
-          totalScore: participantScores[participantId],
-        }));
-
-        // Sort by total score (highest first)
-        calculatedStandings.sort((a, b) => b.totalScore - a.totalScore);
-        setStandings(calculatedStandings);
+  useEffect(() => {
+    if (db && isAuthReady) {
+      const dataPath = getDataPath();
+      const trashQuery = query(collection(db, `${dataPath}/sportsday_trash`), where("dayId", "==", dayId));
+      const unsubscribe = onSnapshot(trashQuery, (snapshot) => {
+        const entriesData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), deletedAt: doc.data().deletedAt?.toDate() }));
+        entriesData.sort((a, b) => b.deletedAt - a.deletedAt); // Most recently deleted first
+        setEntries(entriesData);
         setLoading(false);
       }, (error) => {
-        console.error("Error fetching overall standings:", error);
+        console.error("Error fetching recycle bin:", error);
         setLoading(false);
       });
-
       return () => unsubscribe();
     }
-  }, [db, isAuthReady]);
+  }, [db, isAuthReady, dayId]);
+
+  const handleRestore = (entry) => {
+    setModalMessage(`Restore ${entry.name} and ${entry.scores.length} score(s)?`);
+    setModalAction(() => async () => {
+      const dataPath = getDataPath();
+      try {
+        await restoreFromTrash(db, dataPath, entry, { userId, email: userEmail });
+        setModalMessage(`${entry.name} restored successfully!`);
+      } catch (e) {
+        console.error("Error restoring from recycle bin:", e);
+        setModalMessage("Failed to restore: " + e.message);
+      } finally {
+        setModalAction(null);
+      }
+    });
+  };
+
+  const handlePurge = (entry) => {
+    setModalMessage(`Permanently delete ${entry.name} and its scores? This action cannot be undone.`);
+    setModalAction(() => async () => {
+      const dataPath = getDataPath();
+      try {
+        await purgeFromTrash(db, dataPath, entry, { userId, email: userEmail });
+        setModalMessage(`${entry.name} permanently deleted.`);
+      } catch (e) {
+        console.error("Error purging from recycle bin:", e);
+        setModalMessage("Failed to delete permanently: " + e.message);
+      } finally {
+        setModalAction(null);
+      }
+    });
+  };
+
+  const closeModal = () => {
+    setModalMessage('');
+    setModalAction(null);
+  };
+
+  const confirmModal = async () => {
+    if (modalAction) {
+      await modalAction(); // Leaves the result message showing
+    } else {
+      closeModal();
+    }
+  };
 
   if (loading) {
-    return <div className="text-center py-8 text-gray-600">Calculating standings...</div>;
+    return <div className="text-center py-8 text-gray-600">Loading recycle bin...</div>;
   }
 
   return (
-    <div className="bg-white p-6 rounded-xl shadow-lg">
-      <h2 className="2xl font-bold text-gray-800 mb-6 border-b pb-3">Overall Standings</h2>
-      {standings.length === 0 ? (
-        <p className="text-gray-600 italic">No scores recorded yet to calculate standings.</p>
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Recycle Bin</h2>
+      <Modal
+        message={modalMessage}
+        onConfirm={confirmModal}
+        onCancel={closeModal}
+        showCancel={modalAction !== null}
+      />
+      {entries.length === 0 ? (
+        <p className="text-gray-600 italic">The recycle bin is empty.</p>
+      ) : (
+        <ul className="space-y-4">
+          {entries.map(entry => (
+            <li key={entry.id} className="flex flex-col sm:flex-row items-start sm:items-center justify-between bg-gray-50 p-4 rounded-lg shadow-sm">
+              <div className="flex-grow mb-2 sm:mb-0">
+                <p className="text-lg font-semibold text-gray-800">{entry.name}</p>
+                <p className="text-sm text-gray-600">
+                  {TRASH_KINDS[entry.kind]?.label} · {entry.scores.length} score(s) · deleted by {entry.deletedBy} on {entry.deletedAt?.toLocaleString()}
+                </p>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => handleRestore(entry)}
+                  className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => handlePurge(entry)}
+                  className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                >
+                  Delete Forever
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <button
+        onClick={onBack}
+        className="mt-6 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+      >
+        Back to Dashboard
+      </button>
+    </div>
+  );
+};
+
+// --- Staff Role Management Component ---
+const RoleManager = ({ onBack }) => {
+  const { db, isAuthReady, userEmail, dayId } = useContext(AppContext);
+  const [roles, setRoles] = useState([]);
+  const { docs: dayEvents } = useEvents(dayId);
+  const events = useMemo(() => [...dayEvents].sort((a, b) => a.name.localeCompare(b.name)), [dayEvents]);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('judge');
+  const [eventIds, setEventIds] = useState([]);
+  const [error, setError] = useState('');
+  const [modalMessage, setModalMessage] = useState('');
+  const [modalAction, setModalAction] = useState(null);
+
+  useEffect(() => {
+    if (db && isAuthReady) {
+      const dataPath = getDataPath();
+      const unsubscribeRoles = onSnapshot(collection(db, `${dataPath}/sportsday_roles`), (snapshot) => {
+        const rolesData = snapshot.docs.map(doc => ({ email: doc.id, eventIds: [], ...doc.data() }));
+        rolesData.sort((a, b) => a.email.localeCompare(b.email));
+        setRoles(rolesData);
+      }, (error) => {
+        console.error("Error fetching roles:", error);
+      });
+      return () => unsubscribeRoles();
+    }
+  }, [db, isAuthReady]);
+
+  const resetForm = () => {
+    setEmail('');
+    setRole('judge');
+    setEventIds([]);
+    setError('');
+  };
+
+  const toggleEvent = (eventId) => {
+    setEventIds(prev => (prev.includes(eventId) ? prev.filter(id => id !== eventId) : [...prev, eventId]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    const normalisedEmail = email.trim().toLowerCase();
+    if (!normalisedEmail) {
+      setError("Email cannot be empty.");
+      return;
+    }
+    // Stops the last admin locking everyone out
+    if (normalisedEmail === userEmail && role !== 'admin') {
+      setError("You can't remove your own admin role.");
+      return;
+    }
+    if (role === 'judge' && eventIds.length === 0) {
+      setError("Pick at least one event for the judge.");
+      return;
+    }
+
+    if (!db || !isAuthReady) {
+      setError("Database not ready. Please wait.");
+      return;
+    }
+
+    const dataPath = getDataPath();
+    try {
+      await setDoc(doc(db, `${dataPath}/sportsday_roles`, normalisedEmail), {
+        role,
+        eventIds: role === 'judge' ? eventIds : [],
+      });
+      resetForm();
+    } catch (e) {
+      console.error("Error saving role:", e);
+      setError("Failed to save role: " + e.message);
+    }
+  };
+
+  const handleRemove = (staff) => {
+    if (staff.email === userEmail) {
+      setError("You can't remove your own admin role.");
+      return;
+    }
+    setModalMessage(`Remove ${staff.email}'s ${ROLES[staff.role] || staff.role} role? They will only be able to view results.`);
+    setModalAction(() => async () => {
+      const dataPath = getDataPath();
+      try {
+        await deleteDoc(doc(db, `${dataPath}/sportsday_roles`, staff.email));
+      } catch (e) {
+        console.error("Error removing role:", e);
+        setError("Failed to remove role: " + e.message);
+      }
+    });
+  };
+
+  const closeModal = () => {
+    setModalMessage('');
+    setModalAction(null);
+  };
+
+  const confirmModal = async () => {
+    if (modalAction) {
+      await modalAction();
+    }
+    closeModal();
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
+      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Staff Roles</h2>
+      <Modal
+        message={modalMessage}
+        onConfirm={confirmModal}
+        onCancel={closeModal}
+        showCancel={modalAction !== null}
+      />
+      <p className="text-sm text-gray-600 mb-4">Admins can change anything. Judges can only enter scores and draw heats for their events. Staff sign in with the email listed here.</p>
+      <form onSubmit={handleSubmit} className="space-y-4 bg-gray-50 p-4 rounded-lg mb-6">
+        <div className="flex flex-wrap gap-4">
+          <div className="flex-grow">
+            <label htmlFor="roleEmail" className="block text-sm font-medium text-gray-700 mb-1">Staff Email</label>
+            <input
+              type="email"
+              id="roleEmail"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="e.g., judge@school.org"
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="roleName" className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+            <select
+              id="roleName"
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="admin">{ROLES.admin}</option>
+              <option value="judge">{ROLES.judge}</option>
+            </select>
+          </div>
+        </div>
+        {role === 'judge' && (
+          <fieldset>
+            <legend className="block text-sm font-medium text-gray-700 mb-1">Events they can judge</legend>
+            <div className="flex flex-wrap gap-4">
+              {events.map(event => (
+                <label key={event.id} className="inline-flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={eventIds.includes(event.id)}
+                    onChange={() => toggleEvent(event.id)}
+                    className="mr-2"
+                  />
+                  {event.name}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        )}
+        {error && <p className="text-red-600 text-sm">{error}</p>}
+        <div className="flex space-x-4">
+          <button
+            type="submit"
+            className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200"
+          >
+            Save Role
+          </button>
+          <button
+            type="button"
+            onClick={resetForm}
+            className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+          >
+            Clear
+          </button>
+        </div>
+      </form>
+      {roles.length === 0 ? (
+        <p className="text-gray-600 italic">No staff roles yet.</p>
       ) : (
-        <table className="min-w-full bg-white rounded-lg overflow-hidden shadow-sm">
-          <thead className="bg-gray-100 border-b border-gray-200">
-            <tr>
-              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Rank</th>
-              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Participant</th>
-              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">House</th>
-              <th className="py-3 px-4 text-left text-sm font-semibold text-gray-700">Total Score</th>
-            </tr>
-          </thead>
-          <tbody>
-            {standings.map((standing, index) => (
-              <tr key={standing.participantId} className="border-b border-gray-100 last:border-b-0 hover:bg-gray-50">
-                <td className="py-3 px-4 text-gray-800 font-bold">{index + 1}</td>
-                <td className="py-3 px-4 text-gray-800">{standing.name}</td>
-                <td className="py-3 px-4 text-gray-600">{standing.house}</td>
-                <td className="py-3 px-4 text-gray-800 font-medium">{standing.totalScore.toFixed(2)}</td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
+        <ul className="space-y-4">
+          {roles.map(staff => (
+            <li key={staff.email} className="flex flex-col sm:flex-row items-start sm:items-center justify-between bg-gray-50 p-4 rounded-lg shadow-sm">
+              <div className="flex-grow mb-2 sm:mb-0">
+                <p className="text-lg font-semibold text-gray-800">{staff.email}</p>
+                <p className="text-sm text-gray-600">
+                  {ROLES[staff.role] || staff.role}
+                  {staff.role === 'judge' && ` · ${staff.eventIds.map(id => events.find(e => e.id === id)?.name || 'Deleted event').join(', ')}`}
+                </p>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={() => { setEmail(staff.email); setRole(staff.role); setEventIds(staff.eventIds); setError(''); }}
+                  className="px-4 py-2 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() => handleRemove(staff)}
+                  className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 transition duration-200 text-sm"
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
       )}
+      <button
+        onClick={onBack}
+        className="mt-8 px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+      >
+        Back to Dashboard
+      </button>
     </div>
   );
 };
 
+// Race mode times every lane from one start. Lanes are { entrantId, finishTime: ms | null }; a
+// lane with nobody in it doesn't need to finish.
+const finishLaneAt = (lanes, index, finishTime) => lanes.map((lane, i) => (i === index ? { ...lane, finishTime } : lane));
+
+const allLanesFinished = (lanes) => lanes.some(lane => lane.entrantId) && lanes.every(lane => !lane.entrantId || lane.finishTime !== null);
+
 // --- Stopwatch Component ---
 const Stopwatch = ({ onBack }) => {
-  const { db, isAuthReady } = useContext(AppContext);
+  const { db, isAuthReady, role, dayId, currentDay, userId, userEmail } = useContext(AppContext);
   const [isRunning, setIsRunning] = useState(false);
   const [elapsedTime, setElapsedTime] = useState(0); // in milliseconds
   const [laps, setLaps] = useState([]);
   const intervalRef = useRef(null);
   const startTimeRef = useRef(0);
 
-  const [events, setEvents] = useState([]);
-  const [participants, setParticipants] = useState([]);
+  const { docs: dayEvents } = useEvents(dayId);
+  const { docs: dayParticipants } = useParticipants(dayId);
+  const { docs: houses } = useCollection('houses');
+  const events = useMemo(() => [...dayEvents].sort((a, b) => a.name.localeCompare(b.name)), [dayEvents]);
+  const participants = useMemo(() => [...dayParticipants].sort((a, b) => a.name.localeCompare(b.name)), [dayParticipants]);
+  const housesMap = useMemo(() => Object.fromEntries(houses.map(house => [normaliseHouseName(house.name), house])), [houses]); // { normalised house name: house }
+  const [teams, setTeams] = useState([]); // Teams of the selected event, when it's a team event
+  const [entries, setEntries] = useState([]); // Entries in the selected event, when it's an individual event
   const [selectedEvent, setSelectedEvent] = useState('');
-  const [selectedParticipant, setSelectedParticipant] = useState('');
+  const [selectedEntrant, setSelectedEntrant] = useState('');
+  const [selectedRound, setSelectedRound] = useState(0);
   const [saveMessage, setSaveMessage] = useState('');
 
-  // Fetch events and participants for score saving
+  // Race mode: one shared start, a finish time captured per lane
+  const [raceMode, setRaceMode] = useState(false);
+  const [heats, setHeats] = useState([]); // Heats of the selected event
+  const [selectedHeat, setSelectedHeat] = useState('');
+  const [raceLanes, setRaceLanes] = useState([]); // [{ entrantId, finishTime: ms | null }]
+
+  // Heats of the selected event, so a drawn heat can be loaded straight into the lanes
   useEffect(() => {
-    if (db && isAuthReady) {
-      const currentAppId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
-      const eventsColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_events`);
-      const participantsColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_participants`);
-
-      const unsubscribeEvents = onSnapshot(eventsColRef, (snapshot) => {
-        const eventsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        eventsData.sort((a, b) => a.name.localeCompare(b.name));
-        setEvents(eventsData);
+    if (db && isAuthReady && selectedEvent) {
+      const dataPath = getDataPath();
+      const heatsQuery = query(collection(db, `${dataPath}/sportsday_heats`), where("eventId", "==", selectedEvent));
+      const unsubscribe = onSnapshot(heatsQuery, (snapshot) => {
+        const heatsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        heatsData.sort((a, b) => a.round - b.round || a.heat - b.heat);
+        setHeats(heatsData);
       }, (error) => {
-        console.error("Error fetching events for stopwatch:", error);
+        console.error("Error fetching heats for stopwatch:", error);
       });
+      return () => unsubscribe();
+    }
+    setHeats([]);
+  }, [db, isAuthReady, selectedEvent]);
 
-      const unsubscribeParticipants = onSnapshot(participantsColRef, (snapshot) => {
-        const participantsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        participantsData.sort((a, b) => a.name.localeCompare(b.name));
-        setParticipants(participantsData);
+  useEffect(() => {
+    if (db && isAuthReady && selectedEvent) {
+      const dataPath = getDataPath();
+      const teamsQuery = query(collection(db, `${dataPath}/sportsday_teams`), where("eventId", "==", selectedEvent));
+      const unsubscribe = onSnapshot(teamsQuery, (snapshot) => {
+        const teamsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        teamsData.sort((a, b) => a.name.localeCompare(b.name));
+        setTeams(teamsData);
       }, (error) => {
-        console.error("Error fetching participants for stopwatch:", error);
+        console.error("Error fetching teams for stopwatch:", error);
       });
+      return () => unsubscribe();
+    }
+    setTeams([]);
+  }, [db, isAuthReady, selectedEvent]);
 
-      return () => {
-        unsubscribeEvents();
-        unsubscribeParticipants();
-      };
+  useEffect(() => {
+    if (db && isAuthReady && selectedEvent) {
+      const dataPath = getDataPath();
+      const entriesQuery = query(collection(db, `${dataPath}/sportsday_entries`), where("eventId", "==", selectedEvent));
+      const unsubscribe = onSnapshot(entriesQuery, (snapshot) => {
+        setEntries(snapshot.docs.map(doc => doc.data()));
+      }, (error) => {
+        console.error("Error fetching entries for stopwatch:", error);
+      });
+      return () => unsubscribe();
     }
-  }, [db, isAuthReady]);
+    setEntries([]);
+  }, [db, isAuthReady, selectedEvent]);
 
+  // The start is only set when the watch starts or resumes, so every reading is measured from it
   useEffect(() => {
     if (isRunning) {
-      startTimeRef.current = Date.now() - elapsedTime;
       intervalRef.current = setInterval(() => {
         setElapsedTime(Date.now() - startTimeRef.current);
       }, 10); // Update every 10 milliseconds for smoother display
@@ -1003,7 +6413,7 @@ const Stopwatch = ({ onBack }) => {
     }
 
     return () => clearInterval(intervalRef.current);
-  }, [isRunning, elapsedTime]);
+  }, [isRunning]);
 
   const formatTime = (timeInMs) => {
     const minutes = Math.floor(timeInMs / 60000);
@@ -1018,11 +6428,13 @@ const Stopwatch = ({ onBack }) => {
   };
 
   const startStopwatch = () => {
+    startTimeRef.current = Date.now() - elapsedTime; // Resuming carries on from the time shown
     setIsRunning(true);
     setSaveMessage('');
   };
 
   const stopStopwatch = () => {
+    setElapsedTime(Date.now() - startTimeRef.current);
     setIsRunning(false);
   };
 
@@ -1031,6 +6443,43 @@ const Stopwatch = ({ onBack }) => {
     setElapsedTime(0);
     setLaps([]);
     setSaveMessage('');
+    setRaceLanes(prev => prev.map(lane => ({ ...lane, finishTime: null })));
+  };
+
+  const selectedEventData = events.find(e => e.id === selectedEvent);
+  const laneCount = selectedEventData?.laneCount || DEFAULT_LANE_COUNT;
+  // Team events are timed per team; everything else per entered participant
+  const isTeamEvent = Boolean(selectedEventData?.teamEvent);
+  const entrantOptions = isTeamEvent ? teams : selectedEventData ? getEventEntrants(selectedEventData, entries, participants, currentDay?.ageCutoff) : [];
+  const entrantField = isTeamEvent ? 'teamId' : 'participantId';
+  const entrantName = (entrantId) => entrantOptions.find(entrant => entrant.id === entrantId)?.name || (isTeamEvent ? 'team' : 'participant');
+  const emptyLanes = (count) => Array.from({ length: count }, () => ({ entrantId: '', finishTime: null }));
+
+  const handleRaceEventChange = (eventId) => {
+    setSelectedEvent(eventId);
+    setSelectedRound(0);
+    setSelectedHeat('');
+    setRaceLanes(emptyLanes(events.find(e => e.id === eventId)?.laneCount || DEFAULT_LANE_COUNT));
+  };
+
+  const handleHeatChange = (heatId) => {
+    setSelectedHeat(heatId);
+    const heat = heats.find(h => h.id === heatId);
+    setRaceLanes(heat ? heat.lanes.map(entrantId => ({ entrantId, finishTime: null })) : emptyLanes(laneCount));
+  };
+
+  const updateLane = (index, changes) => {
+    setRaceLanes(prev => prev.map((lane, i) => (i === index ? { ...lane, ...changes } : lane)));
+  };
+
+  // Captured from the shared start rather than elapsedTime, which only refreshes every 10ms
+  const finishLane = (index) => {
+    if (!isRunning) return;
+    const next = finishLaneAt(raceLanes, index, Date.now() - startTimeRef.current);
+    setRaceLanes(next);
+    if (allLanesFinished(next)) {
+      stopStopwatch(); // Everyone is home
+    }
   };
 
   const lapStopwatch = () => {
@@ -1040,52 +6489,55 @@ const Stopwatch = ({ onBack }) => {
   };
 
   const handleSaveScore = async () => {
-    if (!selectedEvent || !selectedParticipant) {
-      setSaveMessage("Please select both an event and a participant.");
+    if (!selectedEvent || !selectedEntrant) {
+      setSaveMessage(`Please select both an event and a ${isTeamEvent ? 'team' : 'participant'}.`);
       return;
     }
     if (elapsedTime === 0) {
       setSaveMessage("Stopwatch time is 0. Please run the stopwatch first.");
       return;
     }
+    const event = events.find(e => e.id === selectedEvent);
+    if (event?.resultKind && event.resultKind !== 'time') {
+      setSaveMessage(`${event.name} is scored by ${RESULT_KINDS[event.resultKind].label.toLowerCase()}, not time.`);
+      return;
+    }
 
     if (!db || !isAuthReady) {
       setSaveMessage("Database not ready. Please wait.");
       return;
     }
 
-    const currentAppId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
-    const scoresColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_scores`);
+    const dataPath = getDataPath();
+    const scoresColRef = collection(db, `${dataPath}/sportsday_scores`);
 
     try {
       // Convert milliseconds to seconds for score storage
       const scoreInSeconds = elapsedTime / 1000;
 
-      // Check if a score already exists for this participant in this event
-      const q = query(scoresColRef, where("eventId", "==", selectedEvent), where("participantId", "==", selectedParticipant));
-      const existingScores = await getDocs(q);
+      // Check if a score already exists for this participant or team in this event (and round).
+      // Offline this is answered from the local cache.
+      const q = query(scoresColRef, where("eventId", "==", selectedEvent), where(entrantField, "==", selectedEntrant));
+      const existingScores = (await getDocs(q)).docs
+        .map(scoreDoc => ({ id: scoreDoc.id, ...scoreDoc.data() }))
+        .filter(score => !event?.rounds?.length || getScoreRound(event, score) === selectedRound);
 
       const scoreData = {
         eventId: selectedEvent,
-        participantId: selectedParticipant,
+        [entrantField]: selectedEntrant,
+        dayId,
         score: scoreInSeconds, // Store in seconds
         timestamp: new Date(),
+        ...(event?.rounds?.length > 0 && { round: selectedRound }),
       };
 
-      if (existingScores.docs.length > 0) {
-        // Update existing score
-        await updateDoc(doc(db, `artifacts/${currentAppId}/public/data/sportsday_scores`, existingScores.docs[0].id), scoreData);
-        setSaveMessage("Score updated successfully!");
-      } else {
-        // Add new score
-        await addDoc(scoresColRef, scoreData);
-        setSaveMessage("Score saved successfully!");
-      }
+      queueWrite(writeScore(db, dataPath, existingScores[0], scoreData, { userId, email: userEmail }), `${entrantName(selectedEntrant)}'s time`);
+      setSaveMessage(existingScores.length > 0 ? "Score updated successfully!" : "Score saved successfully!");
 
       // Optionally, reset stopwatch or clear selections after saving
       // resetStopwatch();
       // setSelectedEvent('');
-      // setSelectedParticipant('');
+      // setSelectedEntrant('');
 
     } catch (e) {
       console.error("Error saving score from stopwatch:", e);
@@ -1093,9 +6545,86 @@ const Stopwatch = ({ onBack }) => {
     }
   };
 
+  const handleSaveRace = async () => {
+    const finished = raceLanes.filter(lane => lane.entrantId && lane.finishTime !== null);
+    if (!selectedEvent) {
+      setSaveMessage("Please select an event.");
+      return;
+    }
+    if (finished.length === 0) {
+      setSaveMessage("No lanes have finished yet.");
+      return;
+    }
+    const event = selectedEventData;
+    if (event?.resultKind && event.resultKind !== 'time') {
+      setSaveMessage(`${event.name} is scored by ${RESULT_KINDS[event.resultKind].label.toLowerCase()}, not time.`);
+      return;
+    }
+    const assigned = raceLanes.filter(lane => lane.entrantId).map(lane => lane.entrantId);
+    if (new Set(assigned).size !== assigned.length) {
+      setSaveMessage(`The same ${isTeamEvent ? 'team' : 'participant'} is in more than one lane.`);
+      return;
+    }
+
+    if (!db || !isAuthReady) {
+      setSaveMessage("Database not ready. Please wait.");
+      return;
+    }
+
+    const dataPath = getDataPath();
+    const scoresColRef = collection(db, `${dataPath}/sportsday_scores`);
+
+    try {
+      // Existing scores in this event (and round) are updated rather than duplicated
+      const existingSnapshot = await getDocs(query(scoresColRef, where("eventId", "==", selectedEvent)));
+      const existingScores = {};
+      existingSnapshot.docs.forEach(scoreDoc => {
+        if (!event?.rounds?.length || getScoreRound(event, scoreDoc.data()) === selectedRound) {
+          existingScores[getEntrantId(scoreDoc.data())] = { id: scoreDoc.id, ...scoreDoc.data() };
+        }
+      });
+
+      // Every lane goes in one batch, so the heat's times are saved together or not at all
+      const batch = writeBatch(db);
+      finished.forEach(lane => {
+        const scoreData = {
+          eventId: selectedEvent,
+          [entrantField]: lane.entrantId,
+          dayId,
+          score: lane.finishTime / 1000, // Store in seconds
+          timestamp: new Date(),
+          ...(event?.rounds?.length > 0 && { round: selectedRound }),
+        };
+        writeScoreInBatch(batch, db, dataPath, existingScores[lane.entrantId], scoreData, { userId, email: userEmail });
+      });
+      queueWrite(batch.commit(), `${event.name}'s lane times`);
+      const updatedCount = finished.filter(lane => existingScores[lane.entrantId]).length;
+      setSaveMessage(`${finished.length} lane time(s) saved successfully!` + (updatedCount > 0 ? ` (${updatedCount} updated)` : ''));
+    } catch (e) {
+      console.error("Error saving race times:", e);
+      setSaveMessage("Failed to save race times: " + e.message);
+    }
+  };
+
   return (
     <div className="bg-white p-6 rounded-xl shadow-lg mb-8">
-      <h2 className="text-2xl font-bold text-gray-800 mb-6 border-b pb-3">Stopwatch</h2>
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6 border-b pb-3">
+        <h2 className="text-2xl font-bold text-gray-800">Stopwatch</h2>
+        <div className="flex gap-2">
+          <button
+            onClick={() => { setRaceMode(false); setSaveMessage(''); }}
+            className={`px-4 py-2 rounded-md text-sm transition duration-200 ${!raceMode ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+          >
+            Single
+          </button>
+          <button
+            onClick={() => { setRaceMode(true); setSaveMessage(''); handleRaceEventChange(selectedEvent); }}
+            className={`px-4 py-2 rounded-md text-sm transition duration-200 ${raceMode ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+          >
+            Race
+          </button>
+        </div>
+      </div>
 
       <div className="text-center mb-8">
         <div className="text-6xl font-mono font-bold text-blue-700 mb-4 bg-blue-50 p-6 rounded-xl shadow-inner">
@@ -1147,50 +6676,175 @@ const Stopwatch = ({ onBack }) => {
         </div>
       )}
 
-      <div className="border-t pt-6 mt-6">
-        <h3 className="text-xl font-bold text-gray-800 mb-4">Record Time as Score</h3>
-        <div className="space-y-4">
-          <div>
-            <label htmlFor="selectEvent" className="block text-sm font-medium text-gray-700 mb-1">Select Event</label>
-            <select
-              id="selectEvent"
-              value={selectedEvent}
-              onChange={(e) => setSelectedEvent(e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+      {raceMode ? (
+        <div className="border-t pt-6 mt-6">
+          <h3 className="text-xl font-bold text-gray-800 mb-4">Race Lanes</h3>
+          <div className="space-y-4">
+            <div className="flex flex-wrap gap-4">
+              <div className="flex-grow">
+                <label htmlFor="raceEvent" className="block text-sm font-medium text-gray-700 mb-1">Event</label>
+                <select
+                  id="raceEvent"
+                  value={selectedEvent}
+                  onChange={(e) => handleRaceEventChange(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">-- Choose Event --</option>
+                  {events.filter(event => (!event.resultKind || event.resultKind === 'time') && canScore(role, event.id)).map(event => (
+                    <option key={event.id} value={event.id}>{event.name}</option>
+                  ))}
+                </select>
+              </div>
+              {selectedEventData?.rounds?.length > 0 && (
+                <div>
+                  <label htmlFor="raceRound" className="block text-sm font-medium text-gray-700 mb-1">Round</label>
+                  <select
+                    id="raceRound"
+                    value={selectedRound}
+                    onChange={(e) => { setSelectedRound(Number(e.target.value)); handleHeatChange(''); }}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {getRounds(selectedEventData).map((round, index) => (
+                      <option key={index} value={index}>{round.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              {heats.some(heat => heat.round === selectedRound) && (
+                <div>
+                  <label htmlFor="raceHeat" className="block text-sm font-medium text-gray-700 mb-1">Heat</label>
+                  <select
+                    id="raceHeat"
+                    value={selectedHeat}
+                    onChange={(e) => handleHeatChange(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">-- Choose Heat --</option>
+                    {heats.filter(heat => heat.round === selectedRound).map(heat => (
+                      <option key={heat.id} value={heat.id}>Heat {heat.heat}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+            {selectedEvent && (
+              <ul className="space-y-2">
+                {raceLanes.map((lane, index) => (
+                  <li key={index} className="flex flex-wrap items-center gap-4 bg-gray-50 p-3 rounded-md">
+                    <span className="font-bold text-gray-800 w-16">Lane {index + 1}</span>
+                    <select
+                      value={lane.entrantId}
+                      onChange={(e) => updateLane(index, { entrantId: e.target.value, finishTime: null })}
+                      className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      aria-label={`Lane ${index + 1} ${isTeamEvent ? 'team' : 'participant'}`}
+                      disabled={isRunning}
+                    >
+                      <option value="">-- Empty --</option>
+                      {entrantOptions.map(entrant => (
+                        <option key={entrant.id} value={entrant.id} style={{ color: housesMap[normaliseHouseName(entrant.house)]?.colour }}>
+                          {entrant.name} ({entrant.house || 'No house'})
+                        </option>
+                      ))}
+                    </select>
+                    <span className="font-mono font-semibold text-gray-800 w-24 text-right">
+                      {lane.finishTime !== null ? formatTime(lane.finishTime) : '--:--.--'}
+                    </span>
+                    {lane.finishTime === null ? (
+                      <button
+                        onClick={() => finishLane(index)}
+                        disabled={!isRunning || !lane.entrantId}
+                        className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition duration-200"
+                      >
+                        Finish
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => updateLane(index, { finishTime: null })}
+                        className="px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+                      >
+                        Undo
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {saveMessage && (
+              <p className={`text-sm ${saveMessage.includes('successfully') ? 'text-green-600' : 'text-red-600'}`}>
+                {saveMessage}
+              </p>
+            )}
+            <button
+              onClick={handleSaveRace}
+              className="px-6 py-3 bg-blue-600 text-white rounded-md shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200 text-lg w-full"
             >
-              <option value="">-- Choose Event --</option>
-              {events.map(event => (
-                <option key={event.id} value={event.id}>{event.name}</option>
-              ))}
-            </select>
+              Save All Lane Times
+            </button>
           </div>
-          <div>
-            <label htmlFor="selectParticipant" className="block text-sm font-medium text-gray-700 mb-1">Select Participant</label>
-            <select
-              id="selectParticipant"
-              value={selectedParticipant}
-              onChange={(e) => setSelectedParticipant(e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        </div>
+      ) : (
+        <div className="border-t pt-6 mt-6">
+          <h3 className="text-xl font-bold text-gray-800 mb-4">Record Time as Score</h3>
+          <div className="space-y-4">
+            <div>
+              <label htmlFor="selectEvent" className="block text-sm font-medium text-gray-700 mb-1">Select Event</label>
+              <select
+                id="selectEvent"
+                value={selectedEvent}
+                onChange={(e) => { setSelectedEvent(e.target.value); setSelectedRound(0); }}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">-- Choose Event --</option>
+                {events.filter(event => canScore(role, event.id)).map(event => (
+                  <option key={event.id} value={event.id}>{event.name}</option>
+                ))}
+              </select>
+            </div>
+            {events.find(e => e.id === selectedEvent)?.rounds?.length > 0 && (
+              <div>
+                <label htmlFor="selectRound" className="block text-sm font-medium text-gray-700 mb-1">Select Round</label>
+                <select
+                  id="selectRound"
+                  value={selectedRound}
+                  onChange={(e) => setSelectedRound(Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {getRounds(events.find(e => e.id === selectedEvent)).map((round, index) => (
+                    <option key={index} value={index}>{round.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div>
+              <label htmlFor="selectParticipant" className="block text-sm font-medium text-gray-700 mb-1">Select {isTeamEvent ? 'Team' : 'Participant'}</label>
+              <select
+                id="selectParticipant"
+                value={selectedEntrant}
+                onChange={(e) => setSelectedEntrant(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">-- Choose {isTeamEvent ? 'Team' : 'Participant'} --</option>
+                {entrantOptions.map(entrant => (
+                  <option key={entrant.id} value={entrant.id} style={{ color: housesMap[normaliseHouseName(entrant.house)]?.colour }}>
+                    {entrant.name} ({entrant.house || 'No house'})
+                  </option>
+                ))}
+              </select>
+            </div>
+            {saveMessage && (
+              <p className={`text-sm ${saveMessage.includes('successfully') ? 'text-green-600' : 'text-red-600'}`}>
+                {saveMessage}
+              </p>
+            )}
+            <button
+              onClick={handleSaveScore}
+              className="px-6 py-3 bg-blue-600 text-white rounded-md shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200 text-lg w-full"
             >
-              <option value="">-- Choose Participant --</option>
-              {participants.map(participant => (
-                <option key={participant.id} value={participant.id}>{participant.name} ({participant.house})</option>
-              ))}
-            </select>
+              Save Current Time as Score
+            </button>
           </div>
-          {saveMessage && (
-            <p className={`text-sm ${saveMessage.includes('successfully') ? 'text-green-600' : 'text-red-600'}`}>
-              {saveMessage}
-            </p>
-          )}
-          <button
-            onClick={handleSaveScore}
-            className="px-6 py-3 bg-blue-600 text-white rounded-md shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-200 text-lg w-full"
-          >
-            Save Current Time as Score
-          </button>
         </div>
-      </div>
+      )}
 
       <button
         onClick={onBack}
@@ -1203,51 +6857,175 @@ const Stopwatch = ({ onBack }) => {
 };
 
 
-// --- Main Dashboard Component ---
-const Dashboard = ({ onViewChange, currentView, eventToEdit, participantToEdit, eventForScoreEntry, eventForScoresView }) => {
-  const { userId, db, isAuthReady } = useContext(AppContext);
-  const [hasEvents, setHasEvents] = useState(false);
-  const [hasParticipants, setHasParticipants] = useState(false);
-  const [loadingInitialData, setLoadingInitialData] = useState(true);
+// --- Offline Sync Status Component ---
+const SyncStatus = () => {
+  const { db, isAuthReady, dayId } = useContext(AppContext);
+  const [pending, setPending] = useState({ scores: 0, participants: 0 });
+  const [offline, setOffline] = useState(false);
+  const [syncError, setSyncError] = useState('');
 
-  // Check if there are any events or participants
+  // Counts local changes the server hasn't acknowledged yet; the cache keeps them across reloads
   useEffect(() => {
-    if (db && isAuthReady) {
-      const currentAppId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id';
-      const eventsColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_events`);
-      const participantsColRef = collection(db, `artifacts/${currentAppId}/public/data/sportsday_participants`);
+    if (db && isAuthReady && dayId) {
+      const dataPath = getDataPath();
+      const unsubscribes = ['scores', 'participants'].map(kind => onSnapshot(
+        query(collection(db, `${dataPath}/sportsday_${kind}`), where("dayId", "==", dayId)),
+        { includeMetadataChanges: true },
+        (snapshot) => {
+          setPending(prev => ({ ...prev, [kind]: snapshot.docs.filter(doc => doc.metadata.hasPendingWrites).length }));
+          setOffline(snapshot.metadata.fromCache);
+        },
+        (error) => {
+          console.error(`Error watching ${kind} sync status:`, error);
+        },
+      ));
+      return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }
+  }, [db, isAuthReady, dayId]);
 
-      const checkData = async () => {
-        const eventsSnapshot = await getDocs(eventsColRef);
-        setHasEvents(!eventsSnapshot.empty);
+  useEffect(() => {
+    syncErrorListeners.add(setSyncError);
+    return () => syncErrorListeners.delete(setSyncError);
+  }, []);
 
-        const participantsSnapshot = await getDocs(participantsColRef);
-        setHasParticipants(!participantsSnapshot.empty);
-        setLoadingInitialData(false);
-      };
-      checkData();
+  const pendingCount = pending.scores + pending.participants;
+  if (!offline && pendingCount === 0 && !syncError) return null;
 
-      // Also listen for real-time changes to update the flags
-      const unsubscribeEvents = onSnapshot(eventsColRef, (snapshot) => {
-        setHasEvents(!snapshot.empty);
-      });
-      const unsubscribeParticipants = onSnapshot(participantsColRef, (snapshot) => {
-        setHasParticipants(!snapshot.empty);
-      });
+  return (
+    <div className="flex flex-wrap justify-center gap-2 mt-2 text-sm">
+      {offline && <span className="bg-yellow-300 text-yellow-900 px-2 py-1 rounded-md">Offline</span>}
+      {pendingCount > 0 && (
+        <span className="bg-white bg-opacity-20 px-2 py-1 rounded-md">{pendingCount} change(s) pending sync</span>
+      )}
+      {syncError && (
+        <span className="bg-red-100 text-red-700 px-2 py-1 rounded-md">
+          {syncError}
+          <button onClick={() => setSyncError('')} className="ml-2 underline">Dismiss</button>
+        </span>
+      )}
+    </div>
+  );
+};
 
-      return () => {
-        unsubscribeEvents();
-        unsubscribeParticipants();
-      };
-    }
-  }, [db, isAuthReady]);
+// --- Main Dashboard Component ---
+const Dashboard = ({ onViewChange, currentView, eventToEdit, participantToEdit, eventForScoreEntry, eventForScoresView, eventForEntries, eventForRounds, eventForTeams, eventForHistory, participantForProfile }) => {
+  const { userId, userEmail, role, staffRole, auth, db, isAuthReady, days, currentDay, dayId, isPastDay, selectDay } = useContext(AppContext);
+  // Shares its listeners with the event and participant lists below
+  const { docs: dayEvents, loading: loadingEvents } = useEvents(dayId);
+  const { docs: dayParticipants, loading: loadingParticipants } = useParticipants(dayId);
+  const hasEvents = dayEvents.length > 0;
+  const hasParticipants = dayParticipants.length > 0;
+  const loadingInitialData = dayId !== null && (loadingEvents || loadingParticipants);
+
+  // A view opened from a link or with back / forward only has the id from the address, so load the
+  // event or participant it's about, switching to its sports day if it's from another one
+  const routeData = {
+    'edit-event': eventToEdit,
+    'edit-participant': participantToEdit,
+    'add-score': eventForScoreEntry,
+    'view-event-scores': eventForScoresView,
+    'event-entries': eventForEntries,
+    'event-rounds': eventForRounds,
+    'event-teams': eventForTeams,
+    'event-history': eventForHistory,
+    'participant-profile': participantForProfile,
+  }[currentView];
+  const routeId = routeData && routeData.name === undefined ? routeData.id : null;
+  const [routeError, setRouteError] = useState(null); // { id, message }
 
+  useEffect(() => {
+    if (db && isAuthReady && routeId) {
+      let cancelled = false;
+      const dataPath = getDataPath();
+      getDoc(doc(db, `${dataPath}/${routeCollection(currentView)}`, routeId)).then((snapshot) => {
+        if (cancelled) return;
+        if (!snapshot.exists()) {
+          setRouteError({ id: routeId, message: "This link is to something that doesn't exist or has been deleted." });
+          return;
+        }
+        const data = { id: snapshot.id, ...snapshot.data() };
+        if (data.dayId && data.dayId !== dayId) {
+          selectDay(data.dayId);
+        }
+        onViewChange(currentView, data, { replace: true });
+      }).catch((e) => {
+        console.error("Error opening link:", e);
+        if (!cancelled) setRouteError({ id: routeId, message: "Failed to open link: " + e.message });
+      });
+      return () => { cancelled = true; };
+    }
+  }, [db, isAuthReady, currentView, routeId, dayId, selectDay, onViewChange]);
 
   const renderContent = () => {
     if (loadingInitialData) {
       return <div className="text-center py-8 text-gray-600">Checking initial data...</div>;
     }
 
+    if (routeId) {
+      return routeError?.id === routeId ? (
+        <div className="bg-white p-6 rounded-xl shadow-lg text-center">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">Not Found</h2>
+          <p className="text-gray-600 mb-6">{routeError.message}</p>
+          <button
+            onClick={() => onViewChange('dashboard')}
+            className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+          >
+            Back to Dashboard
+          </button>
+        </div>
+      ) : (
+        <div className="text-center py-8 text-gray-600">Opening link...</div>
+      );
+    }
+
+    // Until the first day exists there's nothing to open, except for whoever can create it
+    if (!currentDay && !canManage(staffRole) && currentView !== 'sign-in') {
+      return (
+        <div className="bg-white p-6 rounded-xl shadow-lg text-center">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">Nothing to Show Yet</h2>
+          <p className="text-gray-600">No sports day has been set up yet. Check back soon!</p>
+        </div>
+      );
+    }
+
+    if (!canOpenView(role, currentView, routeData?.id)) {
+      return (
+        <div className="bg-white p-6 rounded-xl shadow-lg text-center">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">Staff Only</h2>
+          <p className="text-gray-600 mb-6">{isPastDay ? 'Past sports days are read-only.' : 'Sign in with a staff account that has access to open this page.'}</p>
+          <button
+            onClick={() => onViewChange('dashboard')}
+            className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-200"
+          >
+            Back to Dashboard
+          </button>
+        </div>
+      );
+    }
+
+    if (currentView === 'sign-in') {
+      return <StaffSignIn onSignIn={() => onViewChange('dashboard')} onCancel={() => onViewChange('dashboard')} />;
+    }
+
+    // Everything hangs off a sports day, so one has to exist first
+    if (currentView === 'edit-day' && currentDay && canManage(staffRole)) {
+      return <SportsDayForm key={currentDay.id} dayToEdit={currentDay} onSave={() => onViewChange('dashboard')} onCancel={() => onViewChange('dashboard')} />;
+    }
+
+    if (currentView === 'add-day' || !currentDay) {
+      return <SportsDayForm onSave={(newDayId) => { selectDay(newDayId); onViewChange('dashboard'); }} onCancel={() => onViewChange('dashboard')} />;
+    }
+
+    // Only admins can set the day up; everyone else waits for it
+    if ((!hasEvents || !hasParticipants) && currentView === 'dashboard' && !canManage(role)) {
+      return (
+        <div className="bg-white p-6 rounded-xl shadow-lg text-center">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">Nothing to Show Yet</h2>
+          <p className="text-gray-600">Events and participants haven't been set up yet. Check back soon!</p>
+        </div>
+      );
+    }
+
     // Guided setup if no events or participants
     if (!hasEvents && currentView === 'dashboard') {
       return (
@@ -1261,6 +7039,12 @@ const Dashboard = ({ onViewChange, currentView, eventToEdit, participantToEdit,
             <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v3m0 0v3m0-3h3m-3 0H9m12 0a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
             Add Your First Event
           </button>
+          <button
+            onClick={() => onViewChange('import')}
+            className="mt-4 text-blue-700 underline hover:text-blue-900"
+          >
+            or import events from a CSV file
+          </button>
         </div>
       );
     }
@@ -1277,6 +7061,12 @@ const Dashboard = ({ onViewChange, currentView, eventToEdit, participantToEdit,
             <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z"></path></svg>
             Add Your First Participant
           </button>
+          <button
+            onClick={() => onViewChange('import')}
+            className="mt-4 text-green-700 underline hover:text-green-900"
+          >
+            or import participants from a CSV file
+          </button>
         </div>
       );
     }
@@ -1293,22 +7083,69 @@ const Dashboard = ({ onViewChange, currentView, eventToEdit, participantToEdit,
       case 'add-score':
         return <ScoreEntry eventId={eventForScoreEntry.id} eventName={eventForScoreEntry.name} onSave={() => onViewChange('dashboard')} onCancel={() => onViewChange('dashboard')} />;
       case 'view-event-scores':
-        return <EventScoresView eventId={eventForScoresView.id} eventName={eventForScoresView.name} onBack={() => onViewChange('dashboard')} />;
+        return (
+          <EventScoresView
+            eventId={eventForScoresView.id}
+            eventName={eventForScoresView.name}
+            onBack={() => onViewChange('dashboard')}
+            onShowProfile={(id, name) => { onViewChange('participant-profile', { id, name }); }}
+          />
+        );
+      case 'event-rounds':
+        return <RoundsManager eventId={eventForRounds.id} eventName={eventForRounds.name} onBack={() => onViewChange('dashboard')} />;
+      case 'event-entries':
+        return <EntryManager eventId={eventForEntries.id} eventName={eventForEntries.name} onBack={() => onViewChange('dashboard')} />;
+      case 'event-teams':
+        return <TeamManager eventId={eventForTeams.id} eventName={eventForTeams.name} onBack={() => onViewChange('dashboard')} />;
       case 'stopwatch':
         return <Stopwatch onBack={() => onViewChange('dashboard')} />;
+      case 'points-table':
+        return <PointsTableForm onSave={() => onViewChange('dashboard')} onCancel={() => onViewChange('dashboard')} />;
+      case 'houses':
+        return <HouseManager onBack={() => onViewChange('dashboard')} />;
+      case 'import':
+        return <CsvImport onBack={() => onViewChange('dashboard')} />;
+      case 'results-booklet':
+        return <ResultsBooklet onBack={() => onViewChange('dashboard')} />;
+      case 'event-history':
+        return <EventHistory eventId={eventForHistory.id} eventName={eventForHistory.name} onBack={() => onViewChange('dashboard')} />;
+      case 'roles':
+        return <RoleManager onBack={() => onViewChange('dashboard')} />;
+      case 'trash':
+        return <RecycleBin onBack={() => onViewChange('dashboard')} />;
+      case 'schedule':
+        return <EventSchedule onBack={() => onViewChange('dashboard')} />;
+      case 'records':
+        return <RecordsManager onBack={() => onViewChange('dashboard')} />;
+      case 'standings':
+        return <OverallStandings onBack={() => onViewChange('dashboard')} onShowProfile={(id, name) => { onViewChange('participant-profile', { id, name }); }} />;
+      case 'participant-profile':
+        return (
+          <ParticipantProfile
+            participantId={participantForProfile.id}
+            onBack={() => onViewChange('dashboard')}
+            onShowScores={(id, name) => { onViewChange('view-event-scores', { id, name }); }}
+          />
+        );
       case 'dashboard':
       default:
         return (
           <>
+            <NowNextBoard onShowSchedule={() => onViewChange('schedule')} />
             <EventList
               onEditEvent={(event) => { onViewChange('edit-event', event); }}
               onAddScore={(id, name) => { onViewChange('add-score', { id, name }); }}
               onShowScores={(id, name) => { onViewChange('view-event-scores', { id, name }); }}
+              onManageEntries={(id, name) => { onViewChange('event-entries', { id, name }); }}
+              onManageRounds={(id, name) => { onViewChange('event-rounds', { id, name }); }}
+              onManageTeams={(id, name) => { onViewChange('event-teams', { id, name }); }}
+              onShowHistory={(id, name) => { onViewChange('event-history', { id, name }); }}
             />
             <ParticipantList
               onEditParticipant={(participant) => { onViewChange('edit-participant', participant); }}
+              onShowProfile={(id, name) => { onViewChange('participant-profile', { id, name }); }}
             />
-            <OverallStandings />
+            <OverallStandings onShowProfile={(id, name) => { onViewChange('participant-profile', { id, name }); }} />
           </>
         );
     }
@@ -1316,7 +7153,7 @@ const Dashboard = ({ onViewChange, currentView, eventToEdit, participantToEdit,
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-500 to-indigo-600 p-4 sm:p-8 font-sans">
-      <header className="text-center text-white mb-8">
+      <header className="text-center text-white mb-8 no-print">
         <h1 className="text-4xl sm:text-5xl font-extrabold tracking-tight mb-2 drop-shadow-lg">
           Sports Day Tracker
         </h1>
@@ -1326,32 +7163,161 @@ const Dashboard = ({ onViewChange, currentView, eventToEdit, participantToEdit,
             Your User ID: <span className="font-mono bg-white bg-opacity-20 px-2 py-1 rounded-md text-xs">{userId}</span>
           </p>
         )}
+        <p className="text-sm mt-2">
+          {userEmail ? (
+            <>
+              Signed in as {userEmail} ({ROLES[staffRole.role] || staffRole.role}){' '}
+              <button
+                onClick={async () => { await signOut(auth); onViewChange('dashboard'); }}
+                className="underline hover:opacity-80"
+              >
+                Sign Out
+              </button>
+            </>
+          ) : (
+            <button onClick={() => onViewChange('sign-in')} className="underline hover:opacity-80">Staff Sign In</button>
+          )}
+        </p>
+        {days.length > 0 && (
+          <div className="flex flex-wrap justify-center items-center gap-2 mt-4">
+            <label htmlFor="sportsDay" className="text-sm">Sports Day:</label>
+            <select
+              id="sportsDay"
+              value={dayId || ''}
+              onChange={(e) => { selectDay(e.target.value); onViewChange('dashboard'); }}
+              className="px-3 py-1 rounded-md text-gray-800 text-sm focus:outline-none focus:ring-2 focus:ring-white"
+            >
+              {days.map(day => (
+                <option key={day.id} value={day.id}>{day.name} ({day.date})</option>
+              ))}
+            </select>
+            {canManage(staffRole) && (
+              <>
+                <button onClick={() => onViewChange('edit-day')} className="text-sm underline hover:opacity-80">Edit</button>
+                <button onClick={() => onViewChange('add-day')} className="text-sm underline hover:opacity-80">New Sports Day</button>
+              </>
+            )}
+          </div>
+        )}
+        {currentDay && (
+          <p className="text-sm mt-2 opacity-90">
+            {currentDay.venue && `${currentDay.venue} · `}{currentDay.date}
+            {isPastDay && ' · Past sports day (read-only)'}
+          </p>
+        )}
+        <SyncStatus />
       </header>
 
       <div className="max-w-4xl mx-auto">
         {currentView === 'dashboard' && hasEvents && hasParticipants && (
-          <div className="flex flex-wrap justify-center gap-4 mb-8">
+          <div className="flex flex-wrap justify-center gap-4 mb-8 no-print">
+            {canManage(role) && (
+              <>
+                <button
+                  onClick={() => onViewChange('add-event')}
+                  className="flex items-center px-6 py-3 bg-white text-blue-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
+                >
+                  <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v3m0 0v3m0-3h3m-3 0H9m12 0a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
+                  Add Event
+                </button>
+                <button
+                  onClick={() => onViewChange('add-participant')}
+                  className="flex items-center px-6 py-3 bg-white text-green-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
+                >
+                  <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z"></path></svg>
+                  Add Participant
+                </button>
+              </>
+            )}
+            {role.role !== 'viewer' && (
+              <button
+                onClick={() => onViewChange('stopwatch')}
+                className="flex items-center px-6 py-3 bg-white text-purple-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
+              >
+                <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
+                Stopwatch
+              </button>
+            )}
+            {canManage(role) && (
+              <>
+                <button
+                  onClick={() => onViewChange('points-table')}
+                  className="flex items-center px-6 py-3 bg-white text-yellow-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
+                >
+                  <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01"></path></svg>
+                  Points Table
+                </button>
+                <button
+                  onClick={() => onViewChange('houses')}
+                  className="flex items-center px-6 py-3 bg-white text-red-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
+                >
+                  <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6"></path></svg>
+                  Houses
+                </button>
+                <button
+                  onClick={() => onViewChange('import')}
+                  className="flex items-center px-6 py-3 bg-white text-indigo-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
+                >
+                  <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12"></path></svg>
+                  Import CSV
+                </button>
+              </>
+            )}
+            <button
+              onClick={() => onViewChange('schedule')}
+              className="flex items-center px-6 py-3 bg-white text-green-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
+            >
+              <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"></path></svg>
+              Schedule
+            </button>
             <button
-              onClick={() => onViewChange('add-event')}
+              onClick={() => onViewChange('standings')}
               className="flex items-center px-6 py-3 bg-white text-blue-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
             >
-              <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v3m0 0v3m0-3h3m-3 0H9m12 0a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
-              Add Event
+              <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"></path></svg>
+              Standings
             </button>
             <button
-              onClick={() => onViewChange('add-participant')}
-              className="flex items-center px-6 py-3 bg-white text-green-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
+              onClick={() => onViewChange('records')}
+              className="flex items-center px-6 py-3 bg-white text-yellow-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
             >
-              <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z"></path></svg>
-              Add Participant
+              <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11.049 2.927c.3-.921 1.603-.921 1.902 0l1.519 4.674a1 1 0 00.95.69h4.915c.969 0 1.371 1.24.588 1.81l-3.976 2.888a1 1 0 00-.363 1.118l1.518 4.674c.3.922-.755 1.688-1.538 1.118l-3.976-2.888a1 1 0 00-1.176 0l-3.976 2.888c-.783.57-1.838-.197-1.538-1.118l1.518-4.674a1 1 0 00-.363-1.118l-3.976-2.888c-.784-.57-.38-1.81.588-1.81h4.914a1 1 0 00.951-.69l1.519-4.674z"></path></svg>
+              Records
             </button>
             <button
-              onClick={() => onViewChange('stopwatch')}
-              className="flex items-center px-6 py-3 bg-white text-purple-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
+              onClick={() => onViewChange('results-booklet')}
+              className="flex items-center px-6 py-3 bg-white text-gray-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
             >
-              <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
-              Stopwatch
+              <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17 17h2a2 2 0 002-2v-4a2 2 0 00-2-2H5a2 2 0 00-2 2v4a2 2 0 002 2h2m2 4h6a2 2 0 002-2v-4a2 2 0 00-2-2H9a2 2 0 00-2 2v4a2 2 0 002 2zm8-12V5a2 2 0 00-2-2H9a2 2 0 00-2 2v4h10z"></path></svg>
+              Results Booklet
             </button>
+            <a
+              href={routePath('board')}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex items-center px-6 py-3 bg-white text-gray-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
+            >
+              <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"></path></svg>
+              Display Board
+            </a>
+            {canManage(role) && (
+              <button
+                onClick={() => onViewChange('roles')}
+                className="flex items-center px-6 py-3 bg-white text-teal-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
+              >
+                <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"></path></svg>
+                Staff Roles
+              </button>
+            )}
+            {canManage(role) && (
+              <button
+                onClick={() => onViewChange('trash')}
+                className="flex items-center px-6 py-3 bg-white text-gray-700 rounded-full shadow-lg hover:shadow-xl transform hover:-translate-y-1 transition duration-300 font-semibold text-lg"
+              >
+                <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+                Recycle Bin
+              </button>
+            )}
           </div>
         )}
 
@@ -1363,18 +7329,30 @@ const Dashboard = ({ onViewChange, currentView, eventToEdit, participantToEdit,
 
 // --- Main App Component ---
 function App() {
-  const [currentView, setCurrentView] = useState('dashboard');
+  // Starts on the view in the address, so a link to the board never shows the dashboard first
+  const [currentView, setCurrentView] = useState(() => parseRoute(window.location.pathname).view);
   const [eventToEdit, setEventToEdit] = useState(null);
   const [participantToEdit, setParticipantToEdit] = useState(null);
   const [eventForScoreEntry, setEventForScoreEntry] = useState(null);
   const [eventForScoresView, setEventForScoresView] = useState(null);
-
-  const handleViewChange = (view, data = null) => {
+  const [eventForEntries, setEventForEntries] = useState(null);
+  const [eventForRounds, setEventForRounds] = useState(null);
+  const [eventForTeams, setEventForTeams] = useState(null);
+  const [eventForHistory, setEventForHistory] = useState(null);
+  const [participantForProfile, setParticipantForProfile] = useState(null);
+
+  // Shows a view without touching the address bar
+  const showView = useCallback((view, data = null) => {
     setCurrentView(view);
     setEventToEdit(null);
     setParticipantToEdit(null);
     setEventForScoreEntry(null);
     setEventForScoresView(null);
+    setEventForEntries(null);
+    setEventForRounds(null);
+    setEventForTeams(null);
+    setEventForHistory(null);
+    setParticipantForProfile(null);
 
     if (view === 'edit-event') {
       setEventToEdit(data);
@@ -1384,21 +7362,73 @@ function App() {
       setEventForScoreEntry(data);
     } else if (view === 'view-event-scores') {
       setEventForScoresView(data);
+    } else if (view === 'event-entries') {
+      setEventForEntries(data);
+    } else if (view === 'event-rounds') {
+      setEventForRounds(data);
+    } else if (view === 'event-teams') {
+      setEventForTeams(data);
+    } else if (view === 'event-history') {
+      setEventForHistory(data);
+    } else if (view === 'participant-profile') {
+      setParticipantForProfile(data);
     }
-  };
+  }, []);
+
+  // Replacing rather than pushing keeps a link that was opened cold to a single history entry
+  // Kept stable, as Dashboard's link loading effect depends on it
+  const handleViewChange = useCallback((view, data = null, { replace = false } = {}) => {
+    showView(view, data);
+    const path = routePath(view, data);
+    if (path !== window.location.pathname) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+    }
+  }, [showView]);
+
+  // Open whatever the address points at, then follow the back and forward buttons. Views about an
+  // event or participant only get its id from the address; Dashboard loads the rest.
+  useEffect(() => {
+    const showRoute = () => {
+      const { view, id } = parseRoute(window.location.pathname);
+      showView(view, id ? { id } : null);
+    };
+    showRoute();
+    window.addEventListener('popstate', showRoute);
+    return () => window.removeEventListener('popstate', showRoute);
+  }, [showView]);
+
+  // The spectator board has its own URL so the projector never shows the dashboard's controls.
+  // ?board is the address it had before there were routes.
+  if (currentView === 'board' || new URLSearchParams(window.location.search).has('board')) {
+    return (
+      <AuthWrapper>
+        <SportsDayWrapper>
+          <SpectatorBoard />
+        </SportsDayWrapper>
+      </AuthWrapper>
+    );
+  }
 
   return (
     <AuthWrapper>
-      <Dashboard
-        currentView={currentView}
-        onViewChange={handleViewChange}
-        eventToEdit={eventToEdit}
-        participantToEdit={participantToEdit}
-        eventForScoreEntry={eventForScoreEntry}
-        eventForScoresView={eventForScoresView}
-      />
+      <SportsDayWrapper>
+        <Dashboard
+          currentView={currentView}
+          onViewChange={handleViewChange}
+          eventToEdit={eventToEdit}
+          participantToEdit={participantToEdit}
+          eventForScoreEntry={eventForScoreEntry}
+          eventForScoresView={eventForScoresView}
+          eventForEntries={eventForEntries}
+          eventForRounds={eventForRounds}
+          eventForTeams={eventForTeams}
+          eventForHistory={eventForHistory}
+          participantForProfile={participantForProfile}
+        />
+      </SportsDayWrapper>
     </AuthWrapper>
   );
 }
 
 export default App;
+export { allLanesFinished, AppContext, applyScoreChanges, awardDivisionPoints, awardPlacementPoints, buildAttemptScore, buildEntrantsMap, calculateHouseStandings, calculateStandings, canManage, canOpenView, canScore, checkEntry, checkEntryOrder, collectEventParticipants, compareScores, copyDaySetup, dayLocks, EventList, eventResultsCsvRows, filterStandings, findEarlierBests, findNewRecords, findPersonalBests, findPersonalBestScores, findScheduleClashes, findScoreConflict, finishLaneAt, formatResult, getAgeGroup, getEventEntrants, getLatestResults, getNowAndNext, getParticipantResults, houseStandingsFromEventPoints, isEligible, isLowerBetter, isSamePerson, moveToTrash, parseCsv, parseRoute, planAdoption, planDayCopy, planHouseMove, prepareImport, purgeFromTrash, recordDocId, recordKey, restoreFromTrash, routePath, ROUTES, seedHeats, selectQualifiers, setRecord, sortBySchedule, standingsFromEventPoints, Stopwatch, toCsv, writeScore };
@@ -1,8 +1,696 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { Profiler } from 'react';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import App, { allLanesFinished, AppContext, applyScoreChanges, awardDivisionPoints, awardPlacementPoints, buildAttemptScore, buildEntrantsMap, calculateHouseStandings, calculateStandings, canManage, canOpenView, canScore, checkEntry, checkEntryOrder, collectEventParticipants, compareScores, dayLocks, eventResultsCsvRows, filterStandings, findEarlierBests, findNewRecords, findPersonalBests, findPersonalBestScores, findScheduleClashes, findScoreConflict, finishLaneAt, formatResult, getAgeGroup, getEventEntrants, getLatestResults, getNowAndNext, getParticipantResults, houseStandingsFromEventPoints, isEligible, isLowerBetter, isSamePerson, parseCsv, parseRoute, planAdoption, planDayCopy, planHouseMove, prepareImport, recordDocId, recordKey, routePath, ROUTES, seedHeats, selectQualifiers, sortBySchedule, standingsFromEventPoints, Stopwatch, toCsv } from './App';
+import { createMemoryRepository, RepositoryProvider } from './repository';
 
-test('renders learn react link', () => {
+test('without Firebase settings the app explains how to run it locally', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText(/Firebase configuration is missing/)).toHaveTextContent('npm run start:emulator');
+  jest.restoreAllMocks();
+});
+
+test('ranks timed events lowest-first and legacy events highest-first', () => {
+  const scores = [{ score: 12.5 }, { score: 11.9 }, { score: 13.1 }];
+  const sprint = { name: '100m', resultKind: 'time', direction: 'lower' };
+  const legacy = { name: 'Egg and Spoon' };
+
+  expect([...scores].sort(compareScores(sprint)).map(s => s.score)).toEqual([11.9, 12.5, 13.1]);
+  expect([...scores].sort(compareScores(legacy)).map(s => s.score)).toEqual([13.1, 12.5, 11.9]);
+  expect(isLowerBetter(legacy)).toBe(false);
+});
+
+test('labels results with the unit of their result kind', () => {
+  expect(formatResult({ resultKind: 'time', direction: 'lower' }, 12.34)).toBe('12.34 s');
+  expect(formatResult({ resultKind: 'distance', direction: 'higher' }, 4.2)).toBe('4.2 m');
+  expect(formatResult({}, 7)).toBe('7');
+});
+
+test('tied results share the points of the places they span', () => {
+  const longJump = { resultKind: 'distance', direction: 'higher' };
+  const scores = [
+    { participantId: 'a', score: 4.1 },
+    { participantId: 'b', score: 3.8 },
+    { participantId: 'c', score: 3.8 },
+    { participantId: 'd', score: 3.2 },
+  ];
+
+  const placed = awardPlacementPoints(longJump, scores, [10, 8, 6, 5]);
+  expect(placed.map(r => [r.participantId, r.place, r.points])).toEqual([
+    ['a', 1, 10],
+    ['b', 2, 7],
+    ['c', 2, 7],
+    ['d', 4, 5],
+  ]);
+});
+
+test('overall standings total placement points across events of different kinds', () => {
+  const eventsMap = {
+    sprint: { name: '100m', resultKind: 'time', direction: 'lower' },
+    jump: { name: 'Long Jump', resultKind: 'distance', direction: 'higher' },
+  };
+  const participantsMap = { a: { name: 'Ada', house: 'Red' }, b: { name: 'Ben', house: 'Blue' }, c: { name: 'Cy', house: 'Red' } };
+  const scores = [
+    { eventId: 'sprint', participantId: 'a', score: 13.2 },
+    { eventId: 'sprint', participantId: 'b', score: 12.1 },
+    { eventId: 'sprint', participantId: 'c', score: 14.0 },
+    { eventId: 'jump', participantId: 'a', score: 4.5 },
+    { eventId: 'jump', participantId: 'b', score: 3.9 },
+  ];
+
+  const standings = calculateStandings(scores, eventsMap, participantsMap, [10, 8]);
+  expect(standings.map(s => [s.name, s.place, s.totalPoints])).toEqual([
+    ['Ada', 1, 18],
+    ['Ben', 1, 18],
+    ['Cy', 3, 0],
+  ]);
+});
+
+test('house standings group participants without a house as Unassigned', () => {
+  const eventsMap = { sprint: { name: '100m', resultKind: 'time', direction: 'lower' } };
+  const participantsMap = { a: { name: 'Ada', house: 'Red' }, b: { name: 'Ben', house: '' }, c: { name: 'Cy' } };
+  const scores = [
+    { eventId: 'sprint', participantId: 'a', score: 12.0 },
+    { eventId: 'sprint', participantId: 'b', score: 12.5 },
+    { eventId: 'sprint', participantId: 'c', score: 13.0 },
+  ];
+
+  const houses = calculateHouseStandings(scores, eventsMap, participantsMap, [10, 8, 6]);
+  expect(houses.map(h => [h.house, h.place, h.totalPoints, h.eventPoints.sprint])).toEqual([
+    ['Unassigned', 1, 14, 14],
+    ['Red', 2, 10, 10],
+  ]);
+});
+
+test('standings kept up to date from score changes match a full recalculation', () => {
+  const eventsMap = {
+    sprint: { name: '100m', resultKind: 'time', direction: 'lower' },
+    jump: { name: 'Long Jump', resultKind: 'distance', direction: 'higher' },
+  };
+  const participantsMap = { a: { name: 'Ada', house: 'Red' }, b: { name: 'Ben', house: 'Blue' }, c: { name: 'Cy', house: 'Red' } };
+  const context = { eventsMap, participantsMap, pointsTable: [10, 8, 6] };
+  const scores = {
+    sa: { id: 'sa', eventId: 'sprint', participantId: 'a', score: 12.0 },
+    sb: { id: 'sb', eventId: 'sprint', participantId: 'b', score: 12.5 },
+    jc: { id: 'jc', eventId: 'jump', participantId: 'c', score: 3.1 },
+  };
+
+  let tally = applyScoreChanges({ scoresByEvent: {}, eventPoints: {} }, Object.values(scores).map(score => ({ type: 'added', doc: score })), context);
+  const jumpPoints = tally.eventPoints.jump;
+  scores.sb = { ...scores.sb, score: 11.5 };
+  tally = applyScoreChanges(tally, [{ type: 'modified', doc: scores.sb }], context);
+  expect(tally.eventPoints.jump).toBe(jumpPoints); // Only the sprint was ranked again
+  delete scores.jc;
+  tally = applyScoreChanges(tally, [{ type: 'removed', doc: { id: 'jc', eventId: 'jump', participantId: 'c', score: 3.1 } }], context);
+
+  const all = Object.values(scores);
+  expect(standingsFromEventPoints(tally.eventPoints, participantsMap)).toEqual(calculateStandings(all, eventsMap, participantsMap, [10, 8, 6]));
+  expect(houseStandingsFromEventPoints(tally.eventPoints)).toEqual(calculateHouseStandings(all, eventsMap, participantsMap, [10, 8, 6]));
+  expect(houseStandingsFromEventPoints(tally.eventPoints).map(h => [h.house, h.totalPoints])).toEqual([['Blue', 10], ['Red', 8]]);
+});
+
+test('parses quoted CSV fields and CRLF line endings', () => {
+  expect(parseCsv('name,house\r\n"Doe, Jane","Red ""A"""\r\n\r\nSam,Blue')).toEqual([
+    ['name', 'house'],
+    ['Doe, Jane', 'Red "A"'],
+    ['Sam', 'Blue'],
+  ]);
+});
+
+test('import preview flags duplicates and invalid rows', () => {
+  const csv = 'Name,House,Year Group\nAda,red ,Year 4\nBen,Blue,Year 3\nBen,Blue,Year 3\nCy,Green,Year 5\n,Red,Year 4';
+  const existing = [{ name: 'ben', house: 'Blue' }];
+  const houses = [{ name: 'Red' }, { name: 'Blue' }];
+
+  const rows = prepareImport('participants', csv, [], houses);
+  expect(rows.map(r => r.status)).toEqual(['new', 'new', 'duplicate', 'invalid', 'invalid']);
+  expect(rows[0].data).toEqual({ name: 'Ada', house: 'Red', yearGroup: 'Year 4', gender: '', dob: '' });
+  expect(rows[3].errors).toEqual(['Unknown house "Green"']);
+
+  expect(prepareImport('participants', csv, existing, houses)[1].status).toBe('duplicate');
+});
+
+test('imported genders and dates of birth are normalised', () => {
+  const csv = 'name,gender,date of birth\nAda,F,14/5/2016\nBen,Boys,2015-09-01\nCy,other,31/02/2016';
+  const rows = prepareImport('participants', csv, []);
+  expect(rows.map(r => [r.data.gender, r.data.dob])).toEqual([['girls', '2016-05-14'], ['boys', '2015-09-01'], [null, null]]);
+  expect(rows[2].errors).toEqual(['Gender must be "boys" or "girls"', 'Date of birth "31/02/2016" must be YYYY-MM-DD or DD/MM/YYYY']);
+});
+
+test('exported event results use the on-screen ranking and quote every cell', () => {
+  const sprint = { name: '100m', resultKind: 'time', direction: 'lower' };
+  const participantsMap = { a: { name: 'Doe, Jane', house: 'Red' }, b: { name: 'Sam', house: 'Blue' } };
+  const scores = [{ participantId: 'a', score: 12.8 }, { participantId: 'b', score: 12.1 }];
+
+  expect(toCsv(eventResultsCsvRows(sprint, scores, participantsMap, [10, 8]))).toBe([
+    '"Rank","Participant","House","Result","Unit","Points"',
+    '"1","Sam","Blue","12.1","s","10"',
+    '"2","Doe, Jane","Red","12.8","s","8"',
+  ].join('\r\n'));
+
+  // A three-way tie shares (10 + 8 + 5) / 3 points, shown to one decimal place
+  const tied = [...scores, { participantId: 'c', score: 12.1 }, { participantId: 'd', score: 12.1 }];
+  const tiedMap = { ...participantsMap, c: { name: 'Cy', house: 'Red' }, d: { name: 'Di', house: 'Blue' } };
+  expect(eventResultsCsvRows(sprint, tied, tiedMap, [10, 8, 5, 3]).slice(1).map(row => [row[0], row[5]])).toEqual([
+    [1, '7.7'], [1, '7.7'], [1, '7.7'], [4, '3'],
+  ]);
+});
+
+test('heats are seeded in a serpentine across heats', () => {
+  expect(seedHeats(['a', 'b', 'c', 'd', 'e', 'f', 'g'], 3)).toEqual([
+    ['a', 'f', 'g'],
+    ['b', 'e'],
+    ['c', 'd'],
+  ]);
+});
+
+test('qualifiers are the top N per heat plus the fastest losers, and only finals earn points', () => {
+  const sprint = {
+    name: '100m',
+    resultKind: 'time',
+    direction: 'lower',
+    rounds: [{ name: 'Heats', advanceTopN: 1, advanceFastestLosers: 1 }, { name: 'Final' }],
+  };
+  const heats = [
+    { round: 0, heat: 1, lanes: ['a', 'b', 'c'] },
+    { round: 0, heat: 2, lanes: ['d', 'e', 'f'] },
+  ];
+  const scores = [
+    { eventId: 'sprint', participantId: 'a', score: 12.0, round: 0 },
+    { eventId: 'sprint', participantId: 'b', score: 12.2, round: 0 },
+    { eventId: 'sprint', participantId: 'c', score: 13.0, round: 0 },
+    { eventId: 'sprint', participantId: 'd', score: 12.5, round: 0 },
+    { eventId: 'sprint', participantId: 'e', score: 12.9, round: 0 },
+    { eventId: 'sprint', participantId: 'f', score: 12.4, round: 0 },
+  ];
+
+  expect(selectQualifiers(sprint, 0, heats, scores).map(q => [q.participantId, q.by])).toEqual([
+    ['a', 'place'],
+    ['b', 'time'],
+    ['f', 'place'],
+  ]);
+
+  const finalScores = [...scores, { eventId: 'sprint', participantId: 'f', score: 11.9, round: 1 }];
+  const participantsMap = { a: { name: 'Ada' }, f: { name: 'Fin' } };
+  expect(calculateStandings(finalScores, { sprint }, participantsMap, [10]).map(s => [s.name, s.totalPoints])).toEqual([['Fin', 10]]);
+});
+
+test('multi-attempt events keep every attempt, count the best and break ties on countback', () => {
+  const longJump = { resultKind: 'distance', direction: 'higher', attempts: 3 };
+
+  expect(buildAttemptScore(longJump, ['3.9', 'x', '4.1'])).toEqual({ attempts: [3.9, 'X', 4.1], score: 4.1 });
+  expect(buildAttemptScore(longJump, ['X', '-', 'X'])).toEqual({ attempts: ['X', '-', 'X'], score: null });
+  expect(buildAttemptScore(longJump, ['', '', ''])).toBeNull();
+
+  const scores = [
+    { participantId: 'a', attempts: ['X', 3.9, 4.1], score: 4.1 },
+    { participantId: 'b', attempts: [4.1, 3.9, 'X'], score: 4.1 },
+    { participantId: 'c', attempts: ['X', 'X', 'X'], score: null },
+    { participantId: 'd', attempts: [3.9, 4.1, 3.5], score: 4.1 },
+  ];
+  expect(awardPlacementPoints(longJump, scores, [10, 8, 6, 5]).map(r => [r.participantId, r.place, r.points])).toEqual([
+    ['d', 1, 10],
+    ['a', 2, 7],
+    ['b', 2, 7],
+    ['c', null, 0],
+  ]);
+});
+
+test('judges can only score their own events and only admins manage the day', () => {
+  const admin = { role: 'admin', eventIds: [] };
+  const judge = { role: 'judge', eventIds: ['sprint'] };
+  const viewer = { role: 'viewer', eventIds: [] };
+
+  expect([admin, judge, viewer].map(role => canScore(role, 'sprint'))).toEqual([true, true, false]);
+  expect([admin, judge, viewer].map(role => canScore(role, 'jump'))).toEqual([true, false, false]);
+  expect([admin, judge, viewer].map(canManage)).toEqual([true, false, false]);
+});
+
+test('edits made offline from the same version with different results are a conflict', () => {
+  const agreed = { score: 12.3, edits: [{ baseVersion: 0, score: 12.3 }, { baseVersion: 1, score: 12.3 }, { baseVersion: 1, score: 12.3 }] };
+  const conflicting = { score: 12.5, edits: [{ baseVersion: 0, score: 12.3 }, { baseVersion: 1, score: 12.4, by: 'a' }, { baseVersion: 1, score: 12.5, by: 'b' }] };
+  const resolved = { ...conflicting, edits: [...conflicting.edits, { baseVersion: 3, score: 12.4 }] };
+
+  expect(findScoreConflict(agreed)).toBeNull();
+  expect(findScoreConflict(conflicting).map(edit => edit.by)).toEqual(['a', 'b']);
+  expect(findScoreConflict(resolved)).toBeNull();
+  expect(findScoreConflict({ score: 9 })).toBeNull();
+});
+
+test('conflicts are found in edits kept by version as well as in the older edits array', () => {
+  const conflicting = { score: 12.5, editsByVersion: { 1: [{ baseVersion: 1, score: 12.4, by: 'a' }, { baseVersion: 1, score: 12.5, by: 'b' }] } };
+  expect(findScoreConflict(conflicting).map(edit => edit.by)).toEqual(['a', 'b']);
+  // Saving from the merged version trims the older edits away
+  expect(findScoreConflict({ score: 12.4, editsByVersion: { 3: [{ baseVersion: 3, score: 12.4 }] } })).toBeNull();
+  // A write that didn't know about version 1 leaves it in place, but the newer version still wins
+  expect(findScoreConflict({ score: 12.4, editsByVersion: { ...conflicting.editsByVersion, 3: [{ baseVersion: 3, score: 12.4 }] } })).toBeNull();
+});
+
+test('age categories come from the year group, or the date of birth on the cut-off date', () => {
+  expect(getAgeGroup({ yearGroup: 'Year 4', dob: '2016-05-14' }, '2025-08-31')).toBe('Year 4');
+  expect(getAgeGroup({ dob: '2014-08-31' }, '2025-08-31')).toBe('U12');
+  expect(getAgeGroup({ dob: '2014-09-01' }, '2025-08-31')).toBe('U11');
+  expect(getAgeGroup({ dob: '2014-09-01' })).toBe('');
+
+  const girlsSprint = { ageGroups: ['Year 3', 'U11'], genders: ['girls'] };
+  expect(isEligible(girlsSprint, { yearGroup: 'Year 3', gender: 'girls' })).toBe(true);
+  expect(isEligible(girlsSprint, { dob: '2014-09-01', gender: 'girls' }, '2025-08-31')).toBe(true);
+  expect(isEligible(girlsSprint, { yearGroup: 'Year 3', gender: 'boys' })).toBe(false);
+  expect(isEligible({ name: 'Open Relay' }, {})).toBe(true);
+});
+
+test('events split into divisions are ranked and pointed separately in each', () => {
+  const sprint = { name: '60m', resultKind: 'time', direction: 'lower', ageGroups: ['Year 3', 'Year 10'], genders: ['boys', 'girls'] };
+  const participantsMap = {
+    a: { name: 'Ada', yearGroup: 'Year 3', gender: 'girls' },
+    b: { name: 'Bea', yearGroup: 'Year 3', gender: 'girls' },
+    c: { name: 'Cal', yearGroup: 'Year 3', gender: 'boys' },
+    d: { name: 'Dev', yearGroup: 'Year 10', gender: 'boys' },
+  };
+  const scores = [
+    { eventId: 'sprint', participantId: 'a', score: 10.2 },
+    { eventId: 'sprint', participantId: 'b', score: 9.8 },
+    { eventId: 'sprint', participantId: 'c', score: 10.5 },
+    { eventId: 'sprint', participantId: 'd', score: 8.1 },
+  ];
+
+  expect(awardDivisionPoints(sprint, scores, participantsMap, [10, 8]).map(r => [r.division, r.participantId, r.place, r.points])).toEqual([
+    ['Year 3 Boys', 'c', 1, 10],
+    ['Year 3 Girls', 'b', 1, 10],
+    ['Year 3 Girls', 'a', 2, 8],
+    ['Year 10 Boys', 'd', 1, 10],
+  ]);
+  expect(eventResultsCsvRows(sprint, scores, participantsMap, [10, 8])[0][0]).toBe('Division');
+
+  const standings = calculateStandings(scores, { sprint }, participantsMap, [10, 8]);
+  expect(filterStandings(standings, 'Year 3', 'girls').map(s => [s.name, s.place])).toEqual([['Bea', 1], ['Ada', 2]]);
+  expect(filterStandings(standings, '', 'boys').map(s => [s.name, s.place])).toEqual([['Cal', 1], ['Dev', 1]]);
+});
+
+test('team results score once for the house and only reach members when the event shares them', () => {
+  const eventsMap = {
+    relay: { name: '4x100m', resultKind: 'time', direction: 'lower', teamEvent: true, memberPoints: true },
+    tug: { name: 'Tug of War', resultKind: 'points', direction: 'higher', teamEvent: true },
+  };
+  const participantsMap = { a: { name: 'Ada', house: 'Red' }, b: { name: 'Ben', house: 'Red' }, c: { name: 'Cy', house: 'Blue' } };
+  const teamsMap = {
+    red: { name: 'Red A', house: 'Red', memberIds: ['a', 'b', 'gone'] },
+    blue: { name: 'Blue A', house: 'Blue', memberIds: ['c'] },
+  };
+  const scores = [
+    { eventId: 'relay', teamId: 'red', score: 52.1 },
+    { eventId: 'relay', teamId: 'blue', score: 54.3 },
+    { eventId: 'tug', teamId: 'blue', score: 1 },
+    { eventId: 'tug', teamId: 'red', score: 2 },
+  ];
+
+  const houses = calculateHouseStandings(scores, eventsMap, participantsMap, [10, 8], undefined, teamsMap);
+  expect(houses.map(h => [h.house, h.totalPoints, h.eventPoints.relay, h.eventPoints.tug])).toEqual([
+    ['Red', 20, 10, 10],
+    ['Blue', 16, 8, 8],
+  ]);
+
+  // Tug of war doesn't share its points, and the removed member is skipped
+  const standings = calculateStandings(scores, eventsMap, participantsMap, [10, 8], undefined, teamsMap);
+  expect(standings.map(s => [s.name, s.totalPoints])).toEqual([['Ada', 10], ['Ben', 10], ['Cy', 8]]);
+
+  const entrantsMap = buildEntrantsMap(participantsMap, teamsMap);
+  expect(eventResultsCsvRows(eventsMap.relay, scores.filter(score => score.eventId === 'relay'), entrantsMap, [10, 8]).slice(0, 2)).toEqual([
+    ['Rank', 'Team', 'House', 'Result', 'Unit', 'Points'],
+    [1, 'Red A', 'Red', 52.1, 's', '10'],
+  ]);
+});
+
+test('the schedule flags overlapping events that share a participant', () => {
+  const events = [
+    { id: 'sprint', name: '100m', startTime: '09:00', duration: 30 },
+    { id: 'jump', name: 'Long Jump', startTime: '09:20', duration: 40 },
+    { id: 'relay', name: 'Relay', startTime: '09:30', duration: 15 },
+    { id: 'throw', name: 'Shot Put', startTime: '10:00', duration: 30 },
+    { id: 'tbc', name: 'Egg and Spoon' },
+  ];
+  const participantsByEvent = collectEventParticipants({
+    heats: [{ eventId: 'sprint', lanes: ['a', 'b', ''] }, { eventId: 'relay', lanes: ['red'] }],
+    teams: [{ id: 'red', eventId: 'relay', memberIds: ['b', 'c'] }],
+    scores: [{ eventId: 'jump', participantId: 'a' }, { eventId: 'throw', participantId: 'c' }, { eventId: 'tbc', participantId: 'a' }],
+  });
+
+  expect([...participantsByEvent.relay]).toEqual(['b', 'c']);
+  // Shot Put starts as Long Jump ends, so they don't clash
+  expect(findScheduleClashes(events, participantsByEvent)).toEqual([
+    { eventIds: ['sprint', 'jump'], participantIds: ['a'] },
+  ]);
+});
+
+test('now / next shows events under way, then the next ones to start in order of play', () => {
+  const events = [
+    { id: 'c', name: 'Relay', startTime: '11:00', status: 'scheduled' },
+    { id: 'a', name: '100m', startTime: '09:00', status: 'completed' },
+    { id: 'b', name: 'Long Jump', startTime: '09:30', status: 'in-progress' },
+    { id: 'd', name: 'Egg and Spoon' },
+    { id: 'e', name: 'Shot Put', startTime: '10:15' },
+  ];
+
+  const { now, next } = getNowAndNext(events, 2);
+  expect(now.map(event => event.id)).toEqual(['b']);
+  expect(next.map(event => event.id)).toEqual(['e', 'c']);
+  expect(sortBySchedule(events).map(event => event.id)).toEqual(['a', 'b', 'e', 'c', 'd']);
+});
+
+test('entries are rejected past the per-participant and per-house limits', () => {
+  const eventsMap = {
+    sprint: { name: '100m', entriesPerHouse: 2 },
+    jump: { name: 'Long Jump' },
+    hurdles: { name: 'Hurdles', genders: ['girls'] },
+    relay: { name: 'Relay', teamEvent: true },
+  };
+  const participantsMap = {
+    a: { id: 'a', name: 'Ada', house: 'Red', gender: 'girls' },
+    b: { id: 'b', name: 'Ben', house: 'red ', gender: 'boys' },
+    c: { id: 'c', name: 'Cy', house: 'Red', gender: 'boys' },
+    d: { id: 'd', name: 'Dee', house: 'Blue', gender: 'girls' },
+  };
+  const entries = [
+    { eventId: 'sprint', participantId: 'a' },
+    { eventId: 'sprint', participantId: 'b' },
+    { eventId: 'jump', participantId: 'a' },
+    { eventId: 'relay', participantId: 'd' },
+    { eventId: 'gone', participantId: 'd' },
+  ];
+  const limits = { eventsMap, participantsMap, maxEventsPerParticipant: 2 };
+  const check = (eventId, participantId) => checkEntry({ id: eventId, ...eventsMap[eventId] }, participantsMap[participantId], entries, limits);
+
+  expect(check('sprint', 'c')).toBe('Red already has 2 entries in 100m, the most allowed per house.');
+  expect(check('sprint', 'd')).toBeNull();
+  expect(check('hurdles', 'a')).toBe('Ada is already entered in 2 events, the most anyone can enter.');
+  expect(check('hurdles', 'c')).toBe("Cy isn't eligible for Hurdles.");
+  expect(check('jump', 'a')).toBe('Ada is already entered in Long Jump.');
+  expect(check('relay', 'c')).toMatch(/team event/);
+  // The team event and the deleted event don't count towards Dee's limit
+  expect(check('jump', 'd')).toBeNull();
+});
+
+test('when two devices take the last place, the entry the server got later is over the limit', () => {
+  const eventsMap = { sprint: { name: '100m', entriesPerHouse: 2 }, jump: { name: 'Long Jump' } };
+  const participantsMap = {
+    a: { name: 'Ada', house: 'Red' },
+    b: { name: 'Ben', house: 'Red' },
+    c: { name: 'Cy', house: 'red' },
+  };
+  const at = (millis) => ({ toMillis: () => millis });
+  const entries = [
+    { id: 'sprint_c', eventId: 'sprint', participantId: 'c', enteredAt: at(300) },
+    { id: 'sprint_a', eventId: 'sprint', participantId: 'a' }, // Entered before entries were timed
+    { id: 'sprint_b', eventId: 'sprint', participantId: 'b', enteredAt: at(200) },
+    { id: 'jump_c', eventId: 'jump', participantId: 'c', enteredAt: at(100) },
+  ];
+  const check = (id, limits) => checkEntryOrder(entries.find(entry => entry.id === id), entries, { eventsMap, participantsMap, ...limits });
+
+  expect(check('sprint_a', { maxEventsPerParticipant: 2 })).toBeNull();
+  expect(check('sprint_b', { maxEventsPerParticipant: 2 })).toBeNull();
+  expect(check('sprint_c', { maxEventsPerParticipant: 2 })).toBe('red already had 2 entries in 100m, the most allowed per house.');
+  expect(check('jump_c', { maxEventsPerParticipant: 1 })).toBeNull(); // Cy's first entry keeps its place
+  expect(check('sprint_c', { maxEventsPerParticipant: 1, eventsMap: { ...eventsMap, sprint: { name: '100m' } } })).toBe('Cy was already entered in 1 events, the most anyone can enter.');
+});
+
+test('events nobody has been entered in offer everyone eligible', () => {
+  const participants = [
+    { id: 'a', name: 'Ada', gender: 'girls' },
+    { id: 'b', name: 'Ben', gender: 'boys' },
+    { id: 'c', name: 'Cy', gender: 'girls' },
+  ];
+  const hurdles = { id: 'hurdles', name: 'Hurdles', genders: ['girls'] };
+  expect(getEventEntrants(hurdles, [{ eventId: 'sprint', participantId: 'b' }], participants).map(p => p.id)).toEqual(['a', 'c']);
+  expect(getEventEntrants(hurdles, [{ eventId: 'hurdles', participantId: 'c' }], participants).map(p => p.id)).toEqual(['c']);
+});
+
+test('the spectator board shows the most recently scored finals with their top three', () => {
+  const eventsMap = {
+    sprint: { name: '100m', direction: 'lower', rounds: [{ name: 'Heats' }, { name: 'Final' }] },
+    jump: { name: 'Long Jump' },
+    throw: { name: 'Shot Put' },
+  };
+  const entrantsMap = {
+    a: { name: 'Ada', house: 'Red' },
+    b: { name: 'Ben', house: 'Blue' },
+    c: { name: 'Cy', house: 'Red' },
+    d: { name: 'Dee', house: 'Blue' },
+  };
+  const scores = [
+    { eventId: 'sprint', participantId: 'a', round: 1, score: 13.1, scoredAt: 300 },
+    { eventId: 'sprint', participantId: 'b', round: 1, score: 12.9, scoredAt: 200 },
+    { eventId: 'sprint', participantId: 'c', round: 0, score: 12.0, scoredAt: 900 },
+    { eventId: 'jump', participantId: 'a', score: 3.1, scoredAt: 100 },
+    { eventId: 'jump', participantId: 'b', score: 3.4, scoredAt: 500 },
+    { eventId: 'jump', participantId: 'c', score: 3.4, scoredAt: 100 },
+    { eventId: 'jump', participantId: 'd', score: 2.2, scoredAt: 100 },
+    { eventId: 'throw', participantId: 'd', score: 6.5, scoredAt: 50 },
+    { eventId: 'gone', participantId: 'a', score: 1, scoredAt: 999 },
+  ];
+
+  const latest = getLatestResults(scores, eventsMap, entrantsMap, undefined, undefined, 2);
+  expect(latest.map(result => result.eventId)).toEqual(['jump', 'sprint']);
+  expect(latest[0].podium.map(result => [result.participantId, result.place])).toEqual([['b', 1], ['c', 1], ['a', 3]]);
+  // Heat times don't make the board
+  expect(latest[1].podium.map(result => result.participantId)).toEqual(['b', 'a']);
+});
+
+test('every view has a path that leads back to it, with the id of what it shows', () => {
+  Object.keys(ROUTES).forEach(view => {
+    expect(parseRoute(routePath(view, { id: 'abc' })).view).toBe(view);
+  });
+  expect(routePath('view-event-scores', { id: 'e 1' })).toBe('/events/e%201/scores');
+  expect(parseRoute('/events/e%201/scores')).toEqual({ view: 'view-event-scores', id: 'e 1' });
+  expect(parseRoute('/participants/p1/edit/')).toEqual({ view: 'edit-participant', id: 'p1' });
+  expect(parseRoute('/events/new')).toEqual({ view: 'add-event', id: null });
+  expect(parseRoute('/nowhere')).toEqual({ view: 'dashboard', id: null });
+
+  const judge = { role: 'judge', eventIds: ['e1'] };
+  expect(canOpenView(judge, 'add-score', 'e1')).toBe(true);
+  expect(canOpenView(judge, 'add-score', 'e2')).toBe(false);
+  expect(canOpenView(judge, 'edit-event', 'e1')).toBe(false);
+  expect(canOpenView(judge, 'stopwatch')).toBe(true);
+  expect(canOpenView({ role: 'viewer' }, 'stopwatch')).toBe(false);
+  expect(canOpenView({ role: 'viewer' }, 'view-event-scores', 'e1')).toBe(true);
+});
+
+test('a participant profile lists their events with places, points and their share of house points', () => {
+  const eventsMap = {
+    sprint: { name: '100m', direction: 'lower', startTime: '10:00' },
+    relay: { name: 'Relay', direction: 'lower', teamEvent: true, startTime: '09:00' },
+    jump: { name: 'Long Jump', startTime: '11:00' },
+    hurdles: { name: 'Hurdles', direction: 'lower', rounds: [{ name: 'Heats' }, { name: 'Final' }], startTime: '12:00' },
+  };
+  const participantsMap = {
+    a: { name: 'Ada', house: 'Red' },
+    b: { name: 'Ben', house: 'Red' },
+    c: { name: 'Cy', house: 'Blue' },
+  };
+  const teamsMap = { t1: { name: 'Red A', house: 'Red', eventId: 'relay', memberIds: ['a', 'b'] } };
+  const scores = [
+    { eventId: 'sprint', participantId: 'a', score: 12.5 },
+    { eventId: 'sprint', participantId: 'c', score: 12.1 },
+    { eventId: 'relay', teamId: 't1', score: 55 },
+    { eventId: 'hurdles', participantId: 'a', round: 0, score: 16.2 },
+    { eventId: 'hurdles', participantId: 'c', round: 1, score: 15.9 },
+  ];
+  const entries = [{ eventId: 'jump', participantId: 'a' }, { eventId: 'gone', participantId: 'a' }];
+
+  const results = getParticipantResults('a', { scores, eventsMap, participantsMap, teamsMap, entries, pointsTable: [10, 8, 6] });
+  expect(results.map(result => [result.eventId, result.place, result.points, result.housePoints])).toEqual([
+    ['relay', 1, 0, 5],
+    ['sprint', 2, 8, 8],
+    ['jump', null, 0, 0],
+    ['hurdles', null, 0, 0],
+  ]);
+  expect(results[0].teamId).toBe('t1');
+  expect(results[2].score).toBeUndefined();
+  expect(results[3]).toMatchObject({ score: 16.2, round: 'Heats' });
+});
+
+test('personal bests keep the best result per event across sports days', () => {
+  const sprintDay1 = { name: '100m', direction: 'lower', dayId: 'd1' };
+  const sprintDay2 = { name: '100M ', direction: 'lower', dayId: 'd2' };
+  const jump = { name: 'Long Jump', dayId: 'd2' };
+  const bests = findPersonalBests([
+    { event: sprintDay1, score: 13.2, dayId: 'd1' },
+    { event: sprintDay2, score: 12.8, dayId: 'd2' },
+    { event: jump, score: 3.1, dayId: 'd2' },
+    { event: jump, score: null, dayId: 'd1' },
+  ]);
+  expect(bests.map(best => [best.event.name.trim(), best.score, best.dayId])).toEqual([['100M', 12.8, 'd2'], ['Long Jump', 3.1, 'd2']]);
+
+  expect(isSamePerson({ id: 'p2', personId: 'p1', name: 'Ada' }, { id: 'p1', name: 'Ada Lovelace' })).toBe(true);
+  expect(isSamePerson({ id: 'p3', name: ' ada ', dob: '2015-01-02' }, { id: 'p1', name: 'Ada', dob: '2015-01-02' })).toBe(true);
+  expect(isSamePerson({ id: 'p3', name: 'Ada', dob: '2016-01-02' }, { id: 'p1', name: 'Ada', dob: '2015-01-02' })).toBe(false);
+  // Two Adas without a date of birth could be anyone
+  expect(isSamePerson({ id: 'p3', name: 'Ada' }, { id: 'p1', name: 'Ada' })).toBe(false);
+  expect(isSamePerson({ id: 'p3', name: 'Ada', dob: '2015-01-02' }, { id: 'p1', name: 'Ada' })).toBe(false);
+});
+
+test('new records are the best result in a division that beats the record, in the event\'s direction', () => {
+  const event = { name: 'Hurdles', direction: 'lower', genders: ['boys', 'girls'], rounds: [{ name: 'Heats' }, { name: 'Final' }] };
+  const entrantsMap = {
+    a: { name: 'Ada', gender: 'girls' },
+    b: { name: 'Bea', gender: 'girls' },
+    c: { name: 'Cy', gender: 'boys' },
+    d: { name: 'Dan', gender: 'boys' },
+  };
+  const recordsMap = {
+    [recordDocId(' hurdles', 'Girls')]: { holder: 'Old Girl', value: 15.0, year: 2019 },
+    [recordDocId('Hurdles', 'Boys')]: { holder: 'Old Boy', value: 14.0, year: 2020 },
+  };
+  const scores = [
+    { id: 'a0', eventId: 'h', participantId: 'a', round: 0, score: 14.8 },
+    { id: 'a1', eventId: 'h', participantId: 'a', round: 1, score: 14.9 },
+    { id: 'b1', eventId: 'h', participantId: 'b', round: 1, score: 14.85 },
+    { id: 'c1', eventId: 'h', participantId: 'c', round: 1, score: 14.0 },
+    { id: 'd1', eventId: 'h', participantId: 'd', round: 1, score: null },
+  ];
+
+  const newRecords = findNewRecords(event, scores, entrantsMap, recordsMap);
+  // A heat time counts; equalling the boys' record doesn't
+  expect(newRecords.map(newRecord => [newRecord.division, newRecord.score.id, newRecord.record.holder])).toEqual([['Girls', 'a0', 'Old Girl']]);
+
+  const personalBests = findPersonalBestScores(event, scores, { a: 14.7, b: 15.2, c: 13.9 });
+  expect([...personalBests]).toEqual(['b1']);
+  expect(findPersonalBestScores({ name: 'Long Jump' }, [{ id: 'x', participantId: 'a', score: 3.1 }], {}).size).toBe(0);
+});
+
+test('records are found whatever the case of the division', () => {
+  expect(recordDocId('100m', 'year 5 girls')).toBe(recordDocId(' 100M ', 'Year 5 Girls '));
+  // A record saved under an older, case-sensitive id is still keyed the same way
+  expect(recordKey({ eventName: '100m', division: 'Year 5 Girls' })).toBe(recordDocId('100m', 'year 5 girls'));
+});
+
+test('earlier bests are each participant\'s best mark from their earlier copies', () => {
+  const event = { name: 'Long Jump', direction: 'higher' };
+  const earlierMarks = [
+    { participant: { id: 'old-a', name: 'Ada' }, score: 3.1 },
+    { participant: { id: 'old-a', name: 'Ada' }, score: 3.4 },
+    { participant: { id: 'old-b', name: 'Bea', dob: '2015-03-04' }, score: 2.9 },
+  ];
+  const participants = [
+    { id: 'a', personId: 'old-a', name: 'Ada' },
+    { id: 'b', name: 'Bea', dob: '2015-03-04' },
+    { id: 'c', name: 'Cy' },
+  ];
+  expect(findEarlierBests(event, earlierMarks, participants)).toEqual({ a: 3.4, b: 2.9 });
+});
+
+test('only the newest sports day is left unlocked', () => {
+  const days = [
+    { id: 'd2024', name: 'Sports Day', date: '2024-07-05' },
+    { id: 'd2025', name: 'Sports Day', date: '2025-07-04' },
+    { id: 'd2023', name: 'Sports Day', date: '2023-07-07' },
+  ];
+  expect(dayLocks(days)).toEqual({ d2025: false, d2024: true, d2023: true });
+  expect(dayLocks([...days, { id: 'd2026', name: 'Sports Day', date: '2026-07-03' }])).toMatchObject({ d2026: false, d2025: true });
+  expect(dayLocks([])).toEqual({});
+});
+
+test('the first sports day adopts everything saved without a day', () => {
+  const plan = planAdoption({
+    events: [{ id: 'e1', name: '100m' }, { id: 'e2', name: 'Relay', dayId: 'other' }],
+    participants: [{ id: 'p1', name: 'Ann' }],
+    scores: [{ id: 's1', eventId: 'e1', participantId: 'p1', score: 12.3 }],
+  }, 'day1');
+  expect(plan).toEqual([
+    { kind: 'events', id: 'e1', changes: { dayId: 'day1' } },
+    { kind: 'participants', id: 'p1', changes: { dayId: 'day1' } },
+    { kind: 'scores', id: 's1', changes: { dayId: 'day1' } },
+  ]);
+});
+
+test('copying a sports day starts its events afresh and links its participants to the originals', () => {
+  const plan = planDayCopy({
+    events: [{ id: 'e1', name: '100m', status: 'completed', dayId: 'old' }],
+    participants: [{ id: 'p1', name: 'Ann', dayId: 'old' }, { id: 'p2', name: 'Ben', personId: 'p0', dayId: 'old' }],
+  }, 'new');
+  expect(plan).toEqual([
+    { kind: 'events', id: 'new_e1', data: { name: '100m', status: 'scheduled', dayId: 'new' } },
+    { kind: 'participants', id: 'new_p1', data: { name: 'Ann', personId: 'p1', dayId: 'new' } },
+    { kind: 'participants', id: 'new_p2', data: { name: 'Ben', personId: 'p0', dayId: 'new' } },
+  ]);
+  // Copying again after a failure writes the same documents rather than duplicates
+  expect(planDayCopy({ events: [{ id: 'e1', name: '100m', dayId: 'old' }] }, 'new').map(item => item.id)).toEqual(['new_e1']);
+});
+
+test('renaming a house moves its participants and teams before the house itself', () => {
+  const docs = {
+    participants: [{ id: 'a', house: 'Red' }, { id: 'b', house: ' red' }, { id: 'c', house: 'Blue' }, { id: 'd', house: 'Scarlet' }],
+    teams: [{ id: 't1', house: 'red' }, { id: 't2', house: 'Blue' }],
+  };
+  expect(planHouseMove(docs, ['Red'], 'Scarlet', { id: 'h1', changes: { name: 'Scarlet' } })).toEqual([
+    { kind: 'participants', id: 'a', changes: { house: 'Scarlet' } },
+    { kind: 'participants', id: 'b', changes: { house: 'Scarlet' } },
+    { kind: 'teams', id: 't1', changes: { house: 'Scarlet' } },
+    { kind: 'houses', id: 'h1', changes: { name: 'Scarlet' } },
+  ]);
+  // Only a colour change: nobody moves
+  expect(planHouseMove(docs, [], 'Red', { id: 'h1', changes: { colour: '#000' } })).toEqual([{ kind: 'houses', id: 'h1', changes: { colour: '#000' } }]);
+});
+
+test('merging a house can be retried after it stops partway', () => {
+  const before = { participants: [{ id: 'a', house: 'Green' }, { id: 'b', house: 'Green' }], teams: [] };
+  const plan = planHouseMove(before, ['Green'], 'Blue', { id: 'green' });
+  expect(plan[plan.length - 1]).toEqual({ kind: 'houses', id: 'green' });
+
+  // Only the first participant was moved before the connection dropped
+  const partway = { participants: [{ id: 'a', house: 'Blue' }, { id: 'b', house: 'Green' }], teams: [] };
+  expect(planHouseMove(partway, ['Green'], 'Blue', { id: 'green' })).toEqual([
+    { kind: 'participants', id: 'b', changes: { house: 'Blue' } },
+    { kind: 'houses', id: 'green' },
+  ]);
+  // A free-text house has no doc to delete
+  expect(planHouseMove(partway, ['Green'], 'Blue', null)).toEqual([{ kind: 'participants', id: 'b', changes: { house: 'Blue' } }]);
+});
+
+test('a race stops once every occupied lane has finished', () => {
+  const lanes = [{ entrantId: 'a', finishTime: null }, { entrantId: '', finishTime: null }, { entrantId: 'b', finishTime: null }];
+  const first = finishLaneAt(lanes, 2, 14210);
+  expect(first.map(lane => lane.finishTime)).toEqual([null, null, 14210]);
+  expect(lanes[2].finishTime).toBeNull();
+  expect(allLanesFinished(first)).toBe(false);
+
+  // The empty lane doesn't hold the race up
+  expect(allLanesFinished(finishLaneAt(first, 0, 15020))).toBe(true);
+  // A race with nobody in it has nothing to finish
+  expect(allLanesFinished([{ entrantId: '', finishTime: null }])).toBe(false);
+});
+
+test('a lane time is measured from the start, however long the watch takes to redraw', () => {
+  jest.useFakeTimers();
+  const repository = createMemoryRepository({
+    events: [{ id: 'sprint', name: '100m', dayId: 'day', resultKind: 'time', direction: 'lower' }],
+    participants: [{ id: 'a', name: 'Ann', house: 'Red', dayId: 'day' }],
+  });
+  // Every redraw takes 3ms, as it would on a slow phone
+  const slowRedraw = () => jest.setSystemTime(Date.now() + 3);
+  render(
+    <RepositoryProvider value={repository}>
+      <AppContext.Provider value={{ db: null, isAuthReady: false, role: { role: 'admin' }, dayId: 'day', currentDay: { id: 'day' } }}>
+        <Profiler id="stopwatch" onRender={slowRedraw}>
+          <Stopwatch onBack={() => {}} />
+        </Profiler>
+      </AppContext.Provider>
+    </RepositoryProvider>
+  );
+  fireEvent.click(screen.getByText('Race'));
+  fireEvent.change(screen.getByLabelText('Event'), { target: { value: 'sprint' } });
+  fireEvent.change(screen.getByLabelText('Lane 1 participant'), { target: { value: 'a' } });
+
+  const startedAt = Date.now();
+  fireEvent.click(screen.getByText('Start'));
+  for (let tick = 0; tick < 500; tick += 1) {
+    act(() => { jest.advanceTimersByTime(10); });
+  }
+  const finishedAt = Date.now();
+  fireEvent.click(screen.getAllByText('Finish')[0]);
+
+  const laneTime = within(screen.getAllByRole('listitem')[0]).getByText(/^\d\d:\d\d\.\d\d$/).textContent;
+  const [minutes, seconds] = laneTime.split(':').map(Number);
+  expect(Math.abs((minutes * 60 + seconds) * 1000 - (finishedAt - startedAt))).toBeLessThan(10);
+  jest.useRealTimers();
 });
@@ -0,0 +1,154 @@
+/**
+ * @jest-environment ./jest-emulator-environment.js
+ */
+// The app's main flows against the local emulator, starting from the seeded demo sports day
+// (scripts/seed.js): managing events, entering scores and the standings they produce. Reads and
+// writes go through the same repository and helpers as the components, under the real rules.
+// Skipped unless the emulator is running (`npm run test:emulator`).
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { assertFails, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { awardDivisionPoints, buildEntrantsMap, calculateHouseStandings, calculateStandings, copyDaySetup, moveToTrash, recordDocId, setRecord, writeScore } from './App';
+import { createFirestoreRepository } from './repository';
+import { buildDemoDay, seedDemoDay } from '../scripts/seed';
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+const data = 'artifacts/test-app/public/data';
+const demoDay = buildDemoDay({ date: '2025-07-04' });
+const dayId = demoDay.days[0].id;
+const pointsTable = demoDay.days[0].pointsTable;
+
+describeWithEmulator('demo sports day', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-sportsday',
+      firestore: { rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') },
+    });
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(context => seedDemoDay(context.firestore(), data, demoDay));
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  const staff = (email) => testEnv.authenticatedContext(email.split('@')[0], { email, email_verified: true }).firestore();
+  const admin = () => staff('admin@sportsday.test');
+  const judge = () => staff('judge@sportsday.test');
+  const spectator = () => testEnv.authenticatedContext('visitor').firestore();
+  const editor = (email) => ({ userId: email.split('@')[0], email });
+
+  const byId = (docs) => Object.fromEntries(docs.map(item => [item.id, item]));
+  const loadDay = async (repository) => {
+    const [events, participants, scores] = await Promise.all(['events', 'participants', 'scores'].map(kind => repository.list(kind, { dayId })));
+    return { eventsMap: byId(events), participantsMap: byId(participants), scores };
+  };
+
+  test('the demo day has its houses, participants, events, entries and results', async () => {
+    const repository = createFirestoreRepository(spectator(), data);
+    const { eventsMap, participantsMap, scores } = await loadDay(repository);
+
+    expect(await repository.list('houses')).toHaveLength(4);
+    expect(Object.keys(participantsMap)).toHaveLength(200);
+    expect(Object.keys(eventsMap)).toHaveLength(20);
+    expect(await repository.list('entries', { dayId })).toHaveLength(demoDay.entries.length);
+    expect(scores).toHaveLength(demoDay.scores.length);
+    expect(scores.every(score => eventsMap[score.eventId].status === 'completed')).toBe(true);
+  });
+
+  test('admins add, edit and delete events; spectators cannot', async () => {
+    const repository = createFirestoreRepository(admin(), data);
+    const id = await repository.add('events', { name: 'Staff Relay', type: 'Track', resultKind: 'time', direction: 'lower', dayId, status: 'scheduled' });
+    await repository.update('events', id, { startTime: '15:00', venue: 'Track' });
+    expect(await repository.get('events', id)).toMatchObject({ name: 'Staff Relay', startTime: '15:00', venue: 'Track' });
+
+    await moveToTrash(admin(), data, 'event', await repository.get('events', id), editor('admin@sportsday.test'));
+    expect(await repository.get('events', id)).toBeNull();
+    expect(await repository.list('events', { dayId })).toHaveLength(20);
+
+    await assertFails(createFirestoreRepository(spectator(), data).add('events', { name: 'Pie Eating', dayId }));
+  });
+
+  test('judges enter scores for the events they judge and no others', async () => {
+    const { eventIds } = demoDay.roles.find(role => role.id === 'judge@sportsday.test');
+    const entry = demoDay.entries.find(item => item.eventId === eventIds[0]);
+    const scoreData = { eventId: entry.eventId, participantId: entry.participantId, dayId, score: 10.42, timestamp: new Date() };
+
+    await writeScore(judge(), data, null, scoreData, editor('judge@sportsday.test'));
+    const repository = createFirestoreRepository(spectator(), data);
+    expect(await repository.list('scores', { eventId: entry.eventId })).toEqual([expect.objectContaining({ participantId: entry.participantId, score: 10.42, version: 1 })]);
+
+    const finished = demoDay.scores[0];
+    const existing = await repository.get('scores', finished.id);
+    await assertFails(writeScore(judge(), data, existing, { ...scoreData, eventId: finished.eventId, participantId: finished.participantId }, editor('judge@sportsday.test')));
+  });
+
+  test('standings follow the results, and a corrected result moves them', async () => {
+    const repository = createFirestoreRepository(spectator(), data);
+    const before = await loadDay(repository);
+    const houseStandings = calculateHouseStandings(before.scores, before.eventsMap, before.participantsMap, pointsTable, '');
+    const standings = calculateStandings(before.scores, before.eventsMap, before.participantsMap, pointsTable, '');
+    expect(houseStandings.map(standing => standing.house).sort()).toEqual(['Falcon', 'Kestrel', 'Merlin', 'Osprey']);
+    expect(houseStandings.reduce((sum, standing) => sum + standing.totalPoints, 0))
+      .toBe(standings.reduce((sum, standing) => sum + standing.totalPoints, 0));
+
+    // The slowest sprinter's time is corrected to the fastest of the day
+    const sprint = before.eventsMap[demoDay.events[0].id];
+    const entrantsMap = buildEntrantsMap(before.participantsMap);
+    const results = awardDivisionPoints(sprint, before.scores.filter(score => score.eventId === sprint.id), entrantsMap, pointsTable, '');
+    const slowest = results[results.length - 1];
+    const totalOf = (list, participantId) => list.find(standing => standing.participantId === participantId)?.totalPoints || 0;
+    await writeScore(admin(), data, slowest, { eventId: sprint.id, participantId: slowest.participantId, dayId, score: 7.5, timestamp: new Date() }, editor('admin@sportsday.test'));
+
+    const after = await loadDay(repository);
+    const corrected = awardDivisionPoints(sprint, after.scores.filter(score => score.eventId === sprint.id), entrantsMap, pointsTable, '');
+    expect(corrected.find(result => result.participantId === slowest.participantId)).toMatchObject({ place: 1, points: pointsTable[0] });
+    const standingsAfter = calculateStandings(after.scores, after.eventsMap, after.participantsMap, pointsTable, '');
+    expect(totalOf(standingsAfter, slowest.participantId)).toBe(totalOf(standings, slowest.participantId) - slowest.points + pointsTable[0]);
+  });
+
+  test('a record is only replaced by a result that beats it as saved', async () => {
+    const repository = createFirestoreRepository(admin(), data);
+    const event = { name: '100m', resultKind: 'time', direction: 'lower' };
+    const record = (holder, value) => ({ eventName: '100m', division: 'Year 5 Girls', resultKind: 'time', holder, value, year: 2025 });
+    const saved = () => repository.get('records', recordDocId('100m', 'year 5 girls'));
+
+    await setRecord(admin(), data, record('Ann', 14.2), null, editor('admin@sportsday.test'));
+    const first = await saved();
+    // Another admin confirms a faster time first
+    await setRecord(admin(), data, record('Bea', 13.8), first, editor('admin@sportsday.test'), event);
+    await expect(setRecord(admin(), data, record('Cy', 14.0), first, editor('admin@sportsday.test'), event)).rejects.toThrow('changed');
+    const latest = await saved();
+    await expect(setRecord(admin(), data, record('Cy', 14.0), latest, editor('admin@sportsday.test'), event)).rejects.toThrow('already the record');
+    expect(latest).toMatchObject({ holder: 'Bea', value: 13.8, history: [{ holder: 'Ann', house: '', value: 14.2, year: 2025 }] });
+  });
+
+  test('a new day copies the set-up, and copying again after a failure adds no duplicates', async () => {
+    const repository = createFirestoreRepository(admin(), data);
+    const copy = { fromDayId: dayId, kinds: ['events', 'participants'] };
+    await repository.set('days', 'next-year', { name: 'Next Year', date: '2026-07-03', locked: false, copyingFrom: copy });
+    await copyDaySetup(admin(), data, 'next-year', copy);
+    await copyDaySetup(admin(), data, 'next-year', copy);
+
+    const events = await repository.list('events', { dayId: 'next-year' });
+    expect(events).toHaveLength(20);
+    expect(events.every(event => event.status === 'scheduled')).toBe(true);
+    expect(await repository.list('participants', { dayId: 'next-year' })).toHaveLength(200);
+    expect(await repository.list('scores', { dayId: 'next-year' })).toHaveLength(0);
+    expect(await repository.get('days', 'next-year')).toMatchObject({ copyingFrom: null });
+  });
+
+  test('seeding again puts the demo day back as it was', async () => {
+    const repository = createFirestoreRepository(admin(), data);
+    const eventId = await repository.add('events', { name: 'Teachers\' Race', dayId, status: 'scheduled' });
+    const [participant] = demoDay.participants;
+    await writeScore(admin(), data, null, { eventId, participantId: participant.id, dayId, score: 20.1, timestamp: new Date() }, editor('admin@sportsday.test'));
+    await testEnv.withSecurityRulesDisabled(context => seedDemoDay(context.firestore(), data, demoDay));
+
+    const { eventsMap, scores } = await loadDay(repository);
+    expect(Object.keys(eventsMap)).toHaveLength(20);
+    expect(scores).toHaveLength(demoDay.scores.length);
+    expect(await repository.list('audit', { eventId })).toHaveLength(0);
+    expect(await repository.list('entries', { dayId })).toHaveLength(demoDay.entries.length);
+  });
+});
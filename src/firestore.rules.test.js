@@ -0,0 +1,196 @@
+/**
+ * @jest-environment ./jest-emulator-environment.js
+ */
+// Exercises firestore.rules against the local emulator. Skipped unless the emulator is
+// running, so `npm test` works without it; run `npm run test:emulator` to start one.
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { deleteDoc, doc, getDoc, increment, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+const data = 'artifacts/test-app/public/data';
+
+describeWithEmulator('firestore.rules', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-sportsday',
+      firestore: { rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') },
+    });
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, `${data}/sportsday_roles/admin@school.org`), { role: 'admin', eventIds: [] });
+      await setDoc(doc(db, `${data}/sportsday_roles/judge@school.org`), { role: 'judge', eventIds: ['sprint'] });
+      await setDoc(doc(db, `${data}/sportsday_events/sprint`), { name: '100m' });
+      await setDoc(doc(db, `${data}/sportsday_events/jump`), { name: 'Long Jump' });
+      await setDoc(doc(db, `${data}/sportsday_scores/sprint-a`), { eventId: 'sprint', participantId: 'a', score: 12.3 });
+      await setDoc(doc(db, `${data}/sportsday_scores/jump-a`), { eventId: 'jump', participantId: 'a', score: 3.9 });
+      await setDoc(doc(db, `${data}/sportsday_trash/binned`), { kind: 'participant', docId: 'b', name: 'Bea', data: { name: 'Bea' }, scores: [] });
+      await setDoc(doc(db, `${data}/sportsday_audit/entry`), { action: 'create', scoreId: 'sprint-a', eventId: 'sprint', userId: 'judge' });
+    });
+  });
+
+  const admin = () => testEnv.authenticatedContext('admin', { email: 'admin@school.org', email_verified: true }).firestore();
+  const judge = () => testEnv.authenticatedContext('judge', { email: 'Judge@School.org', email_verified: true }).firestore();
+  const spectator = () => testEnv.authenticatedContext('anon', { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+
+  test('anyone signed in can read, nobody signed out can', async () => {
+    await assertSucceeds(getDoc(doc(spectator(), `${data}/sportsday_scores/sprint-a`)));
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), `${data}/sportsday_scores/sprint-a`)));
+  });
+
+  test('spectators cannot change anything', async () => {
+    await assertFails(deleteDoc(doc(spectator(), `${data}/sportsday_events/sprint`)));
+    await assertFails(setDoc(doc(spectator(), `${data}/sportsday_scores/new`), { eventId: 'sprint', participantId: 'b', score: 11 }));
+    await assertFails(setDoc(doc(spectator(), `${data}/sportsday_roles/anon@school.org`), { role: 'admin', eventIds: [] }));
+  });
+
+  test('judges can only score the events they judge', async () => {
+    await assertSucceeds(setDoc(doc(judge(), `${data}/sportsday_scores/new`), { eventId: 'sprint', participantId: 'b', score: 11 }));
+    await assertSucceeds(updateDoc(doc(judge(), `${data}/sportsday_scores/sprint-a`), { score: 12.1 }));
+    await assertFails(updateDoc(doc(judge(), `${data}/sportsday_scores/jump-a`), { score: 4.2 }));
+    await assertFails(updateDoc(doc(judge(), `${data}/sportsday_scores/sprint-a`), { eventId: 'jump' }));
+    await assertFails(deleteDoc(doc(judge(), `${data}/sportsday_events/sprint`)));
+    await assertFails(setDoc(doc(judge(), `${data}/sportsday_roles/judge@school.org`), { role: 'admin', eventIds: [] }));
+  });
+
+  test('judges can set the status of their own events and nothing else about them', async () => {
+    await assertSucceeds(updateDoc(doc(judge(), `${data}/sportsday_events/sprint`), { status: 'in-progress' }));
+    await assertFails(updateDoc(doc(judge(), `${data}/sportsday_events/sprint`), { name: '200m' }));
+    await assertFails(updateDoc(doc(judge(), `${data}/sportsday_events/sprint`), { status: 'abandoned' }));
+    await assertFails(updateDoc(doc(judge(), `${data}/sportsday_events/jump`), { status: 'in-progress' }));
+    await assertFails(updateDoc(doc(spectator(), `${data}/sportsday_events/sprint`), { status: 'completed' }));
+  });
+
+  test('judges can only manage teams and entries for the events they judge', async () => {
+    await assertSucceeds(setDoc(doc(judge(), `${data}/sportsday_entries/sprint_b`), { eventId: 'sprint', participantId: 'b' }));
+    await assertSucceeds(deleteDoc(doc(judge(), `${data}/sportsday_entries/sprint_b`)));
+    await assertFails(setDoc(doc(judge(), `${data}/sportsday_entries/jump_b`), { eventId: 'jump', participantId: 'b' }));
+    await assertSucceeds(setDoc(doc(judge(), `${data}/sportsday_teams/red`), { eventId: 'sprint', name: 'Red A', house: 'Red', memberIds: ['a'] }));
+    await assertSucceeds(deleteDoc(doc(judge(), `${data}/sportsday_teams/red`)));
+    await assertFails(setDoc(doc(judge(), `${data}/sportsday_teams/blue`), { eventId: 'jump', name: 'Blue A', house: 'Blue', memberIds: ['b'] }));
+    await assertFails(setDoc(doc(spectator(), `${data}/sportsday_teams/green`), { eventId: 'sprint', name: 'Green A', house: 'Green', memberIds: [] }));
+  });
+
+  test('only admins can set records', async () => {
+    const record = { eventName: '100m', division: '', holder: 'Ada', value: 12.1, year: 2024, history: [] };
+    await assertFails(setDoc(doc(judge(), `${data}/sportsday_records/100m%7C`), record));
+    await assertFails(setDoc(doc(spectator(), `${data}/sportsday_records/100m%7C`), record));
+    await assertSucceeds(setDoc(doc(admin(), `${data}/sportsday_records/100m%7C`), record));
+  });
+
+  test('a role only counts once its email address is verified', async () => {
+    const unverified = testEnv.authenticatedContext('admin', { email: 'admin@school.org', email_verified: false }).firestore();
+    await assertFails(deleteDoc(doc(unverified, `${data}/sportsday_events/jump`)));
+    await assertFails(setDoc(doc(unverified, `${data}/sportsday_roles/new@school.org`), { role: 'admin', eventIds: [] }));
+    const unconfirmed = testEnv.authenticatedContext('judge', { email: 'judge@school.org' }).firestore();
+    await assertFails(setDoc(doc(unconfirmed, `${data}/sportsday_scores/new`), { eventId: 'sprint', participantId: 'b', score: 11 }));
+  });
+
+  test('staff can read their own role, only admins can read everyone\'s', async () => {
+    await assertSucceeds(getDoc(doc(judge(), `${data}/sportsday_roles/judge@school.org`)));
+    await assertFails(getDoc(doc(judge(), `${data}/sportsday_roles/admin@school.org`)));
+    await assertFails(getDoc(doc(spectator(), `${data}/sportsday_roles/admin@school.org`)));
+    await assertSucceeds(getDoc(doc(admin(), `${data}/sportsday_roles/judge@school.org`)));
+  });
+
+  test('nothing belonging to a locked day can be written, even by admins', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, `${data}/sportsday_days/last-year`), { name: 'Last Year', date: '2024-07-05', locked: true });
+      await setDoc(doc(db, `${data}/sportsday_days/this-year`), { name: 'This Year', date: '2025-07-04', locked: false });
+      await setDoc(doc(db, `${data}/sportsday_scores/old`), { eventId: 'sprint', participantId: 'a', dayId: 'last-year', score: 13 });
+    });
+    await assertFails(updateDoc(doc(judge(), `${data}/sportsday_scores/old`), { score: 12 }));
+    await assertFails(deleteDoc(doc(admin(), `${data}/sportsday_scores/old`)));
+    await assertFails(updateDoc(doc(admin(), `${data}/sportsday_scores/old`), { dayId: 'this-year' }));
+    await assertFails(setDoc(doc(admin(), `${data}/sportsday_participants/late`), { name: 'Late', dayId: 'last-year' }));
+    await assertSucceeds(setDoc(doc(judge(), `${data}/sportsday_scores/new`), { eventId: 'sprint', participantId: 'b', dayId: 'this-year', score: 11 }));
+    await assertSucceeds(setDoc(doc(admin(), `${data}/sportsday_participants/new`), { name: 'New', dayId: 'this-year' }));
+  });
+
+  test('a locked day\'s events take no new scores, entries, heats or teams, whatever day they name', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, `${data}/sportsday_days/last-year`), { name: 'Last Year', date: '2024-07-05', locked: true });
+      await setDoc(doc(db, `${data}/sportsday_days/this-year`), { name: 'This Year', date: '2025-07-04', locked: false });
+      await setDoc(doc(db, `${data}/sportsday_events/sprint`), { name: '100m', dayId: 'last-year' });
+    });
+    await assertFails(setDoc(doc(judge(), `${data}/sportsday_scores/late`), { eventId: 'sprint', participantId: 'b', score: 11 }));
+    await assertFails(setDoc(doc(judge(), `${data}/sportsday_scores/late`), { eventId: 'sprint', participantId: 'b', dayId: 'this-year', score: 11 }));
+    await assertFails(setDoc(doc(admin(), `${data}/sportsday_scores/late`), { eventId: 'sprint', participantId: 'b', score: 11 }));
+    await assertFails(setDoc(doc(judge(), `${data}/sportsday_entries/sprint_b`), { eventId: 'sprint', participantId: 'b' }));
+    await assertFails(setDoc(doc(judge(), `${data}/sportsday_heats/sprint-0-1`), { eventId: 'sprint', round: 0, heat: 1, lanes: ['b'] }));
+    await assertFails(setDoc(doc(judge(), `${data}/sportsday_teams/red`), { eventId: 'sprint', name: 'Red A', house: 'Red', memberIds: ['a'] }));
+    await assertFails(updateDoc(doc(judge(), `${data}/sportsday_scores/sprint-a`), { score: 12.1 }));
+  });
+
+  test('admins can change anything, including roles', async () => {
+    await assertSucceeds(deleteDoc(doc(admin(), `${data}/sportsday_events/jump`)));
+    await assertFails(updateDoc(doc(admin(), `${data}/sportsday_events/sprint`), { status: 'postponed' }));
+    await assertSucceeds(setDoc(doc(admin(), `${data}/sportsday_heats/sprint-0-1`), { eventId: 'sprint', round: 0, heat: 1, lanes: ['a'] }));
+    await assertSucceeds(setDoc(doc(admin(), `${data}/sportsday_roles/new@school.org`), { role: 'judge', eventIds: ['jump'] }));
+  });
+
+  test('only staff read the audit log, and judges log changes to their own events as themselves', async () => {
+    await assertSucceeds(getDoc(doc(judge(), `${data}/sportsday_audit/entry`)));
+    await assertFails(getDoc(doc(spectator(), `${data}/sportsday_audit/entry`)));
+    const update = (db, scoreId, eventId, written, logged, userId = 'judge') => {
+      const batch = writeBatch(db);
+      batch.set(doc(db, `${data}/sportsday_scores/${scoreId}`), { score: written, version: increment(1) }, { merge: true });
+      batch.set(doc(db, `${data}/sportsday_audit/${scoreId}-change`), {
+        action: 'update', scoreId, eventId, participantId: 'a', teamId: null,
+        after: { eventId, participantId: 'a', teamId: null, score: logged }, userId,
+      });
+      return batch.commit();
+    };
+    await assertSucceeds(update(judge(), 'sprint-a', 'sprint', 12.1, 12.1));
+    await assertFails(update(judge(), 'jump-a', 'jump', 4.2, 4.2));
+    await assertFails(update(judge(), 'sprint-a', 'sprint', 12.0, 12.0, 'admin'));
+  });
+
+  test('audit entries must match a score change in the same batch', async () => {
+    const batch = writeBatch(judge());
+    batch.set(doc(judge(), `${data}/sportsday_scores/sprint-a`), { score: 12.1, version: increment(1) }, { merge: true });
+    batch.set(doc(judge(), `${data}/sportsday_audit/misreported`), {
+      action: 'update', scoreId: 'sprint-a', eventId: 'sprint', participantId: 'a', teamId: null,
+      after: { eventId: 'sprint', participantId: 'a', teamId: null, score: 9.9 }, userId: 'judge',
+    });
+    await assertFails(batch.commit());
+    await assertFails(setDoc(doc(judge(), `${data}/sportsday_audit/invented`), {
+      action: 'update', scoreId: 'sprint-a', eventId: 'sprint', participantId: 'a', teamId: null,
+      after: { eventId: 'sprint', participantId: 'a', teamId: null, score: 12.3 }, userId: 'judge',
+    }));
+    await assertFails(setDoc(doc(judge(), `${data}/sportsday_audit/undeleted`), {
+      action: 'delete', scoreId: 'sprint-a', eventId: 'sprint', participantId: 'a', teamId: null, after: null, userId: 'judge',
+    }));
+
+    const deletion = writeBatch(judge());
+    deletion.delete(doc(judge(), `${data}/sportsday_scores/sprint-a`));
+    deletion.set(doc(judge(), `${data}/sportsday_audit/deleted`), {
+      action: 'delete', scoreId: 'sprint-a', eventId: 'sprint', participantId: 'a', teamId: null, after: null, userId: 'judge',
+    });
+    await assertSucceeds(deletion.commit());
+  });
+
+  test('nobody can change or remove audit entries', async () => {
+    await assertFails(updateDoc(doc(admin(), `${data}/sportsday_audit/entry`), { action: 'delete' }));
+    await assertFails(deleteDoc(doc(admin(), `${data}/sportsday_audit/entry`)));
+  });
+
+  test('only admins can see or empty the recycle bin', async () => {
+    await assertSucceeds(getDoc(doc(admin(), `${data}/sportsday_trash/binned`)));
+    await assertFails(getDoc(doc(judge(), `${data}/sportsday_trash/binned`)));
+    await assertFails(getDoc(doc(spectator(), `${data}/sportsday_trash/binned`)));
+    await assertFails(deleteDoc(doc(judge(), `${data}/sportsday_trash/binned`)));
+    await assertSucceeds(deleteDoc(doc(admin(), `${data}/sportsday_trash/binned`)));
+  });
+});
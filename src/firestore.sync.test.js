@@ -0,0 +1,92 @@
+/**
+ * @jest-environment ./jest-emulator-environment.js
+ */
+// Offline score entry against the local emulator: two judges edit the same score with their
+// network disabled, then reconnect. Skipped unless the emulator is running (`npm run test:emulator`).
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { disableNetwork, doc, enableNetwork, getDoc, setDoc, waitForPendingWrites } from 'firebase/firestore';
+import { findScoreConflict, writeScore } from './App';
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+const data = 'artifacts/test-app/public/data';
+const scoresPath = `${data}/sportsday_scores`;
+
+describeWithEmulator('offline score sync', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-sportsday',
+      firestore: { rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') },
+    });
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, `${data}/sportsday_roles/ann@school.org`), { role: 'judge', eventIds: ['sprint'] });
+      await setDoc(doc(db, `${data}/sportsday_roles/bob@school.org`), { role: 'judge', eventIds: ['sprint'] });
+      await setDoc(doc(db, `${scoresPath}/sprint_final_a`), { eventId: 'sprint', participantId: 'a', dayId: 'day', score: 12.3, version: 1, edits: [] });
+    });
+  });
+
+  const judge = (email) => testEnv.authenticatedContext(email.split('@')[0], { email, email_verified: true }).firestore();
+  const scoreData = (score) => ({ eventId: 'sprint', participantId: 'a', dayId: 'day', score, timestamp: new Date() });
+
+  test('writes made offline are kept and sync once the network is back', async () => {
+    const ann = judge('ann@school.org');
+    const existing = { id: 'sprint_final_a', ...(await getDoc(doc(ann, `${scoresPath}/sprint_final_a`))).data() };
+
+    await disableNetwork(ann);
+    const write = writeScore(ann, data, existing, scoreData(12.1), { userId: 'ann', email: 'ann@school.org' });
+    expect((await getDoc(doc(ann, `${scoresPath}/sprint_final_a`))).data().score).toBe(12.1); // From the local cache
+
+    await enableNetwork(ann);
+    await write;
+    const synced = (await getDoc(doc(judge('bob@school.org'), `${scoresPath}/sprint_final_a`))).data();
+    expect(synced.score).toBe(12.1);
+    expect(findScoreConflict(synced)).toBeNull();
+  });
+
+  test('two judges editing the same score offline leave a conflict to resolve', async () => {
+    const ann = judge('ann@school.org');
+    const bob = judge('bob@school.org');
+    const existing = { id: 'sprint_final_a', ...(await getDoc(doc(ann, `${scoresPath}/sprint_final_a`))).data() };
+    await getDoc(doc(bob, `${scoresPath}/sprint_final_a`));
+
+    await disableNetwork(ann);
+    await disableNetwork(bob);
+    writeScore(ann, data, existing, scoreData(12.1), { userId: 'ann', email: 'ann@school.org' });
+    writeScore(bob, data, existing, scoreData(12.4), { userId: 'bob', email: 'bob@school.org' });
+    await enableNetwork(ann);
+    await waitForPendingWrites(ann);
+    await enableNetwork(bob);
+    await waitForPendingWrites(bob);
+
+    const merged = { id: 'sprint_final_a', ...(await getDoc(doc(ann, `${scoresPath}/sprint_final_a`))).data() };
+    expect(merged.version).toBe(3);
+    expect(findScoreConflict(merged).map(edit => [edit.by, edit.score])).toEqual([['ann@school.org', 12.1], ['bob@school.org', 12.4]]);
+
+    // Saving over the conflict from the merged version resolves it, and only its own edit is kept
+    await writeScore(ann, data, merged, scoreData(12.4), { userId: 'ann', email: 'ann@school.org' });
+    const resolved = (await getDoc(doc(ann, `${scoresPath}/sprint_final_a`))).data();
+    expect(findScoreConflict(resolved)).toBeNull();
+    expect(Object.keys(resolved.editsByVersion)).toEqual(['3']);
+  });
+
+  test('a score keeps only its latest version\'s edits, and drops the older edits array', async () => {
+    const ann = judge('ann@school.org');
+    const read = async () => ({ id: 'sprint_final_a', ...(await getDoc(doc(ann, `${scoresPath}/sprint_final_a`))).data() });
+    for (const score of [12.2, 12.1, 12.0]) {
+      await writeScore(ann, data, await read(), scoreData(score), { userId: 'ann', email: 'ann@school.org' });
+    }
+    const saved = await read();
+    expect(saved.edits).toBeUndefined();
+    expect(saved.editsByVersion).toEqual({ 3: [expect.objectContaining({ baseVersion: 3, score: 12.0 })] });
+  });
+});
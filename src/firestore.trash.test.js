@@ -0,0 +1,108 @@
+/**
+ * @jest-environment ./jest-emulator-environment.js
+ */
+// Moving events and participants to the recycle bin and back against the local emulator.
+// Skipped unless the emulator is running (`npm run test:emulator`).
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { collection, doc, getDoc, getDocs, setDoc } from 'firebase/firestore';
+import { moveToTrash, purgeFromTrash, restoreFromTrash } from './App';
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+const data = 'artifacts/test-app/public/data';
+const editor = { userId: 'admin', email: 'admin@school.org' };
+
+describeWithEmulator('recycle bin', () => {
+  let testEnv;
+  let db;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-sportsday',
+      firestore: { rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') },
+    });
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const setup = context.firestore();
+      await setDoc(doc(setup, `${data}/sportsday_roles/admin@school.org`), { role: 'admin', eventIds: [] });
+      await setDoc(doc(setup, `${data}/sportsday_events/sprint`), { name: '100m', dayId: 'day' });
+      await setDoc(doc(setup, `${data}/sportsday_participants/a`), { name: 'Ann', dayId: 'day' });
+      await setDoc(doc(setup, `${data}/sportsday_scores/sprint_final_a`), { eventId: 'sprint', participantId: 'a', dayId: 'day', score: 12.3 });
+      await setDoc(doc(setup, `${data}/sportsday_heats/sprint_0_1`), { eventId: 'sprint', round: 0, heat: 1, lanes: ['a'] });
+      await setDoc(doc(setup, `${data}/sportsday_teams/red`), { eventId: 'relay', name: 'Red A', memberIds: ['a', 'b'], dayId: 'day' });
+    });
+    db = testEnv.authenticatedContext('admin', { email: 'admin@school.org', email_verified: true }).firestore();
+  });
+
+  const ids = async (name) => (await getDocs(collection(db, `${data}/${name}`))).docs.map(d => d.id);
+  const trashEntry = async () => {
+    const snapshot = await getDocs(collection(db, `${data}/sportsday_trash`));
+    return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+  };
+
+  test('deleting an event bins it with its scores, and restoring puts both back', async () => {
+    await moveToTrash(db, data, 'event', { id: 'sprint', name: '100m', dayId: 'day' }, editor);
+    expect(await ids('sportsday_events')).toEqual([]);
+    expect(await ids('sportsday_scores')).toEqual([]);
+    const entry = await trashEntry();
+    expect(entry).toMatchObject({ kind: 'event', docId: 'sprint', dayId: 'day', deletedBy: 'admin@school.org' });
+    expect(entry.scores.map(score => score.id)).toEqual(['sprint_final_a']);
+
+    await restoreFromTrash(db, data, entry, editor);
+    expect((await getDoc(doc(db, `${data}/sportsday_events/sprint`))).data()).toEqual({ name: '100m', dayId: 'day' });
+    expect((await getDoc(doc(db, `${data}/sportsday_scores/sprint_final_a`))).data().score).toBe(12.3);
+    expect(await ids('sportsday_trash')).toEqual([]);
+  });
+
+  test('purging an event also removes its heats and scores restored in the meantime', async () => {
+    await moveToTrash(db, data, 'participant', { id: 'a', name: 'Ann', dayId: 'day' }, editor);
+    const participantEntry = await trashEntry();
+    await moveToTrash(db, data, 'event', { id: 'sprint', name: '100m', dayId: 'day' }, editor);
+    await restoreFromTrash(db, data, participantEntry, editor);
+    expect(await ids('sportsday_scores')).toEqual(['sprint_final_a']);
+
+    await purgeFromTrash(db, data, await trashEntry(), editor);
+    expect(await ids('sportsday_trash')).toEqual([]);
+    expect(await ids('sportsday_scores')).toEqual([]);
+    expect(await ids('sportsday_heats')).toEqual([]);
+    expect(await ids('sportsday_participants')).toEqual(['a']);
+  });
+
+  test('a binned participant leaves their teams, and rejoins them when restored', async () => {
+    const members = async () => (await getDoc(doc(db, `${data}/sportsday_teams/red`))).data().memberIds;
+    await moveToTrash(db, data, 'participant', { id: 'a', name: 'Ann', dayId: 'day' }, editor);
+    expect(await members()).toEqual(['b']);
+    const entry = await trashEntry();
+    expect(entry.teamIds).toEqual(['red']);
+
+    await restoreFromTrash(db, data, entry, editor);
+    expect(await members()).toEqual(['b', 'a']);
+  });
+
+  test('every binned, restored and purged score is in the audit log', async () => {
+    await moveToTrash(db, data, 'event', { id: 'sprint', name: '100m', dayId: 'day' }, editor);
+    const entry = await trashEntry();
+    await restoreFromTrash(db, data, entry, editor);
+    await moveToTrash(db, data, 'event', { id: 'sprint', name: '100m', dayId: 'day' }, editor);
+    const second = await trashEntry();
+    await purgeFromTrash(db, data, second, editor);
+
+    const audit = (await getDocs(collection(db, `${data}/sportsday_audit`))).docs.map(d => d.data());
+    expect(audit).toHaveLength(4);
+    expect(audit.map(item => [item.action, item.trashId])).toEqual(expect.arrayContaining([
+      ['trash', entry.id],
+      ['restore', entry.id],
+      ['trash', second.id],
+      ['purge', second.id],
+    ]));
+    expect(audit.every(item => item.scoreId === 'sprint_final_a' && item.eventId === 'sprint' && item.by === 'admin@school.org')).toBe(true);
+    expect(audit.find(item => item.action === 'restore')).toMatchObject({ before: null, after: expect.objectContaining({ score: 12.3 }) });
+    expect(audit.find(item => item.action === 'purge')).toMatchObject({ before: expect.objectContaining({ score: 12.3 }), after: null });
+  });
+});
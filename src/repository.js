@@ -0,0 +1,243 @@
+/* global __app_id */
+// Data access for the sports day collections. Components watching a whole collection, or a day's
+// share of one, read through the hooks at the bottom, and every component watching the same
+// collection with the same filters shares one listener. Single docs, one event's details and
+// writes that have to go in one batch still use Firestore directly. The in-memory repository has
+// the same shape, so components can be rendered in tests without Firebase.
+import { createContext, useContext, useEffect, useState } from 'react';
+import { addDoc, collection, deleteDoc, doc, getDoc, getDocs, onSnapshot, query, setDoc, updateDoc, where } from 'firebase/firestore';
+
+// Canvas provides __app_id; deployed builds use the Firebase app id
+const getAppId = () => (typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_FIREBASE_APP_ID || 'default-app-id');
+
+// Where every sportsday_* collection lives
+const getDataPath = () => `artifacts/${getAppId()}/public/data`;
+
+/**
+ * A document as components see it: its id alongside its fields.
+ * @typedef {{ id: string } & Object<string, *>} Doc
+ */
+
+/**
+ * Equality filters on a collection's fields, e.g. { dayId } or { eventId }.
+ * @typedef {Object<string, *>} Filters
+ */
+
+/**
+ * What changed since the last call, as Firestore's docChanges reports it. A removed doc has the
+ * fields it had before it was removed.
+ * @typedef {{ type: 'added'|'modified'|'removed', doc: Doc }} Change
+ */
+
+/**
+ * Collections are named by kind: 'events' is sportsday_events, and so on.
+ * @typedef {Object} Repository
+ * @property {(kind: string, filters: Filters, onChange: (docs: Doc[], changes: Change[]) => void, onError?: (error: Error) => void) => (() => void)} subscribe
+ *   Calls onChange with the matching docs now and after every change; returns the unsubscribe function.
+ *   The first call lists every doc as added, so changes alone can keep a tally up to date.
+ * @property {() => number} listenerCount How many listeners are open underneath the subscriptions.
+ * @property {(kind: string, id: string) => Promise<Doc|null>} get
+ * @property {(kind: string, filters?: Filters) => Promise<Doc[]>} list
+ * @property {(kind: string, data: Object) => Promise<string>} add Resolves to the new document's id.
+ * @property {(kind: string, id: string, data: Object) => Promise<void>} set
+ * @property {(kind: string, id: string, changes: Object) => Promise<void>} update
+ * @property {(kind: string, id: string) => Promise<void>} remove
+ */
+
+const subscriptionKey = (kind, filters = {}) => JSON.stringify([kind, Object.keys(filters).sort().map(field => [field, filters[field]])]);
+
+// Shares one underlying listener between everyone subscribed to the same kind and filters. Late
+// subscribers get the latest docs straight away, and the listener closes with its last subscriber.
+const shareSubscriptions = (listen) => {
+  const shared = new Map();
+
+  const subscribe = (kind, filters, onChange, onError) => {
+    const key = subscriptionKey(kind, filters);
+    let entry = shared.get(key);
+    if (!entry) {
+      const created = { subscribers: new Set(), docs: null, error: null };
+      shared.set(key, created);
+      created.unsubscribe = listen(kind, filters, (docs, changes) => {
+        created.docs = docs;
+        created.error = null;
+        created.subscribers.forEach(subscriber => subscriber.onChange(docs, changes));
+      }, (error) => {
+        created.error = error;
+        created.subscribers.forEach(subscriber => subscriber.onError?.(error));
+      });
+      entry = created;
+    }
+
+    const subscriber = { onChange, onError };
+    entry.subscribers.add(subscriber);
+    if (entry.docs) {
+      onChange(entry.docs, entry.docs.map(item => ({ type: 'added', doc: item })));
+    } else if (entry.error) {
+      onError?.(entry.error);
+    }
+
+    const subscribed = entry;
+    return () => {
+      subscribed.subscribers.delete(subscriber);
+      if (subscribed.subscribers.size === 0 && shared.get(key) === subscribed) {
+        subscribed.unsubscribe();
+        shared.delete(key);
+      }
+    };
+  };
+
+  return { subscribe, listenerCount: () => shared.size };
+};
+
+/**
+ * The repository the app runs on.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} [dataPath]
+ * @returns {Repository}
+ */
+const createFirestoreRepository = (db, dataPath = getDataPath()) => {
+  const collectionRef = (kind) => collection(db, `${dataPath}/sportsday_${kind}`);
+  const toDoc = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+  const filtered = (kind, filters = {}) => query(collectionRef(kind), ...Object.keys(filters).map(field => where(field, "==", filters[field])));
+
+  const { subscribe, listenerCount } = shareSubscriptions((kind, filters, onChange, onError) =>
+    onSnapshot(filtered(kind, filters), (snapshot) => onChange(
+      snapshot.docs.map(toDoc),
+      snapshot.docChanges().map(change => ({ type: change.type, doc: toDoc(change.doc) })),
+    ), onError));
+
+  return {
+    subscribe,
+    listenerCount,
+    get: async (kind, id) => {
+      const snapshot = await getDoc(doc(collectionRef(kind), id));
+      return snapshot.exists() ? toDoc(snapshot) : null;
+    },
+    list: async (kind, filters) => (await getDocs(filtered(kind, filters))).docs.map(toDoc),
+    add: async (kind, data) => (await addDoc(collectionRef(kind), data)).id,
+    set: (kind, id, data) => setDoc(doc(collectionRef(kind), id), data),
+    update: (kind, id, changes) => updateDoc(doc(collectionRef(kind), id), changes),
+    remove: (kind, id) => deleteDoc(doc(collectionRef(kind), id)),
+  };
+};
+
+/**
+ * A repository held in memory, for tests and for trying components out without Firebase.
+ * @param {Object<string, Doc[]>} [initialData] Docs by kind, e.g. { events: [{ id: 'e1', name: '100m' }] }
+ * @returns {Repository}
+ */
+const createMemoryRepository = (initialData = {}) => {
+  const store = {}; // { kind: Map(id -> fields) }
+  Object.keys(initialData).forEach(kind => {
+    store[kind] = new Map(initialData[kind].map(({ id, ...fields }) => [id, fields]));
+  });
+  const listeners = new Set();
+  let nextId = 1;
+
+  const matches = (item, filters = {}) => Object.keys(filters).every(field => item[field] === filters[field]);
+  const docsOf = (kind, filters) => [...(store[kind] || new Map())]
+    .map(([id, fields]) => ({ id, ...fields }))
+    .filter(item => matches(item, filters));
+  const docOf = (kind, id) => (store[kind]?.has(id) ? { id, ...store[kind].get(id) } : null);
+
+  // Replaces (or with null, deletes) one doc and tells each listener how it changed for them
+  const write = (kind, id, fields) => {
+    const before = docOf(kind, id);
+    store[kind] = store[kind] || new Map();
+    if (fields) {
+      store[kind].set(id, fields);
+    } else {
+      store[kind].delete(id);
+    }
+    const after = docOf(kind, id);
+    listeners.forEach(listener => {
+      if (listener.kind !== kind) return;
+      const was = before && matches(before, listener.filters);
+      const is = after && matches(after, listener.filters);
+      if (!was && !is) return;
+      const change = was && is ? { type: 'modified', doc: after } : is ? { type: 'added', doc: after } : { type: 'removed', doc: before };
+      listener.onChange(docsOf(kind, listener.filters), [change]);
+    });
+  };
+
+  const { subscribe, listenerCount } = shareSubscriptions((kind, filters, onChange) => {
+    const listener = { kind, filters, onChange };
+    listeners.add(listener);
+    const docs = docsOf(kind, filters);
+    onChange(docs, docs.map(item => ({ type: 'added', doc: item })));
+    return () => listeners.delete(listener);
+  });
+
+  return {
+    subscribe,
+    listenerCount,
+    get: async (kind, id) => docOf(kind, id),
+    list: async (kind, filters) => docsOf(kind, filters),
+    add: async (kind, data) => {
+      const id = `memory-${nextId++}`;
+      write(kind, id, { ...data });
+      return id;
+    },
+    set: async (kind, id, data) => write(kind, id, { ...data }),
+    update: async (kind, id, changes) => {
+      if (!store[kind]?.has(id)) throw new Error(`No ${kind} document ${id} to update.`);
+      write(kind, id, { ...store[kind].get(id), ...changes });
+    },
+    remove: async (kind, id) => write(kind, id, null),
+  };
+};
+
+const RepositoryContext = createContext(null);
+const RepositoryProvider = RepositoryContext.Provider;
+const useRepository = () => useContext(RepositoryContext);
+
+/**
+ * Live docs of one collection, shared with every other component watching the same filters.
+ * Pass null for filters to wait, e.g. until there is an event to watch.
+ * @param {string} kind
+ * @param {Filters|null} [filters]
+ * @returns {{ docs: Doc[], loading: boolean, error: Error|null }}
+ */
+const useCollection = (kind, filters = {}) => {
+  const repository = useRepository();
+  const key = filters ? JSON.stringify(filters) : null;
+  const [state, setState] = useState({ docs: [], loading: true, error: null });
+
+  useEffect(() => {
+    if (!repository || key === null) return undefined;
+    setState({ docs: [], loading: true, error: null });
+    return repository.subscribe(kind, JSON.parse(key), (docs) => {
+      setState({ docs, loading: false, error: null });
+    }, (error) => {
+      console.error(`Error fetching ${kind}:`, error);
+      setState({ docs: [], loading: false, error });
+    });
+  }, [repository, kind, key]);
+
+  return state;
+};
+
+/** @param {string|null} dayId Waits while there is no day selected. */
+const useEvents = (dayId) => useCollection('events', dayId ? { dayId } : null);
+
+/** @param {string|null} dayId Waits while there is no day selected. */
+const useParticipants = (dayId) => useCollection('participants', dayId ? { dayId } : null);
+
+/**
+ * A day's scores ({ dayId }) or one event's ({ eventId }).
+ * @param {Filters|null} filters
+ */
+const useScores = (filters) => useCollection('scores', filters);
+
+export {
+  createFirestoreRepository,
+  createMemoryRepository,
+  getAppId,
+  getDataPath,
+  RepositoryProvider,
+  useCollection,
+  useEvents,
+  useParticipants,
+  useRepository,
+  useScores,
+};
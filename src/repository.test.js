@@ -0,0 +1,73 @@
+import { render, screen, act } from '@testing-library/react';
+import { AppContext, EventList } from './App';
+import { createMemoryRepository, RepositoryProvider, useEvents } from './repository';
+
+const noop = () => {};
+
+test('subscribers to the same collection and filters share one listener until the last leaves', () => {
+  const repository = createMemoryRepository({ events: [{ id: 'e1', name: '100m', dayId: 'd1' }] });
+  const first = jest.fn();
+  const second = jest.fn();
+
+  const unsubscribeFirst = repository.subscribe('events', { dayId: 'd1' }, first);
+  const unsubscribeSecond = repository.subscribe('events', { dayId: 'd1' }, second);
+  const unsubscribeOther = repository.subscribe('events', { dayId: 'd2' }, noop);
+  expect(repository.listenerCount()).toBe(2);
+  const sprint = { id: 'e1', name: '100m', dayId: 'd1' };
+  expect(second).toHaveBeenCalledWith([sprint], [{ type: 'added', doc: sprint }]); // Joined late, still gets the docs
+
+  unsubscribeFirst();
+  unsubscribeOther();
+  expect(repository.listenerCount()).toBe(1);
+  unsubscribeSecond();
+  expect(repository.listenerCount()).toBe(0);
+});
+
+test('the memory repository notifies subscribers of writes to matching docs', async () => {
+  const repository = createMemoryRepository();
+  const onChange = jest.fn();
+  repository.subscribe('scores', { eventId: 'e1' }, onChange);
+
+  const id = await repository.add('scores', { eventId: 'e1', participantId: 'p1', score: 12.5 });
+  expect(onChange).toHaveBeenLastCalledWith([{ id, eventId: 'e1', participantId: 'p1', score: 12.5 }], [{ type: 'added', doc: { id, eventId: 'e1', participantId: 'p1', score: 12.5 } }]);
+  await repository.update('scores', id, { score: 12.1 });
+  await repository.add('scores', { eventId: 'e2', participantId: 'p1', score: 4 });
+  expect(onChange).toHaveBeenLastCalledWith([{ id, eventId: 'e1', participantId: 'p1', score: 12.1 }], [{ type: 'modified', doc: { id, eventId: 'e1', participantId: 'p1', score: 12.1 } }]);
+  expect(await repository.get('scores', id)).toEqual({ id, eventId: 'e1', participantId: 'p1', score: 12.1 });
+
+  await repository.remove('scores', id);
+  expect(onChange).toHaveBeenLastCalledWith([], [{ type: 'removed', doc: { id, eventId: 'e1', participantId: 'p1', score: 12.1 } }]);
+  expect(await repository.list('scores', { participantId: 'p1' })).toHaveLength(1);
+  await expect(repository.update('scores', id, { score: 1 })).rejects.toThrow('No scores document');
+});
+
+test('components read through the repository, so they render without Firebase', () => {
+  const repository = createMemoryRepository({
+    events: [
+      { id: 'e1', name: 'Sack Race', dayId: 'd1', type: 'Track' },
+      { id: 'e2', name: 'High Jump', dayId: 'd1', type: 'Field' },
+      { id: 'e3', name: 'Egg and Spoon', dayId: 'd0', type: 'Track' },
+    ],
+  });
+  const Count = () => `${useEvents('d1').docs.length} events`;
+  const handlers = { onEditEvent: noop, onAddScore: noop, onShowScores: noop, onManageEntries: noop, onManageRounds: noop, onManageTeams: noop, onShowHistory: noop };
+
+  render(
+    <AppContext.Provider value={{ role: { role: 'viewer', eventIds: [] }, dayId: 'd1' }}>
+      <RepositoryProvider value={repository}>
+        <Count />
+        <EventList {...handlers} />
+      </RepositoryProvider>
+    </AppContext.Provider>
+  );
+  const listed = screen.getAllByText(/High Jump|Sack Race/);
+  expect(listed[0]).toHaveTextContent('High Jump');
+  expect(listed[1]).toHaveTextContent('Sack Race');
+  expect(screen.queryByText('Egg and Spoon')).not.toBeInTheDocument();
+  expect(repository.listenerCount()).toBe(1); // Count and EventList share the day's events
+
+  act(() => {
+    repository.set('events', 'e4', { name: 'Relay', dayId: 'd1', type: 'Track' });
+  });
+  expect(screen.getByText('3 events')).toBeInTheDocument();
+});
@@ -0,0 +1,95 @@
+// Compares recalculating the standings from every score on each score change (as OverallStandings
+// used to) with keeping them up to date from the change alone. Skipped unless BENCHMARK is set
+// (`npm run benchmark`); prints the timings and checks both give the same standings.
+import { applyScoreChanges, calculateHouseStandings, calculateStandings, houseStandingsFromEventPoints, standingsFromEventPoints } from './App';
+
+const describeBenchmark = process.env.BENCHMARK ? describe : describe.skip;
+
+const PARTICIPANTS = 600;
+const EVENTS = 40;
+const ENTRANTS_PER_EVENT = 75; // 3,000 scores
+const SCORE_CHANGES = 300;
+const HOUSES = ['Red', 'Blue', 'Green', 'Yellow'];
+const YEAR_GROUPS = ['Year 3', 'Year 4', 'Year 5', 'Year 6'];
+
+// Same synthetic day every run
+const seededRandom = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+const buildDay = () => {
+  const random = seededRandom(42);
+  const participantsMap = {};
+  for (let i = 0; i < PARTICIPANTS; i++) {
+    participantsMap[`p${i}`] = { name: `Pupil ${i}`, house: HOUSES[i % HOUSES.length], yearGroup: YEAR_GROUPS[i % YEAR_GROUPS.length], gender: i % 2 ? 'girls' : 'boys' };
+  }
+  const eventsMap = {};
+  const scores = [];
+  for (let e = 0; e < EVENTS; e++) {
+    const timed = e % 2 === 0;
+    eventsMap[`e${e}`] = { name: `Event ${e}`, resultKind: timed ? 'time' : 'distance', direction: timed ? 'lower' : 'higher', genders: ['boys', 'girls'] };
+    for (let k = 0; k < ENTRANTS_PER_EVENT; k++) {
+      const participantId = `p${(e * ENTRANTS_PER_EVENT + k) % PARTICIPANTS}`;
+      scores.push({ id: `e${e}_${participantId}`, eventId: `e${e}`, participantId, score: Number((10 + random() * 5).toFixed(2)) });
+    }
+  }
+  const changes = Array.from({ length: SCORE_CHANGES }, () => {
+    const score = scores[Math.floor(random() * scores.length)];
+    return { type: 'modified', doc: { ...score, score: Number((10 + random() * 5).toFixed(2)) } };
+  });
+  return { participantsMap, eventsMap, scores, changes };
+};
+
+const time = (run) => {
+  const start = performance.now();
+  const result = run();
+  return { result, ms: performance.now() - start };
+};
+
+describeBenchmark('standings benchmark', () => {
+  test(`${SCORE_CHANGES} score changes against ${EVENTS * ENTRANTS_PER_EVENT} scores`, () => {
+    const { participantsMap, eventsMap, scores, changes } = buildDay();
+    const pointsTable = [10, 8, 6, 5, 4, 3, 2, 1];
+    const context = { eventsMap, participantsMap, pointsTable };
+
+    // Every change re-ranks every event
+    const full = time(() => {
+      const current = Object.fromEntries(scores.map(score => [score.id, score]));
+      let standings;
+      changes.forEach(({ doc: score }) => {
+        current[score.id] = score;
+        const all = Object.values(current);
+        standings = {
+          participants: calculateStandings(all, eventsMap, participantsMap, pointsTable),
+          houses: calculateHouseStandings(all, eventsMap, participantsMap, pointsTable),
+        };
+      });
+      return standings;
+    });
+
+    // Every change re-ranks its own event, starting from the tally of the first snapshot
+    let tally = applyScoreChanges({ scoresByEvent: {}, eventPoints: {} }, scores.map(score => ({ type: 'added', doc: score })), context);
+    const incremental = time(() => {
+      let standings;
+      changes.forEach(change => {
+        tally = applyScoreChanges(tally, [change], context);
+        standings = {
+          participants: standingsFromEventPoints(tally.eventPoints, participantsMap),
+          houses: houseStandingsFromEventPoints(tally.eventPoints),
+        };
+      });
+      return standings;
+    });
+
+    console.log([
+      `Standings after each of ${SCORE_CHANGES} score changes (${EVENTS * ENTRANTS_PER_EVENT} scores, ${PARTICIPANTS} participants, ${EVENTS} events):`,
+      `  full recalculation: ${full.ms.toFixed(0)} ms (${(full.ms / SCORE_CHANGES).toFixed(2)} ms per change)`,
+      `  incremental:        ${incremental.ms.toFixed(0)} ms (${(incremental.ms / SCORE_CHANGES).toFixed(2)} ms per change)`,
+      `  ${(full.ms / incremental.ms).toFixed(1)}x faster, before counting the participant, event and team reads the full recalculation also made on every change`,
+    ].join('\n'));
+
+    expect(incremental.result).toEqual(full.result);
+    expect(incremental.ms).toBeLessThan(full.ms);
+  });
+});